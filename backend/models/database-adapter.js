@@ -1,10 +1,66 @@
 const path = require('path');
 
+// 既存DBに後から追加するカラム（起動時に不足分のみ追加）
+const COLUMN_MIGRATIONS = [
+  // 条件付きGET（ETag / Last-Modified）とコンテンツハッシュ
+  { table: 'feeds', column: 'etag', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'feeds', column: 'last_modified', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'feeds', column: 'content_hash', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // Feed別ポーリング間隔（分）。poll_interval が NULL の場合は adaptive_interval を使用
+  { table: 'feeds', column: 'poll_interval', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  { table: 'feeds', column: 'adaptive_interval', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  { table: 'feeds', column: 'next_poll_at', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // フォルダ（OPMLのoutline階層に対応）
+  { table: 'feeds', column: 'folder_id', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  // 取得状態（ヘルスチェック）と一時停止
+  { table: 'feeds', column: 'last_success_at', sqlite: 'DATETIME', postgresql: 'TIMESTAMP' },
+  { table: 'feeds', column: 'last_error', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'feeds', column: 'last_http_status', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  { table: 'feeds', column: 'consecutive_failures', sqlite: 'INTEGER DEFAULT 0', postgresql: 'INTEGER DEFAULT 0' },
+  { table: 'feeds', column: 'is_paused', sqlite: 'BOOLEAN DEFAULT 0', postgresql: 'BOOLEAN DEFAULT false' },
+  { table: 'feeds', column: 'paused_reason', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // ユーザーが編集できるFeed設定
+  { table: 'feeds', column: 'custom_title', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'feeds', column: 'content_type_override', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'feeds', column: 'backfill_depth', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  { table: 'feeds', column: 'feed_type', sqlite: "TEXT DEFAULT 'rss'", postgresql: "TEXT DEFAULT 'rss'" },
+  { table: 'feeds', column: 'scrape_config', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // 全文抽出（リーダーモード）
+  { table: 'feeds', column: 'fetch_full_text', sqlite: 'BOOLEAN DEFAULT 0', postgresql: 'BOOLEAN DEFAULT false' },
+  { table: 'articles', column: 'content_html', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'articles', column: 'content_text', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'articles', column: 'fulltext_status', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'articles', column: 'fulltext_fetched_at', sqlite: 'DATETIME', postgresql: 'TIMESTAMP' },
+  // フィルター判定用のカテゴリ（JSON配列）
+  { table: 'articles', column: 'categories', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // Feedをまたいだ重複判定用の正規化URL
+  { table: 'articles', column: 'canonical_url', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // ゴミ箱に移動した日時
+  { table: 'feeds', column: 'deleted_at', sqlite: 'DATETIME', postgresql: 'TIMESTAMP' },
+  // 有料・社内Feed用の認証情報（FEED_CREDENTIALS_KEY で暗号化）
+  { table: 'feeds', column: 'credentials', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // YouTubeチャンネルのアイコンなどFeedの画像
+  { table: 'feeds', column: 'image_url', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // 取り込み時に判定したコンテンツタイプと、記事ごとの指定
+  { table: 'articles', column: 'detected_content_type', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'articles', column: 'content_type_override', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // 論文PDFから抽出した著者（JSON配列）と要旨
+  { table: 'articles', column: 'paper_authors', sqlite: 'TEXT', postgresql: 'TEXT' },
+  { table: 'articles', column: 'paper_abstract', sqlite: 'TEXT', postgresql: 'TEXT' },
+  // スター（保存期間のルールで削除しない記事）とFeed別の記事数上限（NULL は既定値、0 は無制限）
+  { table: 'articles', column: 'is_starred', sqlite: 'BOOLEAN DEFAULT 0', postgresql: 'BOOLEAN DEFAULT false' },
+  { table: 'feeds', column: 'max_articles', sqlite: 'INTEGER', postgresql: 'INTEGER' },
+  // 既読にした日時（公開から既読までの時間の集計用）
+  { table: 'articles', column: 'read_at', sqlite: 'DATETIME', postgresql: 'TIMESTAMP' }
+];
+
 class DatabaseAdapter {
   constructor() {
     // Auto-detect database type based on environment
     this.dbType = this.detectDatabaseType();
     this.db = null;
+    // SQLiteのトランザクションを1つずつ実行するためのキュー
+    this.transactionQueue = Promise.resolve();
     this.init();
   }
 
@@ -54,6 +110,7 @@ class DatabaseAdapter {
       console.log(`Using local database path: ${dbPath}`);
     }
     
+    this.dbPath = dbPath;
     this.db = new sqlite3.Database(dbPath);
     console.log('SQLite database initialized');
     this.createTables();
@@ -128,10 +185,127 @@ class DatabaseAdapter {
         )
       `);
 
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          parent_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (parent_id) REFERENCES folders (id) ON DELETE CASCADE
+        )
+      `);
+
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS feed_fetch_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          feed_id INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          http_status INTEGER,
+          error_message TEXT,
+          new_articles INTEGER DEFAULT 0,
+          duration_ms INTEGER,
+          fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS websub_subscriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          feed_id INTEGER UNIQUE NOT NULL,
+          hub_url TEXT NOT NULL,
+          topic_url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          state TEXT DEFAULT 'pending',
+          lease_seconds INTEGER,
+          expires_at DATETIME,
+          last_push_at DATETIME,
+          last_error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 取り込み時のキーワードフィルター（feed_id が NULL の場合は全Feed共通）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS feed_filters (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          feed_id INTEGER,
+          mode TEXT NOT NULL DEFAULT 'exclude',
+          match_type TEXT NOT NULL DEFAULT 'keyword',
+          pattern TEXT NOT NULL,
+          fields TEXT NOT NULL DEFAULT 'title,description,categories',
+          action TEXT NOT NULL DEFAULT 'drop',
+          is_enabled BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 重複として統合した記事の取得元（代表記事の feed_id 以外のFeed）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS article_sources (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          article_id INTEGER NOT NULL,
+          feed_id INTEGER NOT NULL,
+          guid TEXT NOT NULL,
+          link TEXT,
+          title TEXT,
+          match_type TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (article_id) REFERENCES articles (id) ON DELETE CASCADE,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 保存期間のルールで削除した記事のGUID（Feedに残っている記事を再度取り込まないため）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS pruned_articles (
+          guid TEXT PRIMARY KEY,
+          feed_id INTEGER,
+          pruned_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 完全に削除したメールマガジンの送信者（次回の取り込みで再購読しないため）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS unsubscribed_senders (
+          address TEXT PRIMARY KEY,
+          unsubscribed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // スケジューラーのジョブ設定（行がないジョブは既定値で動く）
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS scheduler_jobs (
+          name TEXT PRIMARY KEY,
+          cron_expression TEXT NOT NULL,
+          timezone TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // インデックス作成
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_articles_feed_id ON articles(feed_id);`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_feed_fetch_log_feed_id ON feed_fetch_log(feed_id);`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_articles_pub_date ON articles(pub_date DESC);`);
       this.db.run(`CREATE INDEX IF NOT EXISTS idx_articles_read_status ON articles(read_status);`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_article_sources_article_id ON article_sources(article_id);`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_article_sources_guid ON article_sources(guid);`);
+
+      // カラム追加マイグレーション（既に存在する場合のエラーは無視）
+      COLUMN_MIGRATIONS.forEach(({ table, column, sqlite }) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${sqlite}`, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error(`Error adding column ${table}.${column}:`, err.message);
+          }
+        });
+      });
+
+      // 追加カラムへのインデックスはマイグレーション後に作成
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_articles_canonical_url ON articles(canonical_url);`);
     });
   }
 
@@ -190,10 +364,123 @@ class DatabaseAdapter {
         )
       `);
 
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS folders (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          parent_id INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (parent_id) REFERENCES folders (id) ON DELETE CASCADE
+        )
+      `);
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS feed_fetch_log (
+          id SERIAL PRIMARY KEY,
+          feed_id INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          http_status INTEGER,
+          error_message TEXT,
+          new_articles INTEGER DEFAULT 0,
+          duration_ms INTEGER,
+          fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS websub_subscriptions (
+          id SERIAL PRIMARY KEY,
+          feed_id INTEGER UNIQUE NOT NULL,
+          hub_url TEXT NOT NULL,
+          topic_url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          state TEXT DEFAULT 'pending',
+          lease_seconds INTEGER,
+          expires_at TIMESTAMP,
+          last_push_at TIMESTAMP,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 取り込み時のキーワードフィルター（feed_id が NULL の場合は全Feed共通）
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS feed_filters (
+          id SERIAL PRIMARY KEY,
+          feed_id INTEGER,
+          mode TEXT NOT NULL DEFAULT 'exclude',
+          match_type TEXT NOT NULL DEFAULT 'keyword',
+          pattern TEXT NOT NULL,
+          fields TEXT NOT NULL DEFAULT 'title,description,categories',
+          action TEXT NOT NULL DEFAULT 'drop',
+          is_enabled BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 重複として統合した記事の取得元（代表記事の feed_id 以外のFeed）
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS article_sources (
+          id SERIAL PRIMARY KEY,
+          article_id INTEGER NOT NULL,
+          feed_id INTEGER NOT NULL,
+          guid TEXT NOT NULL,
+          link TEXT,
+          title TEXT,
+          match_type TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (article_id) REFERENCES articles (id) ON DELETE CASCADE,
+          FOREIGN KEY (feed_id) REFERENCES feeds (id) ON DELETE CASCADE
+        )
+      `);
+
+      // 保存期間のルールで削除した記事のGUID（Feedに残っている記事を再度取り込まないため）
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS pruned_articles (
+          guid TEXT PRIMARY KEY,
+          feed_id INTEGER,
+          pruned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // 完全に削除したメールマガジンの送信者（次回の取り込みで再購読しないため）
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS unsubscribed_senders (
+          address TEXT PRIMARY KEY,
+          unsubscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // スケジューラーのジョブ設定（行がないジョブは既定値で動く）
+      await this.db.query(`
+        CREATE TABLE IF NOT EXISTS scheduler_jobs (
+          name TEXT PRIMARY KEY,
+          cron_expression TEXT NOT NULL,
+          timezone TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT true,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // インデックス作成
       await this.db.query(`CREATE INDEX IF NOT EXISTS idx_articles_feed_id ON articles(feed_id);`);
+      await this.db.query(`CREATE INDEX IF NOT EXISTS idx_feed_fetch_log_feed_id ON feed_fetch_log(feed_id);`);
       await this.db.query(`CREATE INDEX IF NOT EXISTS idx_articles_pub_date ON articles(pub_date DESC);`);
       await this.db.query(`CREATE INDEX IF NOT EXISTS idx_articles_read_status ON articles(read_status);`);
+      await this.db.query(`CREATE INDEX IF NOT EXISTS idx_article_sources_article_id ON article_sources(article_id);`);
+      await this.db.query(`CREATE INDEX IF NOT EXISTS idx_article_sources_guid ON article_sources(guid);`);
+
+      // カラム追加マイグレーション
+      for (const { table, column, postgresql } of COLUMN_MIGRATIONS) {
+        await this.db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${postgresql}`);
+      }
+
+      // 追加カラムへのインデックスはマイグレーション後に作成
+      await this.db.query(`CREATE INDEX IF NOT EXISTS idx_articles_canonical_url ON articles(canonical_url);`);
 
       console.log('PostgreSQL tables created successfully');
     } catch (error) {
@@ -201,6 +488,25 @@ class DatabaseAdapter {
     }
   }
 
+  // データベースのサイズ（バイト）。SQLiteはWALファイルを含む
+  async getDatabaseSize() {
+    if (this.dbType === 'postgresql') {
+      const result = await this.db.query('SELECT pg_database_size(current_database()) as size');
+      return Number(result.rows[0]?.size || 0);
+    }
+
+    const fs = require('fs');
+    let size = 0;
+    for (const file of [this.dbPath, `${this.dbPath}-wal`]) {
+      try {
+        size += (await fs.promises.stat(file)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return size;
+  }
+
   // 統一されたクエリインターフェース
   query(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -217,8 +523,13 @@ class DatabaseAdapter {
     });
   }
 
-  run(sql, params = []) {
-    return new Promise((resolve, reject) => {
+  run(sql, params = [], callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = [];
+    }
+
+    const promise = new Promise((resolve, reject) => {
       if (this.dbType === 'postgresql') {
         this.db.query(sql, params)
           .then(result => resolve({ 
@@ -233,10 +544,17 @@ class DatabaseAdapter {
         });
       }
     });
+
+    return this.withCallback(promise, callback);
   }
 
-  get(sql, params = []) {
-    return new Promise((resolve, reject) => {
+  get(sql, params = [], callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = [];
+    }
+
+    const promise = new Promise((resolve, reject) => {
       if (this.dbType === 'postgresql') {
         this.db.query(sql, params)
           .then(result => resolve(result.rows[0]))
@@ -248,9 +566,23 @@ class DatabaseAdapter {
         });
       }
     });
+
+    return this.withCallback(promise, callback);
   }
 
   // レガシーサポート（既存コードとの互換性）
+  // コールバックが渡された場合はsqlite3と同じく結果をthisに束縛して呼び出す
+  withCallback(promise, callback) {
+    if (!callback) {
+      return promise;
+    }
+
+    promise.then(
+      result => callback.call(result || {}, null, result),
+      err => callback.call({}, err)
+    );
+  }
+
   all(sql, params, callback) {
     if (typeof params === 'function') {
       callback = params;
@@ -262,6 +594,52 @@ class DatabaseAdapter {
       .catch(err => callback(err));
   }
 
+  // 複数の文を1つのトランザクションで実行し、1文でも失敗したらROLLBACKしてそのエラーで reject する
+  // PostgreSQLはプールから取得した1つの接続ですべての文を実行する
+  async transaction(statements) {
+    if (this.dbType === 'postgresql') {
+      const client = await this.db.connect();
+      try {
+        return await this.runInTransaction(statements, async (sql, params = []) => {
+          const result = await client.query(sql, params);
+          return { lastID: result.rows[0]?.id, changes: result.rowCount };
+        });
+      } finally {
+        client.release();
+      }
+    }
+
+    // SQLiteは接続が1つなので、トランザクション同士が重ならないよう順番に実行する
+    const result = this.transactionQueue.then(() => this.runInTransaction(statements, (sql, params = []) => (
+      new Promise((resolve, reject) => {
+        this.db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      })
+    )));
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  async runInTransaction(statements, execute) {
+    await execute('BEGIN');
+
+    try {
+      const results = [];
+      for (const statement of statements) {
+        results.push(await execute(statement.sql, statement.params));
+      }
+      await execute('COMMIT');
+      return results;
+    } catch (error) {
+      await execute('ROLLBACK').catch(rollbackError => {
+        console.error('❌ Transaction rollback failed:', rollbackError.message);
+      });
+      throw error;
+    }
+  }
+
   serialize(callback) {
     if (this.dbType === 'sqlite') {
       this.db.serialize(callback);
@@ -2,15 +2,27 @@ const express = require('express');
 const router = express.Router();
 const db = require('../models/database');
 const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
+const { getDescendantFolderIds } = require('../utils/folders');
+const { extractFullText } = require('../utils/article-extractor');
+const { extractPaper, buildPaperSummaryInput } = require('../utils/paper-extractor');
+const { getArticleSources } = require('../utils/article-dedup');
+const { CONTENT_TYPES, resolveContentType } = require('../utils/content-type');
 
-router.get('/', (req, res) => {
-  const { unread_only = 'true', limit = 10, offset = 0 } = req.query;
+// 一覧で返す列（本文 content_html / content_text は GET /:id/fulltext でのみ返す）
+const ARTICLE_LIST_COLUMNS = `
+  a.id, a.feed_id, a.guid, a.title, a.link, a.description, a.pub_date,
+  a.content_type, a.detected_content_type, a.content_type_override, a.categories, a.canonical_url,
+  a.summary_status, a.summary_text, a.read_status, a.read_at, a.is_starred,
+  a.fulltext_status, a.fulltext_fetched_at, a.paper_authors, a.created_at`;
+
+router.get('/', async (req, res) => {
+  const { unread_only = 'true', limit = 10, offset = 0, folder_id } = req.query;
   
   let query = `
-    SELECT 
-      a.*,
-      f.title as feed_title,
-      f.url as feed_url
+    SELECT ${ARTICLE_LIST_COLUMNS},
+      COALESCE(f.custom_title, f.title) as feed_title,
+      f.url as feed_url,
+      f.folder_id as folder_id
     FROM articles a
     JOIN feeds f ON a.feed_id = f.id
     WHERE f.is_active = 1
@@ -22,14 +34,40 @@ router.get('/', (req, res) => {
     query += ' AND a.read_status = 0';
   }
   
+  // フォルダ指定（サブフォルダのFeedも含む）、'none' はフォルダ未分類のFeed
+  if (folder_id === 'none') {
+    query += ' AND f.folder_id IS NULL';
+  } else if (folder_id) {
+    try {
+      const folderIds = await getDescendantFolderIds(folder_id);
+      query += ` AND f.folder_id IN (${folderIds.map(() => '?').join(', ')})`;
+      params.push(...folderIds);
+    } catch (error) {
+      return handleDatabaseError(res, error, 'fetch folders');
+    }
+  }
+  
   query += ' ORDER BY a.pub_date DESC LIMIT ? OFFSET ?';
   params.push(parseInt(limit), parseInt(offset));
   
-  db.all(query, params, (err, rows) => {
+  db.all(query, params, async (err, rows) => {
     if (err) {
       return handleDatabaseError(res, err, 'fetch articles');
     }
     
+    // 複数Feedから届いた記事は取得元をすべて列挙（先頭が代表記事のFeed）
+    try {
+      const extraSources = await getArticleSources(rows.map(article => article.id));
+      rows.forEach(article => {
+        article.sources = [
+          { feed_id: article.feed_id, feed_title: article.feed_title, link: article.link },
+          ...(extraSources.get(article.id) || [])
+        ];
+      });
+    } catch (error) {
+      return handleDatabaseError(res, error, 'fetch article sources');
+    }
+    
     const groupedArticles = {};
     rows.forEach(article => {
       const category = article.content_type || 'article';
@@ -52,7 +90,8 @@ router.patch('/:id/read', (req, res) => {
   const { read_status = true } = req.body;
   
   db.run(
-    'UPDATE articles SET read_status = ? WHERE id = ?',
+    // 既読にした日時は最初に既読にしたときのものを残す
+    `UPDATE articles SET read_status = ?, read_at = ${read_status ? 'COALESCE(read_at, CURRENT_TIMESTAMP)' : 'NULL'} WHERE id = ?`,
     [read_status ? 1 : 0, id],
     function(err) {
       if (err) {
@@ -70,13 +109,67 @@ router.patch('/:id/read', (req, res) => {
   );
 });
 
+// スター付きの記事は保存期間のルールで削除されない
+router.patch('/:id/star', async (req, res) => {
+  const { id } = req.params;
+  const { starred = true } = req.body;
+
+  try {
+    const result = await db.run('UPDATE articles SET is_starred = ? WHERE id = ?', [starred ? 1 : 0, id]);
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Article not found');
+    }
+
+    sendSuccess(res, { starred: !!starred }, 'Article star updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update article star');
+  }
+});
+
+// 記事ごとのコンテンツタイプ指定（null で自動判定・Feedの指定に戻す）
+router.patch('/:id/content-type', async (req, res) => {
+  const { id } = req.params;
+  const override = req.body.content_type || null;
+  
+  if (override && !CONTENT_TYPES.includes(override)) {
+    return sendError(res, 400, `content_type must be one of: ${CONTENT_TYPES.join(', ')}`);
+  }
+  
+  try {
+    const article = await db.get(
+      `SELECT a.id, a.link, a.detected_content_type, f.content_type_override AS feed_content_type_override
+       FROM articles a JOIN feeds f ON a.feed_id = f.id WHERE a.id = ?`,
+      [id]
+    );
+    if (!article) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    const contentType = resolveContentType(
+      { ...article, content_type_override: override },
+      { content_type_override: article.feed_content_type_override }
+    );
+    await db.run(
+      'UPDATE articles SET content_type = ?, content_type_override = ? WHERE id = ?',
+      [contentType, override, article.id]
+    );
+    
+    sendSuccess(res, {
+      content_type: contentType,
+      content_type_override: override
+    }, 'Article content type updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update article content type');
+  }
+});
+
 router.post('/:id/summarize', async (req, res) => {
   const { id } = req.params;
   const { manual_text, audio_summary, youtube_summary } = req.body; // 手動テキスト、音声要約、またはYouTube要約フラグ
   
   db.get(`
-    SELECT 
-      a.*,
+    SELECT ${ARTICLE_LIST_COLUMNS},
+      a.content_text, a.paper_abstract,
       f.url as feed_url,
       f.title as feed_title
     FROM articles a
@@ -92,10 +185,11 @@ router.post('/:id/summarize', async (req, res) => {
     }
     
     // 手動テキストが提供された場合は任意のコンテンツタイプで要約可能
+    // 通常の記事は抽出した本文から要約
     // 音声要約の場合はPodcastのみ許可
     // YouTube要約の場合はYouTubeのみ許可
-    if (!manual_text && !audio_summary && !youtube_summary && article.content_type !== 'youtube' && article.content_type !== 'podcast') {
-      return res.status(400).json({ error: 'Summarization only available for YouTube and Podcast content, or with manual text input' });
+    if (!manual_text && !audio_summary && !youtube_summary && !['youtube', 'podcast', 'paper', 'article'].includes(article.content_type)) {
+      return res.status(400).json({ error: 'Summarization only available for YouTube, Podcast, paper and article content, or with manual text input' });
     }
     
     if (audio_summary && article.content_type !== 'podcast') {
@@ -137,6 +231,59 @@ router.post('/:id/summarize', async (req, res) => {
   });
 });
 
+// 記事ページから本文を抽出（保存済みの場合はそれを返す。?refresh=1 で再抽出）
+router.get('/:id/fulltext', async (req, res) => {
+  const { id } = req.params;
+  const refresh = req.query.refresh === '1' || req.query.refresh === 'true';
+  
+  try {
+    const article = await db.get(
+      'SELECT id, feed_id, title, link, content_type, content_html, content_text, fulltext_status, fulltext_fetched_at FROM articles WHERE id = ?',
+      [id]
+    );
+    
+    if (!article) {
+      return sendError(res, 404, 'Article not found');
+    }
+    
+    if (article.content_text && !refresh) {
+      return sendSuccess(res, {
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        html: article.content_html,
+        text: article.content_text,
+        length: article.content_text.length,
+        fetched_at: article.fulltext_fetched_at,
+        cached: true
+      });
+    }
+    
+    if (!article.link) {
+      return sendError(res, 400, 'Article has no link to extract from');
+    }
+    
+    try {
+      // 論文は記事ページではなくPDFから抽出
+      const extracted = article.content_type === 'paper' ? await extractPaper(article) : await extractFullText(article);
+      sendSuccess(res, {
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        html: extracted.html,
+        text: extracted.text,
+        length: extracted.length,
+        fetched_at: new Date().toISOString(),
+        cached: false
+      }, 'Full text extracted');
+    } catch (error) {
+      sendError(res, 502, 'Failed to extract the article text', { error: error.message });
+    }
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch article full text');
+  }
+});
+
 router.get('/:id/summary', (req, res) => {
   const { id } = req.params;
   
@@ -639,6 +786,10 @@ async function processSummaryRequest(articleId, article) {
       // Podcastの場合はRSS feed URLを使用し、特定の記事情報を渡す
       const feedUrl = article.feed_url || article.link;
       summaryText = await processPodcastSummary(feedUrl, article);
+    } else if (article.content_type === 'paper') {
+      summaryText = await processPaperSummary(article);
+    } else if (article.content_type === 'article') {
+      summaryText = await processArticleSummary(article);
     }
     
     // 要約内容の詳細ログ出力
@@ -725,6 +876,39 @@ async function processManualSummaryRequest(articleId, manualText) {
   }
 }
 
+async function processArticleSummary(article) {
+  let text = article.content_text;
+  
+  if (!text) {
+    console.log(`📖 Extracting full text for article ${article.id}: ${article.link}`);
+    const extracted = await extractFullText(article);
+    text = extracted.text;
+  }
+  
+  const summary = await generateSummary(text);
+  return `${summary}\n\n（記事本文から要約）`;
+}
+
+async function processPaperSummary(article) {
+  let paper;
+  
+  if (article.content_text) {
+    paper = {
+      title: article.title,
+      authors: article.paper_authors ? JSON.parse(article.paper_authors) : [],
+      abstract: article.paper_abstract,
+      text: article.content_text
+    };
+  } else {
+    console.log(`📑 Extracting paper PDF for article ${article.id}: ${article.link}`);
+    paper = await extractPaper(article);
+    paper.title = article.title || paper.title;
+  }
+  
+  const summary = await generateSummary(buildPaperSummaryInput(paper), { paper: true });
+  return `${summary}\n\n（論文PDFから要約）`;
+}
+
 async function processYouTubeSummary(url) {
   const { getYouTubeContent, getTranscriptErrorMessage } = require('../utils/youtube-helper');
   
@@ -909,15 +1093,26 @@ async function processPodcastSummary(url, specificArticle = null) {
 async function generateSummary(text, options = {}) {
   const aiProvider = process.env.AI_PROVIDER || 'openai';
   const isDetailedSummary = options.detailed || false;
+  const isPaperSummary = options.paper || false;
   
   if (aiProvider === 'gemini') {
-    return await generateGeminiSummary(text, isDetailedSummary);
+    return await generateGeminiSummary(text, isDetailedSummary, isPaperSummary);
   } else {
-    return await generateOpenAISummary(text, isDetailedSummary);
+    return await generateOpenAISummary(text, isDetailedSummary, isPaperSummary);
   }
 }
 
-async function generateGeminiSummary(text, isDetailedSummary = false) {
+// 論文要約の構成（Gemini / OpenAI 共通）
+const PAPER_SUMMARY_INSTRUCTION = `以下の学術論文を日本語で要約してください。次の4つの見出しごとに2-4文でまとめてください。
+
+1. 貢献: この論文が新たに示したこと
+2. 手法: 提案手法やアプローチの要点
+3. 結果: 主要な実験結果（比較対象や数値があれば含める）
+4. 限界: 著者が述べている限界や今後の課題（記載がなければ「記載なし」）
+
+専門用語は必要に応じて原語を括弧で併記してください。`;
+
+async function generateGeminiSummary(text, isDetailedSummary = false, isPaperSummary = false) {
   const { GoogleGenerativeAI } = require('@google/generative-ai');
   const apiUsageTracker = require('../utils/api-usage-tracker');
   
@@ -934,7 +1129,14 @@ async function generateGeminiSummary(text, isDetailedSummary = false) {
   
   let prompt, textLength;
   
-  if (isDetailedSummary) {
+  if (isPaperSummary) {
+    // 論文要約（要旨と本文の前半を使用）
+    textLength = 20000;
+    prompt = `${PAPER_SUMMARY_INSTRUCTION}
+
+論文:
+${text.substring(0, textLength)}`;
+  } else if (isDetailedSummary) {
     // 詳細要約（音声要約用）
     textLength = 15000;
     prompt = `以下のテキストを日本語で詳細に要約してください。最低500文字、理想的には1000文字程度の詳細な要約を作成してください。
@@ -978,7 +1180,7 @@ ${text.substring(0, textLength)}`;
   }
 }
 
-async function generateOpenAISummary(text, isDetailedSummary = false) {
+async function generateOpenAISummary(text, isDetailedSummary = false, isPaperSummary = false) {
   const OpenAI = require('openai');
   const apiUsageTracker = require('../utils/api-usage-tracker');
   
@@ -992,7 +1194,12 @@ async function generateOpenAISummary(text, isDetailedSummary = false) {
   
   let systemContent, maxTokens, textLength;
   
-  if (isDetailedSummary) {
+  if (isPaperSummary) {
+    // 論文要約（要旨と本文の前半を使用）
+    textLength = 12000;
+    maxTokens = 1200;
+    systemContent = PAPER_SUMMARY_INSTRUCTION;
+  } else if (isDetailedSummary) {
     // 詳細要約（音声要約用）
     textLength = 15000;
     maxTokens = 1500;
@@ -5,38 +5,150 @@ const fs = require('fs');
 const path = require('path');
 const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
 const { dbGet, dbRun } = require('../utils/database-helpers');
+const { parseOpml, buildOpml } = require('../utils/opml');
+const { ensureFolderPath, getFolderPaths } = require('../utils/folders');
+const { normalizeCredentials, encryptCredentials, decryptCredentials } = require('../utils/feed-credentials');
+const { previewPrune, getLastPruneResult } = require('../utils/retention');
+
+/**
+ * Tells whether a backup or OPML entry has a URL that can be subscribed to
+ * @param {Object} feed - { url, feed_type }
+ * @returns {boolean} True for http(s) URLs, or mailto: for newsletter feeds
+ */
+function isValidFeedUrl(feed) {
+  try {
+    const { protocol } = new URL(feed.url);
+    return feed.feed_type === 'email' ? protocol === 'mailto:' : ['http:', 'https:'].includes(protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Updates an active feed from a backup or OPML entry, or inserts a new one.
+ * Trashed feeds and unsubscribed newsletter senders are left alone.
+ * @param {Object} feed - { url, title, custom_title, label, description, feed_type, scrape_config, credentials };
+ *   label is the OPML outline title, stored as the custom title of an existing feed
+ * @param {number|null} folderId - Folder to assign (undefined keeps the current folder)
+ * @returns {Promise<string>} 'inserted', 'updated', 'unchanged' or 'skipped'
+ * @throws {Error} When the URL is invalid
+ */
+async function upsertFeedFromBackup(feed, folderId) {
+  if (!isValidFeedUrl(feed)) {
+    throw new Error('Invalid URL format');
+  }
+  
+  // バックアップ内の認証情報は平文のため、復元先の鍵で暗号化し直す
+  const credentials = encryptCredentials(normalizeCredentials(feed.credentials));
+  
+  const existingFeed = await dbGet('SELECT id, title, custom_title, is_active FROM feeds WHERE url = ?', [feed.url]);
+  
+  if (existingFeed) {
+    // ゴミ箱のFeedや配信停止したメールマガジンは、ユーザーの操作を取り消さないよう再登録しない
+    if (!Number(existingFeed.is_active)) {
+      console.log(`⏭️ Skipping trashed or unsubscribed feed: ${feed.url}`);
+      return 'skipped';
+    }
+    
+    console.log(`🔄 Updating existing feed: ${feed.url}`);
+    // OPMLの表示名は発行元のタイトルではなくユーザーが付けた名前として扱う
+    let customTitle = feed.custom_title === undefined ? existingFeed.custom_title : feed.custom_title || null;
+    if (feed.label) {
+      customTitle = feed.label === existingFeed.title ? existingFeed.custom_title : feed.label;
+    }
+    
+    const result = await dbRun(
+      `UPDATE feeds SET title = COALESCE(?, title), custom_title = ?, description = COALESCE(?, description),
+       feed_type = COALESCE(?, feed_type), scrape_config = COALESCE(?, scrape_config), credentials = COALESCE(?, credentials) WHERE id = ?`,
+      [feed.title || null, customTitle, feed.description || null, feed.feed_type || null, feed.scrape_config || null, credentials, existingFeed.id]
+    );
+    
+    if (folderId !== undefined) {
+      await dbRun('UPDATE feeds SET folder_id = ? WHERE id = ?', [folderId, existingFeed.id]);
+    }
+    
+    if (result.changes > 0) {
+      console.log(`✅ Updated feed: ${feed.url}`);
+      return 'updated';
+    }
+    
+    console.log(`⚠️  No changes made to feed: ${feed.url}`);
+    return 'unchanged';
+  }
+  
+  console.log(`➕ Inserting new feed: ${feed.url}`);
+  // 新規のFeedは発行元のタイトルが分からないため、OPMLの表示名をタイトルにする
+  const result = await dbRun(
+    'INSERT INTO feeds (url, title, custom_title, description, folder_id, feed_type, scrape_config, credentials, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)',
+    [feed.url, feed.title || feed.label || null, feed.custom_title || null, feed.description, folderId === undefined ? null : folderId,
+      feed.feed_type || 'rss', feed.scrape_config || null, credentials]
+  );
+  
+  if (result.lastID) {
+    console.log(`✅ Inserted new feed: ${feed.url} (ID: ${result.lastID})`);
+    return 'inserted';
+  }
+  
+  return 'unchanged';
+}
+
+/**
+ * Decrypts the credentials of a feed for the backup
+ * @param {Object} feed - Feed row
+ * @returns {Object} { credentials } or { credentials: null, credentials_unreadable: true }
+ */
+function exportCredentials(feed) {
+  try {
+    return { credentials: decryptCredentials(feed.credentials) };
+  } catch (error) {
+    // 復号できない認証情報（鍵の変更など）があってもバックアップ全体は失敗させない
+    console.warn(`⚠️ Could not decrypt credentials of feed ${feed.id}: ${error.message}`);
+    return { credentials: null, credentials_unreadable: true };
+  }
+}
 
 // フィードデータのバックアップエンドポイント
-router.get('/feeds', (req, res) => {
+// 認証情報は ?include_credentials=true のときだけ平文で含める
+router.get('/feeds', async (req, res) => {
   console.log('📥 Backup request received - fetching active feeds');
+  const includeCredentials = req.query.include_credentials === 'true';
   
-  db.all('SELECT * FROM feeds WHERE is_active = 1', (err, feeds) => {
-    if (err) {
-      console.error('❌ Database error during backup:', err);
-      return handleDatabaseError(res, err, 'fetch feeds for backup');
-    }
+  try {
+    const feeds = await db.query('SELECT * FROM feeds WHERE is_active = 1');
+    const folderPaths = await getFolderPaths();
     
     console.log(`✅ Found ${feeds.length} active feeds for backup`);
     
+    // フォルダIDはDB固有のため、復元先でも再現できるようフォルダ名のパスを含める
     const backup = {
       timestamp: new Date().toISOString(),
       version: require('../../package.json').version,
-      feeds: feeds
+      folders: [...folderPaths.values()],
+      feeds: feeds.map(feed => ({
+        ...feed,
+        ...(includeCredentials ? exportCredentials(feed) : { credentials: undefined }),
+        folder: folderPaths.get(feed.folder_id) || []
+      }))
     };
+    const unreadable = backup.feeds.filter(feed => feed.credentials_unreadable).length;
     
-    sendSuccess(res, backup, `Backup created with ${feeds.length} feeds`);
-  });
+    sendSuccess(res, backup, `Backup created with ${feeds.length} feeds${includeCredentials ? ' (including credentials)' : ''}` +
+      (unreadable > 0 ? `; credentials of ${unreadable} feeds could not be decrypted` : ''));
+  } catch (err) {
+    console.error('❌ Database error during backup:', err);
+    handleDatabaseError(res, err, 'fetch feeds for backup');
+  }
 });
 
 // フィードデータのリストアエンドポイント
 router.post('/feeds/restore', (req, res) => {
   console.log('📤 Restore request received');
-  console.log('Request body:', JSON.stringify(req.body, null, 2));
   
   const { feeds } = req.body;
   
   if (!feeds || !Array.isArray(feeds)) {
-    console.error('❌ Invalid backup data format:', { feeds, type: typeof feeds, isArray: Array.isArray(feeds) });
+    // 本文には平文の認証情報が含まれるため、型のみ記録する
+    console.error('❌ Invalid backup data format:', { type: typeof feeds, isArray: Array.isArray(feeds) });
     return sendError(res, 400, 'Invalid backup data. Expected feeds array.', {
       received: typeof feeds,
       expected: 'array',
@@ -49,45 +161,30 @@ router.post('/feeds/restore', (req, res) => {
   let restoredCount = 0;
   let errorCount = 0;
   const errors = [];
+  const skipped = [];
   
   // Process each feed in the backup using Promise-based database operations
   const processFeeds = async () => {
     console.log(`🔄 Starting sequential processing of ${feeds.length} feeds...`);
     
+    // 空フォルダも含めてフォルダ構成を復元
+    for (const folderPath of req.body.folders || []) {
+      if (Array.isArray(folderPath)) {
+        await ensureFolderPath(folderPath);
+      }
+    }
+    
     for (let i = 0; i < feeds.length; i++) {
       const feed = feeds[i];
       console.log(`📋 Processing feed ${i + 1}/${feeds.length}: ${feed.url}`);
       
       try {
-        // Check if feed already exists using Promise-based helper
-        const existingFeed = await dbGet('SELECT id FROM feeds WHERE url = ?', [feed.url]);
-        
-        if (existingFeed) {
-          console.log(`🔄 Updating existing feed: ${feed.url}`);
-          // Update existing feed to active
-          const result = await dbRun(
-            'UPDATE feeds SET is_active = 1, title = ?, description = ? WHERE url = ?',
-            [feed.title, feed.description, feed.url]
-          );
-          
-          if (result.changes > 0) {
-            restoredCount++;
-            console.log(`✅ Updated feed: ${feed.url}`);
-          } else {
-            console.log(`⚠️  No changes made to feed: ${feed.url}`);
-          }
-        } else {
-          console.log(`➕ Inserting new feed: ${feed.url}`);
-          // Insert new feed
-          const result = await dbRun(
-            'INSERT INTO feeds (url, title, description, is_active) VALUES (?, ?, ?, 1)',
-            [feed.url, feed.title, feed.description]
-          );
-          
-          if (result.lastID) {
-            restoredCount++;
-            console.log(`✅ Inserted new feed: ${feed.url} (ID: ${result.lastID})`);
-          }
+        const folderId = Array.isArray(feed.folder) ? await ensureFolderPath(feed.folder) : undefined;
+        const status = await upsertFeedFromBackup(feed, folderId);
+        if (status === 'inserted' || status === 'updated') {
+          restoredCount++;
+        } else if (status === 'skipped') {
+          skipped.push(feed.url);
         }
       } catch (error) {
         console.error(`❌ Error processing feed ${feed.url}:`, error.message);
@@ -101,8 +198,10 @@ router.post('/feeds/restore', (req, res) => {
     sendSuccess(res, {
       restoredCount,
       errorCount,
-      errors: errors.length > 0 ? errors : undefined
-    }, `Restore completed: ${restoredCount} feeds restored, ${errorCount} errors`);
+      errors: errors.length > 0 ? errors : undefined,
+      skipped: skipped.length > 0 ? skipped : undefined
+    }, `Restore completed: ${restoredCount} feeds restored, ${errorCount} errors` +
+      (skipped.length > 0 ? `; ${skipped.length} trashed or unsubscribed feeds skipped` : ''));
   };
   
   processFeeds().catch(error => {
@@ -114,35 +213,116 @@ router.post('/feeds/restore', (req, res) => {
   });
 });
 
-// システム情報の取得
-router.get('/info', (req, res) => {
-  const dbAdapter = require('../models/database');
+// OPML形式でのエクスポート（フォルダ階層を保持）
+router.get('/opml', async (req, res) => {
+  console.log('📥 OPML export request received');
   
-  db.get('SELECT COUNT(*) as feed_count FROM feeds WHERE is_active = 1', (err, feedResult) => {
-    if (err) {
-      return handleDatabaseError(res, err, 'fetch feed count');
+  try {
+    // スクレイピング型とメールマガジンのFeedはRSSリーダーで読めないため除外
+    const feeds = await db.query(
+      "SELECT * FROM feeds WHERE is_active = 1 AND (feed_type IS NULL OR feed_type NOT IN ('scraped', 'email')) ORDER BY COALESCE(custom_title, title)"
+    );
+    const folderPaths = await getFolderPaths();
+    
+    const opml = buildOpml(feeds.map(feed => ({
+      url: feed.url,
+      // ユーザーが付けた表示名を優先
+      title: feed.custom_title || feed.title,
+      description: feed.description,
+      folder: folderPaths.get(feed.folder_id) || []
+    })), { title: 'Newsfeeder Subscriptions' });
+    
+    console.log(`✅ Exported ${feeds.length} feeds as OPML`);
+    
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'text/x-opml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="newsfeeder-subscriptions-${date}.opml"`);
+    res.send(opml);
+  } catch (error) {
+    handleDatabaseError(res, error, 'export feeds as OPML');
+  }
+});
+
+// OPML形式でのインポート（XML本文、または { opml: "<opml>..." } のJSON）
+router.post('/opml', express.text({ type: ['text/*', 'application/xml', 'application/*+xml'], limit: '5mb' }), async (req, res) => {
+  console.log('📤 OPML import request received');
+  
+  const xml = typeof req.body === 'string' ? req.body : req.body?.opml;
+  if (!xml || typeof xml !== 'string') {
+    return sendError(res, 400, 'Invalid OPML data. Send the OPML document as the request body or as { opml }.');
+  }
+  
+  let parsed;
+  try {
+    parsed = parseOpml(xml);
+  } catch (error) {
+    console.error('❌ OPML parse error:', error.message);
+    return sendError(res, 400, 'Failed to parse OPML document', { error: error.message });
+  }
+  
+  console.log(`📊 Processing OPML import for ${parsed.feeds.length} feeds`);
+  
+  let restoredCount = 0;
+  let errorCount = 0;
+  const errors = [];
+  const skipped = [];
+  
+  for (const feed of parsed.feeds) {
+    try {
+      const folderId = await ensureFolderPath(feed.folder);
+      const status = await upsertFeedFromBackup({ url: feed.url, label: feed.title, description: feed.description }, folderId);
+      if (status === 'inserted' || status === 'updated') {
+        restoredCount++;
+      } else if (status === 'skipped') {
+        skipped.push(feed.url);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing feed ${feed.url}:`, error.message);
+      errors.push(`Error processing feed ${feed.url}: ${error.message}`);
+      errorCount++;
     }
+  }
+  
+  console.log(`✅ OPML import completed: ${restoredCount} feeds restored, ${errorCount} errors`);
+  
+  sendSuccess(res, {
+    restoredCount,
+    errorCount,
+    errors: errors.length > 0 ? errors : undefined,
+    skipped: skipped.length > 0 ? skipped : undefined
+  }, `OPML import completed: ${restoredCount} feeds restored, ${errorCount} errors` +
+    (skipped.length > 0 ? `; ${skipped.length} trashed or unsubscribed feeds skipped` : ''));
+});
+
+// システム情報（データベースのサイズと、次回のメンテナンスで削除される件数を含む）
+router.get('/info', async (req, res) => {
+  try {
+    const feedResult = await dbGet('SELECT COUNT(*) as feed_count FROM feeds WHERE is_active = 1');
+    const articleResult = await dbGet('SELECT COUNT(*) as article_count FROM articles');
+    const starredResult = await dbGet('SELECT COUNT(*) as starred_count FROM articles WHERE is_starred = 1');
     
-    db.get('SELECT COUNT(*) as article_count FROM articles', (err, articleResult) => {
-      if (err) {
-        return handleDatabaseError(res, err, 'fetch article count');
+    sendSuccess(res, {
+      version: require('../../package.json').version,
+      database: {
+        type: db.dbType || 'unknown',
+        size_bytes: await db.getDatabaseSize(),
+        feeds: Number(feedResult.feed_count),
+        articles: Number(articleResult.article_count),
+        starred_articles: Number(starredResult.starred_count)
+      },
+      retention: {
+        next_prune: await previewPrune(),
+        last_prune: getLastPruneResult()
+      },
+      environment: {
+        node_env: process.env.NODE_ENV,
+        railway: !!process.env.RAILWAY_ENVIRONMENT,
+        database_url_set: !!process.env.DATABASE_URL
       }
-      
-      sendSuccess(res, {
-        version: require('../../package.json').version,
-        database: {
-          type: dbAdapter.dbType || 'unknown',
-          feeds: feedResult.feed_count,
-          articles: articleResult.article_count
-        },
-        environment: {
-          node_env: process.env.NODE_ENV,
-          railway: !!process.env.RAILWAY_ENVIRONMENT,
-          database_url_set: !!process.env.DATABASE_URL
-        }
-      }, 'System information retrieved successfully');
-    });
-  });
+    }, 'System information retrieved successfully');
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch system information');
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,31 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/database');
-const Parser = require('rss-parser');
-const { updateProductHuntApps } = require('../utils/scheduler');
+const { updateProductHuntApps, scheduleNextPoll, updateSingleFeed } = require('../utils/scheduler');
 const productHuntClient = require('../utils/producthunt-client');
-const { detectContentType } = require('../utils/content-type');
+const { resolveContentType, CONTENT_TYPES } = require('../utils/content-type');
+const { fetchFeed, saveFetchState } = require('../utils/feed-fetcher');
+const { ingestItems, parseBackfillDepth, getBackfillDepth, MAX_BACKFILL_DEPTH } = require('../utils/feed-ingestion');
+const { discoverFeeds } = require('../utils/feed-discovery');
+const { getFeedHealth } = require('../utils/feed-health');
+const { ensureSubscription, unsubscribeFeed } = require('../utils/websub');
+const { SCRAPED_FEED_TYPE, normalizeScrapeConfig } = require('../utils/page-scraper');
+const { EMAIL_FEED_TYPE } = require('../utils/newsletter');
+const { normalizePollInterval, MIN_FIXED_INTERVAL, MAX_FIXED_INTERVAL } = require('../utils/poll-interval');
+const { startRefreshJob, getJob, serializeJob, REFRESH_CONCURRENCY, REFRESH_PER_HOST_LIMIT } = require('../utils/refresh-jobs');
+const { getTrashedFeeds, restoreFeed, purgeFeed } = require('../utils/feed-trash');
+const { normalizeCredentials, encryptCredentials, maskFeedCredentials } = require('../utils/feed-credentials');
+const { resolveYouTubeFeed } = require('../utils/youtube-feed-resolver');
+const { buildFeedPreview } = require('../utils/feed-preview');
+const { parseRetentionValue } = require('../utils/retention');
+const { getFeedAnalytics } = require('../utils/feed-analytics');
 const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
+const { updateRecord } = require('../utils/database-helpers');
 
-// RSS パーサーにタイムアウト設定を追加（20秒）
-const parser = new Parser({
-  timeout: 20000,
-  headers: {
-    'User-Agent': 'RSS Feed News Tool/1.0'
-  }
-});
+// スクレイピングのプレビューで返す件数
+const SCRAPE_PREVIEW_LIMIT = 20;
 
 router.get('/', (req, res) => {
-  db.all('SELECT * FROM feeds WHERE is_active = 1 ORDER BY created_at DESC', (err, rows) => {
+  db.all(`
+    SELECT f.*, COALESCE(f.custom_title, f.title) as display_title, ws.state as websub_state
+    FROM feeds f
+    LEFT JOIN websub_subscriptions ws ON ws.feed_id = f.id
+    WHERE f.is_active = 1
+    ORDER BY f.created_at DESC
+  `, (err, rows) => {
     if (err) {
       return handleDatabaseError(res, err, 'fetch feeds');
     }
-    sendSuccess(res, rows);
+    sendSuccess(res, rows.map(maskFeedCredentials));
   });
 });
 
 router.post('/', async (req, res) => {
-  const { url } = req.body;
+  let { url } = req.body;
+  const importArchive = req.body.import_archive === true;
+  const backfillDepth = parseBackfillDepth(req.body.backfill_depth);
   const requestId = Math.random().toString(36).substring(7);
   
   console.log(`🚀 [${requestId}] Feed registration request started:`, {
@@ -47,12 +65,48 @@ router.post('/', async (req, res) => {
     console.log(`❌ [${requestId}] Invalid URL format:`, e.message);
     return res.status(400).json({ error: 'Invalid URL format' });
   }
+  
+  if (backfillDepth === undefined) {
+    return res.status(400).json({ error: `backfill_depth must be 'all' or an integer between 0 and ${MAX_BACKFILL_DEPTH}` });
+  }
+  
+  let credentials;
+  try {
+    credentials = encryptCredentialsInput(req.body.credentials);
+  } catch (error) {
+    return sendError(res, 400, 'Invalid credentials', { error: error.message });
+  }
+  
+  // YouTubeのチャンネル・ハンドル・プレイリストのURLはAtomフィードのURLに変換
+  let youtube = null;
+  try {
+    youtube = await resolveYouTubeFeed(url);
+  } catch (error) {
+    console.log(`❌ [${requestId}] YouTube URL resolution failed for ${url}:`, error.message);
+    return sendError(res, 400, 'Could not resolve the YouTube channel or playlist', { error: error.message });
+  }
+  if (youtube) {
+    console.log(`📺 [${requestId}] Resolved YouTube URL to feed: ${youtube.feedUrl}`);
+    url = youtube.feedUrl;
+  }
 
   try {
     console.log(`📡 [${requestId}] Starting RSS feed parsing for: ${url}`);
     const startTime = Date.now();
     
-    const feed = await parser.parseURL(url);
+    const source = await fetchFeedOrDiscover(url, credentials, requestId);
+    if (source.candidates) {
+      return res.json({
+        message: 'Multiple feeds found. Please choose one to subscribe.',
+        requiresSelection: true,
+        sourceUrl: url,
+        candidates: source.candidates
+      });
+    }
+    
+    url = source.url;
+    const fetchResult = source.fetchResult;
+    const feed = fetchResult.feed;
     const parseTime = Date.now() - startTime;
     
     console.log(`✅ [${requestId}] RSS feed parsed successfully:`, {
@@ -62,6 +116,10 @@ router.post('/', async (req, res) => {
       description: feed.description?.substring(0, 100)
     });
     
+    // YouTubeから解決した場合はチャンネル名（プレイリスト名）とアイコンを保存
+    const title = youtube?.title || feed.title || '';
+    const imageUrl = youtube?.imageUrl || null;
+    
     // 既存のFeed（削除済み含む）をチェック  
     console.log(`🔍 [${requestId}] Starting database feed existence check`);
     const dbStartTime = Date.now();
@@ -80,13 +138,15 @@ router.post('/', async (req, res) => {
         console.log(`🔄 [${requestId}] Reactivating deleted feed: ID=${existingFeed.id}`);
         // 削除済みFeedを再アクティブ化
         await db.run(
-          'UPDATE feeds SET is_active = 1, title = ?, description = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
-          [feed.title || '', feed.description || '', existingFeed.id]
+          'UPDATE feeds SET is_active = 1, deleted_at = NULL, is_paused = 0, paused_reason = NULL, consecutive_failures = 0, title = ?, description = ?, backfill_depth = COALESCE(?, backfill_depth), credentials = COALESCE(?, credentials), image_url = COALESCE(?, image_url), last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+          [title, feed.description || '', backfillDepth, credentials || null, imageUrl, existingFeed.id]
         );
+        await saveFetchState(existingFeed.id, fetchResult);
+        requestWebSubSubscription({ id: existingFeed.id, url }, fetchResult);
         
         console.log(`✅ [${requestId}] Feed reactivated, processing initial articles`);
-        // 最新5記事を取得して追加 (既に解析済みのfeedデータを渡す)
-        return processNewFeedArticles(existingFeed.id, url, feed.title || '', res, requestId, feed);
+        // 設定件数分の記事を追加 (既に解析済みのfeedデータを渡す)
+        return processNewFeedArticles(existingFeed.id, url, title, res, requestId, feed, { importArchive });
       }
     } else {
       console.log(`➕ [${requestId}] Adding new feed to database`);
@@ -94,17 +154,19 @@ router.post('/', async (req, res) => {
       
       // 新規Feed追加
       const result = await db.run(
-        'INSERT INTO feeds (url, title, description, last_updated) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
-        [url, feed.title || '', feed.description || '']
+        'INSERT INTO feeds (url, title, description, backfill_depth, credentials, image_url, last_updated) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [url, title, feed.description || '', backfillDepth, credentials || null, imageUrl]
       );
       
       const insertTime = Date.now() - insertStartTime;
       console.log(`📊 [${requestId}] Feed insert completed in ${insertTime}ms`);
       
       const feedId = result.lastID;
+      await saveFetchState(feedId, fetchResult);
+      requestWebSubSubscription({ id: feedId, url }, fetchResult);
       console.log(`✅ [${requestId}] New feed inserted with ID: ${feedId}, starting article processing`);
-      // 最新5記事を取得して追加 (既に解析済みのfeedデータを渡す)
-      return processNewFeedArticles(feedId, url, feed.title || '', res, requestId, feed);
+      // 設定件数分の記事を追加 (既に解析済みのfeedデータを渡す)
+      return processNewFeedArticles(feedId, url, title, res, requestId, feed, { importArchive });
     }
   } catch (error) {
     console.error(`❌ [${requestId}] RSS parsing failed:`, {
@@ -114,23 +176,157 @@ router.post('/', async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
-    let errorMessage = 'Invalid RSS feed URL or unable to parse feed';
-    if (error.message.includes('timeout')) {
-      errorMessage = 'RSS feed request timed out. Please try again.';
-    } else if (error.message.includes('ENOTFOUND')) {
-      errorMessage = 'RSS feed URL not found. Please check the URL.';
-    } else if (error.message.includes('ECONNREFUSED')) {
-      errorMessage = 'Connection refused. The server may be down.';
+    res.status(400).json({ error: describeFeedFetchError(error) });
+  }
+});
+
+// 購読前のプレビュー（タイトル・種類・投稿頻度・最新20件、データベースには書き込まない）
+router.post('/preview', async (req, res) => {
+  let { url } = req.body;
+  const requestId = Math.random().toString(36).substring(7);
+  
+  if (!url) {
+    return sendError(res, 400, 'URL is required');
+  }
+  try {
+    new URL(url);
+  } catch (e) {
+    return sendError(res, 400, 'Invalid URL format');
+  }
+  
+  let credentials;
+  try {
+    credentials = encryptCredentialsInput(req.body.credentials);
+  } catch (error) {
+    return sendError(res, 400, 'Invalid credentials', { error: error.message });
+  }
+  
+  let youtube = null;
+  try {
+    youtube = await resolveYouTubeFeed(url);
+  } catch (error) {
+    return sendError(res, 400, 'Could not resolve the YouTube channel or playlist', { error: error.message });
+  }
+  if (youtube) {
+    url = youtube.feedUrl;
+  }
+  
+  try {
+    const source = await fetchFeedOrDiscover(url, credentials, requestId);
+    if (source.candidates) {
+      return sendSuccess(res, {
+        requiresSelection: true,
+        sourceUrl: url,
+        candidates: source.candidates
+      }, 'Multiple feeds found. Please choose one to preview.');
+    }
+    
+    const preview = buildFeedPreview(source.fetchResult.feed);
+    const existingFeed = await db.get('SELECT id, is_active FROM feeds WHERE url = ?', [source.url]);
+    
+    sendSuccess(res, {
+      url: source.url,
+      ...preview,
+      title: youtube?.title || preview.title,
+      imageUrl: youtube?.imageUrl || null,
+      alreadySubscribed: existingFeed?.is_active === 1
+    });
+  } catch (error) {
+    console.error(`❌ [${requestId}] Feed preview failed for ${url}:`, error.message);
+    sendError(res, 400, describeFeedFetchError(error), { error: error.message });
+  }
+});
+
+// スクレイピング型Feedの抽出結果プレビュー（保存はしない）
+router.post('/scraped/preview', async (req, res) => {
+  const { url, selectors } = req.body;
+  
+  const validationError = validateScrapedFeedInput(url, selectors);
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+  
+  try {
+    const scrapeConfig = normalizeScrapeConfig(selectors);
+    const credentials = encryptCredentialsInput(req.body.credentials);
+    const { feed } = await fetchFeed({ url, feed_type: SCRAPED_FEED_TYPE, scrape_config: scrapeConfig, credentials });
+    
+    sendSuccess(res, {
+      title: feed.title,
+      description: feed.description,
+      itemCount: feed.items.length,
+      items: feed.items.slice(0, SCRAPE_PREVIEW_LIMIT).map(item => ({
+        title: item.title,
+        link: item.link,
+        pub_date: item.isoDate || null
+      }))
+    });
+  } catch (error) {
+    console.error(`❌ Scraper preview failed for ${url}:`, error.message);
+    sendError(res, 400, 'Failed to extract items from the page', { error: error.message });
+  }
+});
+
+// スクレイピング型Feedの登録
+router.post('/scraped', async (req, res) => {
+  const { url, selectors } = req.body;
+  const requestId = Math.random().toString(36).substring(7);
+  
+  const validationError = validateScrapedFeedInput(url, selectors);
+  if (validationError) {
+    return sendError(res, 400, validationError);
+  }
+  
+  try {
+    const scrapeConfig = normalizeScrapeConfig(selectors);
+    const credentials = encryptCredentialsInput(req.body.credentials);
+    const fetchResult = await fetchFeed({ url, feed_type: SCRAPED_FEED_TYPE, scrape_config: scrapeConfig, credentials });
+    const page = fetchResult.feed;
+    
+    if (page.items.length === 0) {
+      return sendError(res, 400, 'No items matched the selectors. Use the preview to adjust them.');
+    }
+    
+    const title = (req.body.title || '').trim() || page.title || url;
+    const existingFeed = await db.get('SELECT id, is_active FROM feeds WHERE url = ?', [url]);
+    let feedId;
+    
+    if (existingFeed && existingFeed.is_active === 1) {
+      return sendError(res, 409, 'Feed already exists');
+    }
+    
+    if (existingFeed) {
+      console.log(`🔄 [${requestId}] Reactivating deleted feed as scraped feed: ID=${existingFeed.id}`);
+      await db.run(
+        `UPDATE feeds SET is_active = 1, deleted_at = NULL, is_paused = 0, paused_reason = NULL, consecutive_failures = 0,
+         title = ?, description = ?, feed_type = ?, scrape_config = ?, credentials = COALESCE(?, credentials),
+         last_updated = CURRENT_TIMESTAMP WHERE id = ?`,
+        [title, page.description, SCRAPED_FEED_TYPE, JSON.stringify(scrapeConfig), credentials || null, existingFeed.id]
+      );
+      feedId = existingFeed.id;
+    } else {
+      const result = await db.run(
+        `INSERT INTO feeds (url, title, description, feed_type, scrape_config, credentials, last_updated)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [url, title, page.description, SCRAPED_FEED_TYPE, JSON.stringify(scrapeConfig), credentials || null]
+      );
+      feedId = result.lastID;
     }
     
-    res.status(400).json({ error: errorMessage });
+    await saveFetchState(feedId, fetchResult);
+    console.log(`✅ [${requestId}] Scraped feed registered with ID: ${feedId} (${page.items.length} items found)`);
+    return processNewFeedArticles(feedId, url, title, res, requestId, page);
+  } catch (error) {
+    console.error(`❌ [${requestId}] Scraped feed registration failed for ${url}:`, error.message);
+    sendError(res, 400, 'Failed to extract items from the page', { error: error.message });
   }
 });
 
+// 削除はゴミ箱への移動（記事は残し、復元または完全削除できる）
 router.delete('/:id', (req, res) => {
   const { id } = req.params;
   
-  db.run('UPDATE feeds SET is_active = 0 WHERE id = ?', [id], function(err) {
+  db.run('UPDATE feeds SET is_active = 0, deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1', [id], function(err) {
     if (err) {
       return handleDatabaseError(res, err, 'delete feed');
     }
@@ -139,10 +335,308 @@ router.delete('/:id', (req, res) => {
       return sendError(res, 404, 'Feed not found');
     }
     
-    sendSuccess(res, null, 'Feed deleted successfully');
+    unsubscribeFeed(id).catch(error => {
+      console.error(`⚠️ WebSub unsubscribe error for feed ${id}: ${error.message}`);
+    });
+    
+    sendSuccess(res, null, 'Feed moved to trash');
   });
 });
 
+// ゴミ箱のFeed一覧
+router.get('/trash', async (req, res) => {
+  try {
+    const feeds = await getTrashedFeeds();
+    sendSuccess(res, feeds);
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch trashed feeds');
+  }
+});
+
+// ゴミ箱からFeedを復元
+router.post('/:id/restore', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const restored = await restoreFeed(id);
+    if (!restored) {
+      return sendError(res, 404, 'Feed not found in trash');
+    }
+    
+    sendSuccess(res, { id: parseInt(id, 10) }, 'Feed restored');
+  } catch (error) {
+    handleDatabaseError(res, error, 'restore feed');
+  }
+});
+
+// ゴミ箱のFeedを記事・要約リクエスト・キャッシュごと完全に削除
+router.delete('/:id/purge', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const result = await purgeFeed(id);
+    if (!result) {
+      const feed = await db.get('SELECT id FROM feeds WHERE id = ?', [id]);
+      return feed
+        ? sendError(res, 409, 'Feed must be moved to trash before it can be permanently deleted')
+        : sendError(res, 404, 'Feed not found');
+    }
+    
+    sendSuccess(res, result, 'Feed permanently deleted');
+  } catch (error) {
+    handleDatabaseError(res, error, 'permanently delete feed');
+  }
+});
+
+// Feed設定の編集（表示名・URL・一時停止・コンテンツタイプ・ポーリング間隔・取得件数・フォルダ・全文取得・認証情報）
+router.patch('/:id', async (req, res) => {
+  const { id } = req.params;
+  const {
+    custom_title, url, is_paused, content_type_override, poll_interval, folder_id, backfill_depth, selectors, fetch_full_text, credentials,
+    max_articles
+  } = req.body;
+  
+  try {
+    const feed = await db.get('SELECT * FROM feeds WHERE id = ? AND is_active = 1', [id]);
+    if (!feed) {
+      return sendError(res, 404, 'Feed not found');
+    }
+    
+    const updates = {};
+    
+    if (custom_title !== undefined) {
+      updates.custom_title = (custom_title && String(custom_title).trim()) || null;
+    }
+    
+    if (content_type_override !== undefined) {
+      if (content_type_override && !CONTENT_TYPES.includes(content_type_override)) {
+        return sendError(res, 400, `content_type_override must be one of: ${CONTENT_TYPES.join(', ')}`);
+      }
+      updates.content_type_override = content_type_override || null;
+    }
+    
+    if (poll_interval !== undefined) {
+      const pollInterval = normalizePollInterval(poll_interval);
+      if (pollInterval === undefined) {
+        return sendError(res, 400, `poll_interval must be null or an integer between ${MIN_FIXED_INTERVAL} and ${MAX_FIXED_INTERVAL} minutes`);
+      }
+      updates.poll_interval = pollInterval;
+    }
+    
+    if (backfill_depth !== undefined) {
+      const backfillDepth = parseBackfillDepth(backfill_depth);
+      if (backfillDepth === undefined) {
+        return sendError(res, 400, `backfill_depth must be null, 'all' or an integer between 0 and ${MAX_BACKFILL_DEPTH}`);
+      }
+      updates.backfill_depth = backfillDepth;
+    }
+    
+    // null で既定の上限（RETENTION_MAX_ARTICLES_PER_FEED）、0 で無制限
+    if (max_articles !== undefined) {
+      const maxArticles = parseRetentionValue(max_articles);
+      if (maxArticles === undefined) {
+        return sendError(res, 400, 'max_articles must be null or a non-negative integer');
+      }
+      updates.max_articles = maxArticles;
+    }
+    
+    if (selectors !== undefined) {
+      if (feed.feed_type !== SCRAPED_FEED_TYPE) {
+        return sendError(res, 400, 'selectors can only be set on scraped feeds');
+      }
+      try {
+        updates.scrape_config = JSON.stringify(normalizeScrapeConfig(selectors));
+      } catch (error) {
+        return sendError(res, 400, error.message);
+      }
+      // 次回取得時にページが変わっていなくても新しいセレクターで再抽出する
+      updates.content_hash = null;
+    }
+    
+    if (folder_id !== undefined) {
+      const folderId = folder_id ? Number(folder_id) : null;
+      if (folderId !== null && !(await db.get('SELECT id FROM folders WHERE id = ?', [folderId]))) {
+        return sendError(res, 400, 'Folder not found');
+      }
+      updates.folder_id = folderId;
+    }
+    
+    if (fetch_full_text !== undefined) {
+      updates.fetch_full_text = fetch_full_text ? 1 : 0;
+    }
+    
+    // null または空のオブジェクトで認証情報を削除
+    if (credentials !== undefined) {
+      try {
+        updates.credentials = encryptCredentialsInput(credentials);
+      } catch (error) {
+        return sendError(res, 400, 'Invalid credentials', { error: error.message });
+      }
+    }
+    
+    if (is_paused !== undefined) {
+      Object.assign(updates, is_paused
+        ? { is_paused: 1, paused_reason: 'manual' }
+        : { is_paused: 0, paused_reason: null, consecutive_failures: 0, next_poll_at: null });
+    }
+    
+    // フィードの移転: 既存記事はそのまま、取得状態のみリセット
+    if (url !== undefined && url !== feed.url) {
+      if (feed.feed_type === EMAIL_FEED_TYPE) {
+        return sendError(res, 400, 'The address of a newsletter feed cannot be changed');
+      }
+      
+      try {
+        new URL(url);
+      } catch (e) {
+        return sendError(res, 400, 'Invalid URL format');
+      }
+      
+      const duplicate = await db.get('SELECT id FROM feeds WHERE url = ? AND id != ?', [url, feed.id]);
+      if (duplicate) {
+        return sendError(res, 409, 'Another feed already uses this URL');
+      }
+      
+      try {
+        await fetchFeed({
+          url,
+          feed_type: feed.feed_type,
+          scrape_config: updates.scrape_config || feed.scrape_config,
+          credentials: updates.credentials !== undefined ? updates.credentials : feed.credentials
+        });
+      } catch (error) {
+        return sendError(res, 400, 'The new URL could not be read as a feed', { error: error.message });
+      }
+      
+      Object.assign(updates, {
+        url,
+        etag: null,
+        last_modified: null,
+        content_hash: null,
+        next_poll_at: null,
+        consecutive_failures: 0,
+        last_error: null
+      });
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      return sendError(res, 400, 'No editable fields provided');
+    }
+    
+    // 移転前のトピックへのプッシュ配信は停止（新しいURLは次回取得時に購読）
+    if (updates.url) {
+      await unsubscribeFeed(feed.id);
+    }
+    
+    const updated = await updateRecord('feeds', feed.id, updates);
+    
+    // コンテンツタイプ指定を変更した場合は既存記事にも反映
+    if (updates.content_type_override !== undefined && updates.content_type_override !== feed.content_type_override) {
+      await applyContentTypeOverride(updated);
+    }
+    
+    if (updates.poll_interval !== undefined) {
+      await scheduleNextPoll(updated);
+    }
+    
+    console.log(`✏️ Feed ${feed.id} updated: ${Object.keys(updates).join(', ')}`);
+    sendSuccess(res, {
+      ...maskFeedCredentials(updated),
+      display_title: updated.custom_title || updated.title
+    }, 'Feed updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update feed');
+  }
+});
+
+// Feed別ポーリング間隔の設定（null で自動調整に戻す）
+router.put('/:id/poll-interval', async (req, res) => {
+  const { id } = req.params;
+  const pollInterval = normalizePollInterval(req.body.poll_interval);
+  
+  if (pollInterval === undefined) {
+    return sendError(res, 400, `poll_interval must be null or an integer between ${MIN_FIXED_INTERVAL} and ${MAX_FIXED_INTERVAL} minutes`);
+  }
+  
+  try {
+    const feed = await db.get('SELECT * FROM feeds WHERE id = ? AND is_active = 1', [id]);
+    if (!feed) {
+      return sendError(res, 404, 'Feed not found');
+    }
+    
+    await db.run('UPDATE feeds SET poll_interval = ? WHERE id = ?', [pollInterval, id]);
+    const schedule = await scheduleNextPoll({ ...feed, poll_interval: pollInterval });
+    
+    sendSuccess(res, {
+      id: feed.id,
+      poll_interval: pollInterval,
+      mode: pollInterval ? 'fixed' : 'adaptive',
+      interval_minutes: schedule.interval,
+      next_poll_at: schedule.nextPollAt
+    }, 'Poll interval updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update poll interval');
+  }
+});
+
+// Feedのフォルダ割り当て（null でフォルダなし）
+router.put('/:id/folder', async (req, res) => {
+  const { id } = req.params;
+  const folderId = req.body.folder_id ? Number(req.body.folder_id) : null;
+  
+  try {
+    if (folderId !== null) {
+      const folder = await db.get('SELECT id FROM folders WHERE id = ?', [folderId]);
+      if (!folder) {
+        return sendError(res, 400, 'Folder not found');
+      }
+    }
+    
+    const result = await db.run('UPDATE feeds SET folder_id = ? WHERE id = ? AND is_active = 1', [folderId, id]);
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Feed not found');
+    }
+    
+    sendSuccess(res, { id: Number(id), folder_id: folderId }, 'Feed folder updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update feed folder');
+  }
+});
+
+// Feedの取得状態と直近の取得履歴
+router.get('/:id/health', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+  
+  try {
+    const health = await getFeedHealth(req.params.id, limit);
+    if (!health) {
+      return sendError(res, 404, 'Feed not found');
+    }
+    
+    sendSuccess(res, health);
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch feed health');
+  }
+});
+
+// 一時停止中のFeedを再開（失敗回数もリセット）
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const result = await db.run(
+      'UPDATE feeds SET is_paused = 0, paused_reason = NULL, consecutive_failures = 0, next_poll_at = NULL WHERE id = ? AND is_active = 1',
+      [req.params.id]
+    );
+    
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Feed not found');
+    }
+    
+    sendSuccess(res, null, 'Feed resumed');
+  } catch (error) {
+    handleDatabaseError(res, error, 'resume feed');
+  }
+});
+
 // Feed別記事件数確認エンドポイント
 router.get('/article-stats', (req, res) => {
   db.all(`
@@ -175,92 +669,85 @@ router.get('/article-stats', (req, res) => {
   });
 });
 
-router.post('/refresh', async (req, res) => {
+// Feed別の統計（直近30日・90日）と購読解除の候補
+router.get('/analytics', async (req, res) => {
   try {
-    db.all('SELECT * FROM feeds WHERE is_active = 1', async (err, feeds) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
+    sendSuccess(res, await getFeedAnalytics());
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch feed analytics');
+  }
+});
 
-      let processedCount = 0;
-      for (const feed of feeds) {
-        try {
-          const parsedFeed = await parser.parseURL(feed.url);
-          
-          // 最新5件のみに制限し、日付順でソート
-          const sortedItems = parsedFeed.items
-            .sort((a, b) => new Date(b.pubDate || b.isoDate || 0) - new Date(a.pubDate || a.isoDate || 0))
-            .slice(0, 5);
-
-          console.log(`📊 Processing ${sortedItems.length} articles from feed: ${feed.title || feed.url}`);
-          console.log(`🔍 Feed ID: ${feed.id}, Total items in RSS: ${parsedFeed.items.length}, Limited to: ${sortedItems.length}`);
-          
-          let newArticlesCount = 0;
-          for (const item of sortedItems) {
-            const guid = item.guid || item.link;
-            const contentType = detectContentType(item.link);
-            
-            // 既存記事チェック（より厳密な重複防止）
-            const existingArticle = await new Promise((resolve, reject) => {
-              db.get(
-                'SELECT id FROM articles WHERE guid = ? OR (link = ? AND feed_id = ?)',
-                [guid, item.link, feed.id],
-                (err, row) => {
-                  if (err) reject(err);
-                  else resolve(row);
-                }
-              );
-            });
-
-            if (!existingArticle) {
-              await new Promise((resolve, reject) => {
-                db.run(
-                  `INSERT INTO articles 
-                   (feed_id, guid, title, link, description, pub_date, content_type) 
-                   VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                  [
-                    feed.id,
-                    guid,
-                    item.title || '',
-                    item.link || '',
-                    item.contentSnippet || item.content || '',
-                    item.pubDate || item.isoDate || new Date().toISOString(),
-                    contentType
-                  ],
-                  function(err) {
-                    if (err) reject(err);
-                    else {
-                      newArticlesCount++;
-                      resolve();
-                    }
-                  }
-                );
-              });
-            }
-          }
-          
-          console.log(`✅ Added ${newArticlesCount} new articles from feed: ${feed.title || feed.url}`);
-          console.log(`📈 Feed ${feed.id} summary: ${sortedItems.length} processed, ${newArticlesCount} new articles added`);
-          
-          db.run('UPDATE feeds SET last_updated = CURRENT_TIMESTAMP WHERE id = ?', [feed.id]);
-          processedCount++;
-        } catch (feedError) {
-          console.error(`Error processing feed ${feed.url}:`, feedError);
-        }
-      }
-      
-      res.json({ 
-        message: `Processed ${processedCount} feeds`,
-        processedCount,
-        details: 'Limited to latest 5 articles per feed with duplicate prevention'
-      });
+// 全Feedの更新をバックグラウンドジョブとして開始し、ジョブIDをすぐに返す
+router.post('/refresh', async (req, res) => {
+  try {
+    const feeds = await db.query(
+      'SELECT * FROM feeds WHERE is_active = 1 AND is_paused = 0 AND (feed_type IS NULL OR feed_type != ?)',
+      [EMAIL_FEED_TYPE]
+    );
+    
+    // 取得・記事登録・取得状態の記録はスケジューラーと同じ処理を使う
+    const { job, alreadyRunning } = startRefreshJob(feeds, feed => updateSingleFeed(feed, { trigger: 'refresh' }));
+    
+    res.status(202).json({
+      message: alreadyRunning
+        ? 'A refresh is already running'
+        : `Refreshing ${job.total} feeds (up to ${REFRESH_CONCURRENCY} at a time, ${REFRESH_PER_HOST_LIMIT} per host)`,
+      jobId: job.id,
+      alreadyRunning,
+      total: job.total,
+      statusUrl: `/api/feeds/refresh/${job.id}`,
+      eventsUrl: `/api/feeds/refresh/${job.id}/events`,
+      details: `Up to ${getBackfillDepth({}, { trigger: 'refresh' }) || 'all'} articles per feed unless configured per feed, with duplicate prevention`
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to refresh feeds' });
+    handleDatabaseError(res, error, 'start feed refresh');
   }
 });
 
-// Product Hunt手動更新エンドポイント
+// 更新ジョブの進捗
+router.get('/refresh/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return sendError(res, 404, 'Refresh job not found');
+  }
+  sendSuccess(res, serializeJob(job));
+});
+
+// 更新ジョブの進捗を Server-Sent Events で配信（接続前のイベントも再送）
+router.get('/refresh/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return sendError(res, 404, 'Refresh job not found');
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const send = event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'job_completed') {
+      cleanup();
+      res.end();
+    }
+  };
+  
+  // プロキシにアイドル接続として切断されないよう定期的にコメントを送る
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.emitter.removeListener('event', send);
+  };
+  
+  req.on('close', cleanup);
+  job.emitter.on('event', send);
+  job.events.forEach(send);
+});
+
 router.post('/refresh-producthunt', async (req, res) => {
   try {
     console.log('Manual Product Hunt refresh requested');
@@ -347,66 +834,126 @@ router.get('/test-producthunt', async (req, res) => {
   }
 });
 
+function validateScrapedFeedInput(url, selectors) {
+  if (!url) {
+    return 'URL is required';
+  }
+  try {
+    new URL(url);
+  } catch (e) {
+    return 'Invalid URL format';
+  }
+  if (!selectors || !selectors.item) {
+    return 'selectors.item is required';
+  }
+  return null;
+}
+
+// URLをフィードとして取得し、フィードでなければWebサイトとしてフィードを探す（候補が複数なら candidates を返す）
+async function fetchFeedOrDiscover(url, credentials, requestId) {
+  try {
+    return { url, fetchResult: await fetchFeed({ url, credentials }) };
+  } catch (fetchError) {
+    // 通信エラーはそのまま扱い、パースできなかった場合のみWebサイトとしてフィードを探す
+    if (fetchError.isAxiosError) {
+      throw fetchError;
+    }
+    
+    console.log(`🔎 [${requestId}] Not a feed, starting autodiscovery for: ${url}`);
+    const candidates = await discoverFeeds(url);
+    console.log(`🔎 [${requestId}] Autodiscovery found ${candidates.length} candidates`);
+    
+    if (candidates.length === 0) {
+      throw new Error('No feed found on this page');
+    }
+    if (candidates.length > 1) {
+      return { candidates };
+    }
+    
+    // 候補が1件のみの場合はそのフィードを使う
+    console.log(`✅ [${requestId}] Using discovered feed: ${candidates[0].url}`);
+    return { url: candidates[0].url, fetchResult: await fetchFeed({ url: candidates[0].url, credentials }) };
+  }
+}
+
+function describeFeedFetchError(error) {
+  if (error.message.includes('timeout')) {
+    return 'RSS feed request timed out. Please try again.';
+  } else if (error.message.includes('ENOTFOUND')) {
+    return 'RSS feed URL not found. Please check the URL.';
+  } else if (error.message.includes('ECONNREFUSED')) {
+    return 'Connection refused. The server may be down.';
+  } else if (error.message.includes('No feed found')) {
+    return 'No RSS/Atom feed was found on this page. Please enter the feed URL directly.';
+  }
+  return 'Invalid RSS feed URL or unable to parse feed';
+}
+
+// 認証情報は検証してから暗号化して保存（未指定は undefined、空は null）
+function encryptCredentialsInput(input) {
+  return input === undefined ? undefined : encryptCredentials(normalizeCredentials(input));
+}
+
+// ハブを公開しているFeedはWebSubでプッシュ配信を受け取る（失敗しても登録処理は続行）
+function requestWebSubSubscription(feed, fetchResult) {
+  ensureSubscription(feed, fetchResult.websub).catch(error => {
+    console.error(`⚠️ WebSub subscription error for feed ${feed.id}: ${error.message}`);
+  });
+}
+
+// Feedのコンテンツタイプ指定を既存記事に反映（指定解除時は取り込み時の判定に戻す、記事ごとの指定は維持）
+async function applyContentTypeOverride(feed) {
+  const articles = await db.query(
+    'SELECT id, link, detected_content_type, content_type_override FROM articles WHERE feed_id = ?',
+    [feed.id]
+  );
+  
+  for (const article of articles) {
+    await db.run(
+      'UPDATE articles SET content_type = ? WHERE id = ?',
+      [resolveContentType(article, feed), article.id]
+    );
+  }
+}
+
 // 新規Feed追加時の記事処理（最新5件のみ）
-async function processNewFeedArticles(feedId, feedUrl, feedTitle, res, requestId, parsedFeed) {
+async function processNewFeedArticles(feedId, feedUrl, feedTitle, res, requestId, parsedFeed, options = {}) {
   const startTime = Date.now();
   console.log(`🔄 [${requestId}] Starting article processing for feed: ${feedTitle} (ID: ${feedId})`);
   
   try {
     // 二重RSS解析を除去: 既に解析済みのfeedデータを使用
     console.log(`📡 [${requestId}] Using pre-parsed RSS feed data (avoiding duplicate parsing)`);
-    const parseTime = 0; // 解析時間はメイン処理で計測済み
     
-    // 最新5件のみに制限し、日付順でソート
-    const sortedItems = parsedFeed.items
-      .sort((a, b) => new Date(b.pubDate || b.isoDate || 0) - new Date(a.pubDate || a.isoDate || 0))
-      .slice(0, 5);
-
-    console.log(`📊 [${requestId}] Processing ${sortedItems.length}/${parsedFeed.items.length} articles`);
+    // 再登録されたFeedのコンテンツタイプ指定・ポーリング間隔・取得件数を引き継ぐ
+    const feedRow = await db.get(
+      'SELECT id, poll_interval, content_type_override, backfill_depth, fetch_full_text FROM feeds WHERE id = ?',
+      [feedId]
+    );
     
-    let newArticlesCount = 0;
-    let errorCount = 0;
+    const stats = await ingestItems(feedRow, parsedFeed.items, { importArchive: options.importArchive, trigger: 'subscribe', channel: parsedFeed });
+    console.log(`📊 [${requestId}] Processed ${stats.processed}/${parsedFeed.items.length} articles${options.importArchive ? ' (whole archive)' : ''}`);
     
-    // Promise-based database operations for consistency
-    for (const item of sortedItems) {
-      const guid = item.guid || item.link;
-      const contentType = detectContentType(item.link);
-      
-      try {
-        await db.run(
-          `INSERT INTO articles 
-           (feed_id, guid, title, link, description, pub_date, content_type) 
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            feedId,
-            guid,
-            item.title || '',
-            item.link || '',
-            item.contentSnippet || item.content || '',
-            item.pubDate || item.isoDate || new Date().toISOString(),
-            contentType
-          ]
-        );
-        newArticlesCount++;
-      } catch (error) {
-        if (error.code === 'SQLITE_CONSTRAINT' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-          // 重複は正常として扱う（カウントに含めない）
-        } else {
-          errorCount++;
-        }
-      }
+    // 取得した記事の投稿間隔から次回ポーリング時刻を設定
+    try {
+      await scheduleNextPoll(feedRow);
+    } catch (scheduleError) {
+      console.error(`⚠️ [${requestId}] Failed to schedule next poll: ${scheduleError.message}`);
     }
     
     const totalTime = Date.now() - startTime;
-    console.log(`✅ [${requestId}] Completed: ${newArticlesCount} new, ${sortedItems.length - newArticlesCount - errorCount} duplicates, ${errorCount} errors (${totalTime}ms)`);
+    console.log(`✅ [${requestId}] Completed: ${stats.newArticles} new, ${stats.duplicates} duplicates, ${stats.merged} merged, ${stats.filtered} filtered, ${stats.errors} errors (${totalTime}ms)`);
     
     res.status(201).json({
       id: feedId,
       url: feedUrl,
       title: feedTitle,
-      message: `Feed added successfully with ${newArticlesCount} articles`,
-      articlesAdded: newArticlesCount,
-      duplicatesSkipped: sortedItems.length - newArticlesCount - errorCount,
+      message: `Feed added successfully with ${stats.newArticles} articles`,
+      articlesAdded: stats.newArticles,
+      duplicatesSkipped: stats.duplicates,
+      mergedIntoExisting: stats.merged,
+      filteredOut: stats.filtered,
+      markedRead: stats.markedRead,
       processingTime: totalTime
     });
     
@@ -425,5 +972,4 @@ async function processNewFeedArticles(feedId, feedUrl, feedTitle, res, requestId
   }
 }
 
-
 module.exports = router;
\ No newline at end of file
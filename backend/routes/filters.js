@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const { sendError, sendSuccess, sendCreated, handleDatabaseError } = require('../utils/response-helpers');
+const {
+  DRY_RUN_LIMIT,
+  normalizeFilter,
+  compileFilter,
+  evaluateItem,
+  loadFeedFilters
+} = require('../utils/feed-filters');
+
+async function findFeed(feedId) {
+  return db.get('SELECT id FROM feeds WHERE id = ? AND is_active = 1', [feedId]);
+}
+
+// フィルター一覧（feed_id=global で全Feed共通のみ、feed_id=N でそのFeedのみ）
+router.get('/', async (req, res) => {
+  const { feed_id } = req.query;
+
+  let query = `
+    SELECT ff.*, COALESCE(f.custom_title, f.title) as feed_title
+    FROM feed_filters ff
+    LEFT JOIN feeds f ON ff.feed_id = f.id
+  `;
+  const params = [];
+
+  if (feed_id === 'global') {
+    query += ' WHERE ff.feed_id IS NULL';
+  } else if (feed_id) {
+    query += ' WHERE ff.feed_id = ?';
+    params.push(Number(feed_id));
+  }
+  query += ' ORDER BY ff.feed_id IS NOT NULL, ff.feed_id, ff.id';
+
+  try {
+    sendSuccess(res, await db.query(query, params));
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch filters');
+  }
+});
+
+router.post('/', async (req, res) => {
+  let filter;
+  try {
+    filter = normalizeFilter(req.body);
+  } catch (error) {
+    return sendError(res, 400, error.message);
+  }
+
+  try {
+    if (filter.feed_id !== null && !(await findFeed(filter.feed_id))) {
+      return sendError(res, 404, 'Feed not found');
+    }
+
+    const result = await db.run(
+      `INSERT INTO feed_filters (feed_id, mode, match_type, pattern, fields, action, is_enabled)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [filter.feed_id, filter.mode, filter.match_type, filter.pattern, filter.fields, filter.action, filter.is_enabled]
+    );
+    const created = await db.get('SELECT * FROM feed_filters WHERE id = ?', [result.lastID]);
+
+    console.log(`🔎 Filter ${created.id} created (${filter.mode} ${filter.match_type} "${filter.pattern}")`);
+    sendCreated(res, created, 'Filter created');
+  } catch (error) {
+    handleDatabaseError(res, error, 'create filter');
+  }
+});
+
+// 保存前のルール、または保存済みフィルターを直近の記事に当てはめて結果だけを返す
+router.post('/dry-run', async (req, res) => {
+  const { rule, filter_id } = req.body;
+  let feedId = req.body.feed_id ? Number(req.body.feed_id) : null;
+  let filters;
+
+  if (rule) {
+    try {
+      const normalized = normalizeFilter({ feed_id: feedId, ...rule });
+      feedId = normalized.feed_id;
+      filters = [compileFilter({ id: null, ...normalized })];
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+  }
+
+  try {
+    // ルール未指定の場合は保存済みフィルター（指定ID、Feed単位、全Feed共通の順）を使う
+    if (!filters && filter_id) {
+      const stored = await db.get('SELECT * FROM feed_filters WHERE id = ?', [filter_id]);
+      if (!stored) {
+        return sendError(res, 404, 'Filter not found');
+      }
+      feedId = feedId || stored.feed_id;
+      filters = [compileFilter(stored)];
+    } else if (!filters && feedId) {
+      filters = await loadFeedFilters(feedId);
+    } else if (!filters) {
+      filters = (await db.query('SELECT * FROM feed_filters WHERE is_enabled = 1 AND feed_id IS NULL ORDER BY id')).map(compileFilter);
+    }
+
+    if (feedId && !(await findFeed(feedId))) {
+      return sendError(res, 404, 'Feed not found');
+    }
+
+    const articles = await db.query(
+      `SELECT a.id, a.feed_id, a.title, a.link, a.description, a.categories, a.pub_date, a.read_status
+       FROM articles a
+       JOIN feeds f ON a.feed_id = f.id
+       WHERE f.is_active = 1${feedId ? ' AND a.feed_id = ?' : ''}
+       ORDER BY a.pub_date DESC
+       LIMIT ?`,
+      feedId ? [feedId, DRY_RUN_LIMIT] : [DRY_RUN_LIMIT]
+    );
+
+    const matched = [];
+    articles.forEach(article => {
+      const decision = evaluateItem(article, filters);
+      if (decision) {
+        matched.push({
+          id: article.id,
+          feed_id: article.feed_id,
+          title: article.title,
+          link: article.link,
+          pub_date: article.pub_date,
+          action: decision.action,
+          filter_ids: decision.filterIds.filter(id => id !== null)
+        });
+      }
+    });
+
+    sendSuccess(res, {
+      checked: articles.length,
+      filters: filters.length,
+      dropped: matched.filter(item => item.action === 'drop').length,
+      marked_read: matched.filter(item => item.action === 'mark_read').length,
+      kept: articles.length - matched.length,
+      matched
+    });
+  } catch (error) {
+    handleDatabaseError(res, error, 'run filter dry run');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const current = await db.get('SELECT * FROM feed_filters WHERE id = ?', [id]);
+    if (!current) {
+      return sendError(res, 404, 'Filter not found');
+    }
+
+    let filter;
+    try {
+      filter = normalizeFilter(req.body, current);
+    } catch (error) {
+      return sendError(res, 400, error.message);
+    }
+
+    if (filter.feed_id !== null && filter.feed_id !== current.feed_id && !(await findFeed(filter.feed_id))) {
+      return sendError(res, 404, 'Feed not found');
+    }
+
+    await db.run(
+      `UPDATE feed_filters SET feed_id = ?, mode = ?, match_type = ?, pattern = ?, fields = ?, action = ?, is_enabled = ?
+       WHERE id = ?`,
+      [filter.feed_id, filter.mode, filter.match_type, filter.pattern, filter.fields, filter.action, filter.is_enabled, id]
+    );
+
+    sendSuccess(res, await db.get('SELECT * FROM feed_filters WHERE id = ?', [id]), 'Filter updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update filter');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await db.run('DELETE FROM feed_filters WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+      return sendError(res, 404, 'Filter not found');
+    }
+    sendSuccess(res, null, 'Filter deleted');
+  } catch (error) {
+    handleDatabaseError(res, error, 'delete filter');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const { getFolderPaths, getDescendantFolderIds } = require('../utils/folders');
+const { sendError, sendSuccess, sendCreated, handleDatabaseError } = require('../utils/response-helpers');
+
+// フォルダ一覧（階層パスとFeed数を含む）
+router.get('/', async (req, res) => {
+  try {
+    const folders = await db.query(`
+      SELECT
+        fo.id,
+        fo.name,
+        fo.parent_id,
+        fo.created_at,
+        COUNT(f.id) as feed_count
+      FROM folders fo
+      LEFT JOIN feeds f ON f.folder_id = fo.id AND f.is_active = 1
+      GROUP BY fo.id, fo.name, fo.parent_id, fo.created_at
+      ORDER BY fo.name
+    `);
+    const folderPaths = await getFolderPaths();
+
+    sendSuccess(res, folders.map(folder => ({
+      ...folder,
+      path: folderPaths.get(folder.id) || [folder.name]
+    })));
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch folders');
+  }
+});
+
+router.post('/', async (req, res) => {
+  const name = (req.body.name || '').trim();
+  const parentId = req.body.parent_id ? Number(req.body.parent_id) : null;
+
+  if (!name) {
+    return sendError(res, 400, 'Folder name is required');
+  }
+
+  try {
+    const validationError = await validateFolder(name, parentId);
+    if (validationError) {
+      return sendError(res, validationError.status, validationError.message);
+    }
+
+    const result = await db.run('INSERT INTO folders (name, parent_id) VALUES (?, ?)', [name, parentId]);
+    const folder = await db.get('SELECT * FROM folders WHERE id = ?', [result.lastID]);
+
+    sendCreated(res, folder, 'Folder created');
+  } catch (error) {
+    handleDatabaseError(res, error, 'create folder');
+  }
+});
+
+// フォルダ名の変更・親フォルダの移動
+router.patch('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const folder = await db.get('SELECT * FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return sendError(res, 404, 'Folder not found');
+    }
+
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : folder.name;
+    const parentId = req.body.parent_id !== undefined
+      ? (req.body.parent_id ? Number(req.body.parent_id) : null)
+      : folder.parent_id;
+
+    if (!name) {
+      return sendError(res, 400, 'Folder name is required');
+    }
+
+    // 自分自身や子孫フォルダの下には移動できない
+    if (parentId !== null) {
+      const descendants = await getDescendantFolderIds(folder.id);
+      if (descendants.includes(parentId)) {
+        return sendError(res, 400, 'A folder cannot be moved into itself or one of its subfolders');
+      }
+    }
+
+    const validationError = await validateFolder(name, parentId, folder.id);
+    if (validationError) {
+      return sendError(res, validationError.status, validationError.message);
+    }
+
+    await db.run('UPDATE folders SET name = ?, parent_id = ? WHERE id = ?', [name, parentId, folder.id]);
+    const updated = await db.get('SELECT * FROM folders WHERE id = ?', [folder.id]);
+
+    sendSuccess(res, updated, 'Folder updated');
+  } catch (error) {
+    handleDatabaseError(res, error, 'update folder');
+  }
+});
+
+// フォルダ削除（中のFeedとサブフォルダは親フォルダへ移動）
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const folder = await db.get('SELECT * FROM folders WHERE id = ?', [id]);
+    if (!folder) {
+      return sendError(res, 404, 'Folder not found');
+    }
+
+    const movedFeeds = await db.run('UPDATE feeds SET folder_id = ? WHERE folder_id = ?', [folder.parent_id, folder.id]);
+    await db.run('UPDATE folders SET parent_id = ? WHERE parent_id = ?', [folder.parent_id, folder.id]);
+    await db.run('DELETE FROM folders WHERE id = ?', [folder.id]);
+
+    sendSuccess(res, { movedFeeds: movedFeeds.changes }, 'Folder deleted');
+  } catch (error) {
+    handleDatabaseError(res, error, 'delete folder');
+  }
+});
+
+/**
+ * Checks that the parent exists and no sibling folder has the same name
+ * @returns {Promise<{status: number, message: string}|null>} Validation error, or null if valid
+ */
+async function validateFolder(name, parentId, excludeId = null) {
+  if (parentId !== null) {
+    const parent = await db.get('SELECT id FROM folders WHERE id = ?', [parentId]);
+    if (!parent) {
+      return { status: 400, message: 'Parent folder not found' };
+    }
+  }
+
+  const sibling = parentId === null
+    ? await db.get('SELECT id FROM folders WHERE name = ? AND parent_id IS NULL', [name])
+    : await db.get('SELECT id FROM folders WHERE name = ? AND parent_id = ?', [name, parentId]);
+
+  if (sibling && sibling.id !== excludeId) {
+    return { status: 409, message: 'A folder with this name already exists here' };
+  }
+
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const { EMAIL_FEED_TYPE, importNewsletters } = require('../utils/newsletter');
+const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
+
+// メールマガジンの送信者ごとの仮想Feed一覧（無効化＝購読解除したものも含む）
+router.get('/', async (req, res) => {
+  try {
+    const feeds = await db.query(`
+      SELECT
+        f.id,
+        COALESCE(f.custom_title, f.title) as title,
+        SUBSTR(f.url, 8) as address,
+        f.is_active,
+        f.last_updated,
+        COUNT(a.id) as article_count
+      FROM feeds f
+      LEFT JOIN articles a ON a.feed_id = f.id
+      WHERE f.feed_type = ?
+      GROUP BY f.id
+      ORDER BY f.is_active DESC, title
+    `, [EMAIL_FEED_TYPE]);
+
+    sendSuccess(res, feeds);
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch newsletters');
+  }
+});
+
+// .eml または mbox の取り込み（本文にそのまま、または { raw: "..." } のJSON）
+router.post('/import', express.raw({ type: ['message/rfc822', 'application/mbox', 'text/*', 'application/octet-stream'], limit: '25mb' }), async (req, res) => {
+  const raw = Buffer.isBuffer(req.body) ? req.body : req.body?.raw;
+  if (!raw || !(Buffer.isBuffer(raw) || typeof raw === 'string') || !raw.toString().trim()) {
+    return sendError(res, 400, 'Send an .eml message or an mbox archive as the request body or as { raw }.');
+  }
+
+  try {
+    const result = await importNewsletters(raw);
+    console.log(`📧 Newsletter import: ${result.messages} messages, ${result.newArticles} new articles, ${result.unsubscribed} from unsubscribed senders`);
+
+    sendSuccess(res, result,
+      `Imported ${result.newArticles} of ${result.messages} messages into ${result.feeds.length} newsletter feeds`);
+  } catch (error) {
+    sendError(res, 400, 'Failed to import newsletters', { error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../utils/scheduler');
+const { getLegacyScheduleChanges } = require('../utils/scheduler-config');
+const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
+
+router.get('/status', async (req, res) => {
+  try {
+    res.json(await scheduler.getSchedulerStatus());
+  } catch (error) {
+    console.error('Scheduler status error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduler status' });
+  }
+});
+
+// 名前付きジョブの一覧（cron式・タイムゾーン・有効/無効）
+router.get('/jobs', (req, res) => {
+  sendSuccess(res, scheduler.getJobs());
+});
+
+// 変更を検証して保存・反映する（1件でも不正なら 400 を返して何も変更しない）
+async function changeJobs(res, changes, message) {
+  let configs;
+  try {
+    configs = scheduler.prepareJobChanges(changes);
+  } catch (error) {
+    return sendError(res, 400, error.message);
+  }
+
+  try {
+    sendSuccess(res, await scheduler.applyJobChanges(configs), message);
+  } catch (error) {
+    handleDatabaseError(res, error, 'update scheduler jobs');
+  }
+}
+
+// ジョブのスケジュール変更（{ jobs: [{ name, cron_expression, timezone, enabled }] }、指定した項目のみ変更して保存）
+router.put('/jobs', (req, res) => {
+  const { jobs } = req.body;
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    return sendError(res, 400, 'jobs must be a non-empty array of { name, cron_expression, timezone, enabled }');
+  }
+
+  return changeJobs(res, jobs, 'Scheduler jobs updated');
+});
+
+// 名前付きジョブの開始（再起動後も有効のまま）
+// job のない従来の { schedule: 'adaptive' | 'daily' | 'weekly' } は feed_polling / feed_refresh の切り替えとして扱う
+router.post('/start', (req, res) => {
+  const { job, schedule = 'adaptive' } = req.body;
+
+  if (job !== undefined) {
+    return changeJobs(res, [{ name: job, enabled: true }], `Scheduler job ${job} started`);
+  }
+
+  let changes;
+  try {
+    changes = getLegacyScheduleChanges(schedule);
+  } catch (error) {
+    return sendError(res, 400, error.message);
+  }
+  return changeJobs(res, changes, `Scheduler started with ${schedule} schedule`);
+});
+
+// 名前付きジョブの停止（job を省略するとすべて停止、再起動後も停止したまま）
+router.post('/stop', (req, res) => {
+  const { job } = req.body;
+
+  if (job !== undefined) {
+    return changeJobs(res, [{ name: job, enabled: false }], `Scheduler job ${job} stopped`);
+  }
+  return changeJobs(res, scheduler.getStopAllChanges(), 'Scheduler stopped');
+});
+
+module.exports = router;
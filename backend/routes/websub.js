@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/database');
+const { parseFeedBody } = require('../utils/feed-fetcher');
+const { ingestItems } = require('../utils/feed-ingestion');
+const { isEnabled, handleVerification, verifySignature, getSubscription } = require('../utils/websub');
+const { sendError, sendSuccess, handleDatabaseError } = require('../utils/response-helpers');
+
+// WebSub購読の一覧
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await db.query(`
+      SELECT
+        s.feed_id,
+        COALESCE(f.custom_title, f.title) as feed_title,
+        s.hub_url,
+        s.topic_url,
+        s.state,
+        s.lease_seconds,
+        s.expires_at,
+        s.last_push_at,
+        s.last_error,
+        s.updated_at
+      FROM websub_subscriptions s
+      JOIN feeds f ON f.id = s.feed_id
+      ORDER BY s.feed_id
+    `);
+
+    sendSuccess(res, { enabled: isEnabled(), subscriptions });
+  } catch (error) {
+    handleDatabaseError(res, error, 'fetch WebSub subscriptions');
+  }
+});
+
+// ハブからの購読確認（hub.challenge をそのまま返す）
+router.get('/callback/:feedId', async (req, res) => {
+  try {
+    const result = await handleVerification(Number(req.params.feedId), req.query);
+    res.status(result.status).type('text/plain').send(result.body);
+  } catch (error) {
+    console.error(`WebSub verification error for feed ${req.params.feedId}:`, error);
+    res.status(500).type('text/plain').send('Verification failed');
+  }
+});
+
+// ハブからのプッシュ通知（署名検証のため本文は生データで受け取る）
+router.post('/callback/:feedId', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  const feedId = Number(req.params.feedId);
+
+  try {
+    const subscription = await getSubscription(feedId);
+    const feed = subscription
+      ? await db.get('SELECT * FROM feeds WHERE id = ? AND is_active = 1', [feedId])
+      : null;
+
+    if (!subscription || subscription.state !== 'verified' || !feed) {
+      return res.status(404).type('text/plain').send('Unknown subscription');
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+
+    // 署名が一致しない通知も仕様に従い 2xx を返し、内容は破棄する
+    if (!verifySignature(body, subscription.secret, req.get('X-Hub-Signature'))) {
+      console.warn(`⚠️ WebSub notification with invalid signature ignored for feed ${feedId}`);
+      return res.status(202).end();
+    }
+
+    const parsedFeed = await parseFeedBody(body.toString('utf8'), req.get('Content-Type'));
+    const stats = await ingestItems(feed, parsedFeed.items, { channel: parsedFeed });
+
+    await db.run(
+      'UPDATE websub_subscriptions SET last_push_at = CURRENT_TIMESTAMP WHERE feed_id = ?',
+      [feedId]
+    );
+
+    console.log(`📬 WebSub notification for feed ${feedId}: ${stats.newArticles} new, ${stats.duplicates} duplicates, ${stats.merged} merged, ${stats.filtered} filtered`);
+    sendSuccess(res, stats, 'Notification processed');
+  } catch (error) {
+    console.error(`WebSub notification error for feed ${feedId}:`, error);
+    sendError(res, 500, 'Failed to process notification', { error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,373 @@
+/**
+ * Article Deduplication Utility
+ *
+ * Detects the same story arriving from several feeds. Links are compared
+ * after canonical normalization (tracking parameters removed, rel=canonical
+ * followed when enabled) and titles by character-bigram similarity within a
+ * few days of each other. A duplicate is recorded as an extra source of the
+ * article that was stored first instead of becoming a new card.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const db = require('../models/database');
+
+// 記事ページの rel=canonical を取得するか（取り込み時に記事ごとにリクエストが発生する）
+const RESOLVE_CANONICAL = process.env.DEDUP_RESOLVE_CANONICAL !== 'false';
+const CANONICAL_TIMEOUT = 5000;
+// 同時に取得する記事ページ数
+const CANONICAL_CONCURRENCY = 4;
+
+// タイトルの類似度がこの値以上で、公開日時が近い記事を同じ記事とみなす
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+const TITLE_MATCH_WINDOW_DAYS = 2;
+// 短いタイトル（「お知らせ」など）は誤判定しやすいため比較しない
+const MIN_TITLE_LENGTH = 12;
+
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'yclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid',
+  '_hsenc', '_hsmi', 'ref_src', 'cmpid', 'ito', 'spm'
+]);
+
+/**
+ * Normalizes a URL so tracking variants of the same page compare equal
+ * @param {string} url - Article URL
+ * @returns {string|null} Normalized URL, or null when it cannot be parsed
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return null;
+  }
+
+  // http/https と www の有無は同じページとして扱う
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  parsed.hash = '';
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.has(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Normalizes a title for similarity comparison
+ * @param {string} title - Article title
+ * @returns {string} Lowercased title without punctuation or a trailing site name
+ */
+function normalizeTitle(title) {
+  let value = String(title || '').normalize('NFKC').trim();
+
+  // 「記事タイトル | サイト名」「記事タイトル - サイト名」のサイト名部分を除く
+  const separator = value.match(/^(.*\S)\s+[|\-–—]\s+[^|\-–—]{1,40}$/);
+  if (separator && separator[1].length >= MIN_TITLE_LENGTH) {
+    value = separator[1];
+  }
+
+  return value
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function getBigrams(text) {
+  const compact = text.replace(/\s+/g, ' ');
+  const bigrams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Compares two titles with the Dice coefficient over character bigrams,
+ * which works for both space-separated and Japanese text
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const leftBigrams = getBigrams(left);
+  const rightBigrams = getBigrams(right);
+  let overlap = 0;
+  let total = 0;
+
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+    total += count;
+  });
+  rightBigrams.forEach(count => {
+    total += count;
+  });
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// ログイン・同意画面と判断するホスト名やパスの区切り
+const LOGIN_PAGE_SEGMENT = /^(log-?in|sign-?in|sign_in|auth|oauth2?|sso|consent|gdpr|accounts?)$/i;
+// 2階層のトップレベルドメイン（example.co.jp など）の第2レベル
+const SECOND_LEVEL_DOMAINS = new Set(['ac', 'co', 'com', 'ed', 'go', 'gov', 'gr', 'lg', 'ne', 'net', 'or', 'org']);
+
+/**
+ * Returns the registrable part of a host name (news.example.co.jp -> example.co.jp)
+ * @param {string} hostname - Host name
+ * @returns {string} Site the host belongs to
+ */
+function getSiteKey(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  const size = labels.length >= 3 && labels[labels.length - 1].length === 2 && SECOND_LEVEL_DOMAINS.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+/**
+ * Tells whether a URL can identify a single article: not a site's top page
+ * and not a login or consent screen
+ * @param {string} url - URL found while resolving
+ * @returns {boolean} True when the URL may be used for duplicate detection
+ */
+function isArticleUrl(url) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) {
+    return false;
+  }
+
+  const parsed = new URL(normalized);
+  if (/^\/(index\.\w+)?$/i.test(parsed.pathname)) {
+    return false;
+  }
+
+  const segments = [
+    ...parsed.hostname.split('.').slice(0, -2),
+    ...parsed.pathname.split('/').map(segment => segment.replace(/\.\w+$/, ''))
+  ];
+  return !segments.some(segment => LOGIN_PAGE_SEGMENT.test(segment));
+}
+
+/**
+ * Tells whether a rel=canonical or og:url may replace the page URL. AMP,
+ * mobile and other paths of the same site are accepted, other sites are not.
+ * @param {string} canonical - Canonical URL declared by the page
+ * @param {string} pageUrl - URL of the page after redirects
+ * @returns {boolean} True when the canonical URL may be used
+ */
+function isUsableCanonical(canonical, pageUrl) {
+  if (!isArticleUrl(canonical)) {
+    return false;
+  }
+
+  try {
+    return getSiteKey(new URL(normalizeUrl(canonical)).hostname) === getSiteKey(new URL(pageUrl).hostname.replace(/^www\./, ''));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads the canonical URL of an article page
+ * @param {string} url - Article URL
+ * @returns {Promise<string|null>} rel=canonical or og:url of the same site, or else the final URL after
+ *   redirects (FeedBurner, shorteners); null when neither identifies an article or on failure
+ */
+async function fetchCanonicalUrl(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: CANONICAL_TIMEOUT,
+      responseType: 'text',
+      maxContentLength: 2 * 1024 * 1024,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; RSS Feed News Tool/1.0)',
+        'Accept': 'text/html, application/xhtml+xml;q=0.9'
+      }
+    });
+
+    const finalUrl = response.request?.res?.responseUrl || url;
+    // ログイン・同意画面やトップページへのリダイレクトでは、別の記事が1件にまとまらないよう何も使わない
+    if (!isArticleUrl(finalUrl)) {
+      return null;
+    }
+
+    if (/html/i.test(response.headers['content-type'] || '')) {
+      const $ = cheerio.load(response.data);
+      const canonical = $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+      if (canonical) {
+        const canonicalUrl = new URL(canonical, finalUrl).toString();
+        if (isUsableCanonical(canonicalUrl, finalUrl)) {
+          return canonicalUrl;
+        }
+      }
+    }
+
+    return finalUrl;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolves the URL used for duplicate detection
+ * @param {string} link - Article link from the feed
+ * @param {Object} options - { resolve } to fetch the page for rel=canonical
+ * @returns {Promise<string|null>} Normalized canonical URL
+ */
+async function resolveCanonicalUrl(link, options = {}) {
+  const resolve = options.resolve ?? RESOLVE_CANONICAL;
+  const canonical = resolve ? await fetchCanonicalUrl(link) : null;
+  return normalizeUrl(canonical || link);
+}
+
+/**
+ * Resolves the URLs of several links, fetching a few pages at a time
+ * @param {Array<string>} links - Article links from the feed
+ * @param {Object} options - { resolve } to fetch the pages for rel=canonical
+ * @returns {Promise<Map<string, string|null>>} Normalized canonical URL by link
+ */
+async function resolveCanonicalUrls(links, options = {}) {
+  const queue = [...new Set(links)];
+  const resolved = new Map();
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const link = queue.shift();
+      resolved.set(link, await resolveCanonicalUrl(link, options));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CANONICAL_CONCURRENCY, queue.length) }, worker));
+
+  return resolved;
+}
+
+function shiftDays(isoDate, days) {
+  const date = new Date(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString();
+}
+
+/**
+ * Finds an article from another source that tells the same story
+ * @param {Object} item - Normalized item ({ title, link, pubDate })
+ * @param {Object} context - { feedId, canonicalUrl }
+ * @returns {Promise<{id: number, matchType: string}|null>} Existing article and how it matched
+ */
+async function findDuplicateArticle(item, { feedId, canonicalUrl }) {
+  if (canonicalUrl) {
+    // 同じFeed内で同じURLになる記事（同じページにリダイレクトされる別記事など）は統合しない
+    const byUrl = await db.get(
+      'SELECT id FROM articles WHERE (canonical_url = ? OR link = ?) AND feed_id != ? ORDER BY id LIMIT 1',
+      [canonicalUrl, item.link, feedId]
+    );
+    if (byUrl) {
+      return { id: byUrl.id, matchType: 'canonical' };
+    }
+  }
+
+  if (normalizeTitle(item.title).length < MIN_TITLE_LENGTH) {
+    return null;
+  }
+
+  // 同じFeed内の似たタイトル（連載の各回など）は別記事として扱う
+  const candidates = await db.query(
+    `SELECT id, title FROM articles
+     WHERE feed_id != ? AND pub_date >= ? AND pub_date <= ?
+     ORDER BY pub_date DESC
+     LIMIT 500`,
+    [feedId, shiftDays(item.pubDate, -TITLE_MATCH_WINDOW_DAYS), shiftDays(item.pubDate, TITLE_MATCH_WINDOW_DAYS)]
+  );
+
+  let best = null;
+  (candidates || []).forEach(candidate => {
+    const similarity = titleSimilarity(item.title, candidate.title);
+    if (similarity >= TITLE_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { id: candidate.id, similarity };
+    }
+  });
+
+  return best ? { id: best.id, matchType: 'title' } : null;
+}
+
+/**
+ * Records a feed item as another source of an existing article
+ * @param {number} articleId - Article the item was merged into
+ * @param {number} feedId - Feed the item came from
+ * @param {Object} item - Normalized item
+ * @param {string} matchType - 'canonical' or 'title'
+ */
+async function addArticleSource(articleId, feedId, item, matchType) {
+  await db.run(
+    'INSERT INTO article_sources (article_id, feed_id, guid, link, title, match_type) VALUES (?, ?, ?, ?, ?, ?)',
+    [articleId, feedId, item.guid, item.link, item.title, matchType]
+  );
+}
+
+/**
+ * Lists every feed an article was found in, the stored one first
+ * @param {Array<number>} articleIds - Article IDs
+ * @returns {Promise<Map<number, Array<Object>>>} Extra sources by article ID
+ */
+async function getArticleSources(articleIds) {
+  const sources = new Map();
+  if (articleIds.length === 0) {
+    return sources;
+  }
+
+  const rows = await db.query(
+    `SELECT s.article_id, s.feed_id, s.link, s.match_type, COALESCE(f.custom_title, f.title) as feed_title
+     FROM article_sources s
+     JOIN feeds f ON s.feed_id = f.id
+     WHERE f.is_active = 1 AND s.article_id IN (${articleIds.map(() => '?').join(', ')})
+     ORDER BY s.id`,
+    articleIds
+  );
+
+  rows.forEach(row => {
+    if (!sources.has(row.article_id)) {
+      sources.set(row.article_id, []);
+    }
+    sources.get(row.article_id).push({
+      feed_id: row.feed_id,
+      feed_title: row.feed_title,
+      link: row.link,
+      match_type: row.match_type
+    });
+  });
+
+  return sources;
+}
+
+module.exports = {
+  TITLE_SIMILARITY_THRESHOLD,
+  normalizeUrl,
+  normalizeTitle,
+  titleSimilarity,
+  isArticleUrl,
+  isUsableCanonical,
+  resolveCanonicalUrl,
+  resolveCanonicalUrls,
+  findDuplicateArticle,
+  addArticleSource,
+  getArticleSources
+};
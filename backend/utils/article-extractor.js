@@ -0,0 +1,302 @@
+/**
+ * Article Extractor Utility
+ *
+ * Readability-style reader mode: fetches an article page, finds the block
+ * that holds the main content by scoring paragraphs, and returns it as
+ * cleaned HTML plus plain text. Used at ingestion for feeds with full-text
+ * extraction enabled and on demand for single articles.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const db = require('../models/database');
+const { getFeedAuthHeaders, isSameSite } = require('./feed-credentials');
+
+const FETCH_TIMEOUT = 20000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; RSS Feed News Tool/1.0)';
+
+// 本文として扱う最小文字数（これ未満は抽出失敗とみなす）
+const MIN_CONTENT_LENGTH = 200;
+
+// 本文以外と判断する要素
+const REMOVE_SELECTORS = 'script, style, noscript, iframe, form, nav, header, footer, aside, svg, button, input, select, textarea, template';
+const UNLIKELY_CANDIDATE = /comment|sidebar|footer|nav|menu|share|social|related|advert|\bads?\b|promo|cookie|popup|modal|subscribe|newsletter|breadcrumb|banner|sponsor|pagination/i;
+const LIKELY_CANDIDATE = /article|body|content|entry|main|post|story|text/i;
+
+// 抽出結果に残すタグと属性
+const ALLOWED_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'em', 'strong', 'b', 'i', 'a', 'img', 'figure', 'figcaption', 'br', 'hr',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'div', 'section', 'span'
+]);
+const ALLOWED_ATTRIBUTES = { a: ['href'], img: ['src', 'alt'] };
+
+function getClassAndId(element) {
+  return `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Picks the element that most likely holds the article body
+ * @param {CheerioAPI} $ - Loaded page
+ * @returns {Cheerio} Content element
+ */
+function findContentElement($) {
+  // 構造化マークアップがあればそれを優先
+  for (const selector of ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]']) {
+    const element = $(selector).first();
+    if (element.length && normalizeWhitespace(element.text()).length >= MIN_CONTENT_LENGTH) {
+      return element;
+    }
+  }
+
+  // 段落の文字数と読点・カンマの数で親要素をスコアリング
+  const scores = new Map();
+  $('p, pre, td').each((_, paragraph) => {
+    const text = normalizeWhitespace($(paragraph).text());
+    if (text.length < 25) {
+      return;
+    }
+
+    const score = 1 + (text.match(/[,、，。]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = paragraph.parent;
+    const grandparent = parent && parent.parent;
+
+    [[parent, score], [grandparent, score / 2]].forEach(([element, value]) => {
+      if (!element || element.type !== 'tag') {
+        return;
+      }
+      if (!scores.has(element)) {
+        const hint = getClassAndId(element);
+        scores.set(element, LIKELY_CANDIDATE.test(hint) ? 25 : 0);
+      }
+      scores.set(element, scores.get(element) + value);
+    });
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    // リンクばかりの要素はナビゲーションとみなして減点
+    const text = normalizeWhitespace($(element).text());
+    const linkText = normalizeWhitespace($(element).find('a').text());
+    const linkDensity = text.length ? linkText.length / text.length : 1;
+    const adjusted = score * (1 - linkDensity);
+
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+
+  return best ? $(best) : $('body');
+}
+
+/**
+ * Strips everything but basic formatting from the content element
+ * @param {CheerioAPI} $ - Loaded page
+ * @param {Cheerio} content - Content element
+ * @param {string} pageUrl - URL used to resolve relative links and images
+ */
+function cleanContent($, content, pageUrl) {
+  content.find('*').each((_, element) => {
+    if (element.type !== 'tag') {
+      return;
+    }
+
+    const node = $(element);
+    if (!ALLOWED_TAGS.has(element.name)) {
+      node.replaceWith(node.contents());
+      return;
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[element.name] || [];
+    Object.keys(element.attribs).forEach(name => {
+      if (!allowed.includes(name)) {
+        node.removeAttr(name);
+      }
+    });
+
+    ['href', 'src'].forEach(name => {
+      const value = node.attr(name);
+      if (!value) {
+        return;
+      }
+      try {
+        const url = new URL(value, pageUrl);
+        // javascript: などのスキームは残さない
+        if (['http:', 'https:'].includes(url.protocol)) {
+          node.attr(name, url.toString());
+        } else {
+          node.removeAttr(name);
+        }
+      } catch (error) {
+        node.removeAttr(name);
+      }
+    });
+  });
+
+  // 中身のないブロック要素を削除
+  content.find('p, div, section, span, li').each((_, element) => {
+    const node = $(element);
+    if (!normalizeWhitespace(node.text()) && node.find('img').length === 0) {
+      node.remove();
+    }
+  });
+}
+
+function toPlainText($, content) {
+  const blocks = [];
+  content.find('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, td').each((_, element) => {
+    // 入れ子のブロックは内側だけを数える
+    if ($(element).find('p, li, blockquote, pre').length > 0) {
+      return;
+    }
+    const text = normalizeWhitespace($(element).text());
+    if (text) {
+      blocks.push(text);
+    }
+  });
+
+  return blocks.length > 0 ? blocks.join('\n\n') : normalizeWhitespace(content.text());
+}
+
+/**
+ * Sanitizes a complete HTML document or fragment without looking for the main content
+ * @param {string} html - HTML to clean
+ * @param {string} baseUrl - URL used to resolve relative links and images
+ * @returns {string} HTML with only the allowed tags and attributes
+ */
+function sanitizeHtml(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  $(REMOVE_SELECTORS).remove();
+
+  const content = $('body');
+  cleanContent($, content, baseUrl);
+  return (content.html() || '').trim();
+}
+
+/**
+ * Extracts the main content of an article page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {{title: string, html: string, text: string, excerpt: string, length: number}}
+ */
+function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html || '');
+
+  const title = normalizeWhitespace(
+    $('meta[property="og:title"]').attr('content') || $('h1').first().text() || $('title').first().text()
+  );
+
+  $(REMOVE_SELECTORS).remove();
+  $('*').each((_, element) => {
+    if (element.type === 'tag' && !['html', 'body', 'article', 'main'].includes(element.name) &&
+        UNLIKELY_CANDIDATE.test(getClassAndId(element)) && !LIKELY_CANDIDATE.test(getClassAndId(element))) {
+      $(element).remove();
+    }
+  });
+
+  const content = findContentElement($);
+  cleanContent($, content, pageUrl);
+
+  const text = toPlainText($, content);
+
+  return {
+    title,
+    html: (content.html() || '').trim(),
+    text,
+    excerpt: text.substring(0, 200),
+    length: text.length
+  };
+}
+
+/**
+ * Downloads an article page and extracts its main content
+ * @param {string} url - Article URL
+ * @param {Object} authHeaders - Credentials of the feed, for pages behind a login
+ * @returns {Promise<Object>} Result of extractArticle
+ */
+async function fetchArticle(url, authHeaders = {}) {
+  const response = await axios.get(url, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'text',
+    maxRedirects: 5,
+    headers: {
+      'User-Agent': USER_AGENT,
+      ...authHeaders,
+      'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.8'
+    }
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (contentType && !/html/i.test(contentType)) {
+    throw new Error(`Unsupported content type for full-text extraction: ${contentType}`);
+  }
+
+  const article = extractArticle(response.data, url);
+  if (article.length < MIN_CONTENT_LENGTH) {
+    throw new Error('Could not find the main content of the page');
+  }
+
+  return article;
+}
+
+/**
+ * Extracts and stores the full text of an article
+ * @param {Object} article - Article row (id and link are required, feed_id to use the feed's credentials)
+ * @returns {Promise<Object>} Extracted article
+ */
+async function extractFullText(article) {
+  try {
+    // 有料・社内サイトの記事ページにはFeedの認証情報を使う（Feedと同じホストのみ）
+    const feed = article.feed_id
+      ? await db.get('SELECT id, url, credentials FROM feeds WHERE id = ?', [article.feed_id])
+      : null;
+    const authHeaders = feed && isSameSite(feed.url, article.link) ? getFeedAuthHeaders(feed) : {};
+    const extracted = await fetchArticle(article.link, authHeaders);
+
+    await db.run(
+      `UPDATE articles SET content_html = ?, content_text = ?, fulltext_status = 'extracted',
+       fulltext_fetched_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [extracted.html, extracted.text, article.id]
+    );
+
+    return extracted;
+  } catch (error) {
+    await db.run(
+      "UPDATE articles SET fulltext_status = 'failed', fulltext_fetched_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [article.id]
+    );
+    throw error;
+  }
+}
+
+// 取り込み時の全文取得は1件ずつ順番に処理し、取得先に負荷をかけない
+let backgroundQueue = Promise.resolve();
+
+/**
+ * Queues full-text extraction for newly ingested articles
+ * @param {Array<{id: number, link: string, content_type: string}>} articles - Articles to extract
+ */
+function queueFullTextExtraction(articles) {
+  articles.forEach(article => {
+    // 論文はページではなくPDFから抽出する
+    const extract = article.content_type === 'paper' ? require('./paper-extractor').extractPaper : extractFullText;
+    backgroundQueue = backgroundQueue.then(() => extract(article)).catch(error => {
+      console.error(`⚠️ Full-text extraction failed for article ${article.id}: ${error.message}`);
+    });
+  });
+}
+
+module.exports = {
+  MIN_CONTENT_LENGTH,
+  sanitizeHtml,
+  extractArticle,
+  fetchArticle,
+  extractFullText,
+  queueFullTextExtraction
+};
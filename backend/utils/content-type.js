@@ -1,14 +1,36 @@
 /**
  * Content Type Detection Utility
  * 
- * Detects content type based on URL patterns for RSS feed articles.
- * Supports YouTube, Podcast, Product Hunt, and generic article detection.
+ * Detects the content type of RSS feed articles from the parsed item and
+ * feed (enclosure MIME types, itunes:* tags, media:group / yt:videoId and
+ * feed-level hints), falling back to URL patterns. Supports YouTube,
+ * Podcast, Product Hunt, paper (arXiv, OpenReview, PDF) and generic
+ * article detection. The detected type can be overridden per feed and per
+ * article.
  */
 
+// Supported content types, in display order
+const CONTENT_TYPES = ['youtube', 'podcast', 'producthunt', 'paper', 'article'];
+
+// Podcastの配信・再生サービス（URLに "podcast" を含むだけのブログ記事は対象外）
+const PODCAST_URL_PATTERNS = [
+  /^https?:\/\/(?:[^/]+\.)?anchor\.fm\//i,
+  /^https?:\/\/podcasters\.spotify\.com\//i,
+  /^https?:\/\/open\.spotify\.com\/(?:episode|show)\//i,
+  /^https?:\/\/podcasts\.apple\.com\//i,
+  /apple\.com\/podcasts/i,
+  /^https?:\/\/(?:[^/]+\.)?soundcloud\.com\//i,
+  /^https?:\/\/(?:[^/]+\.)?overcast\.fm\//i
+];
+
+const AUDIO_EXTENSION = /\.(?:mp3|m4a|aac|ogg|oga|opus|wav|flac)(?:[?#]|$)/i;
+const PDF_EXTENSION = /\.pdf(?:[?#]|$)/i;
+const YOUTUBE_URL = /^https?:\/\/(?:[^/]+\.)?(?:youtube\.com|youtu\.be)\//i;
+
 /**
  * Detects the content type of a URL
  * @param {string} url - The URL to analyze
- * @returns {string} Content type: 'youtube', 'podcast', 'producthunt', or 'article'
+ * @returns {string} Content type: 'youtube', 'podcast', 'producthunt', 'paper', or 'article'
  */
 function detectContentType(url) {
   if (!url) return 'article';
@@ -18,13 +40,15 @@ function detectContentType(url) {
     return 'youtube';
   }
   
-  // Podcast detection - common podcast platforms
-  if (url.includes('podcast') || 
-      url.includes('anchor.fm') || 
-      url.includes('spotify.com') ||
-      url.includes('apple.com/podcasts') ||
-      url.includes('soundcloud.com') ||
-      url.includes('overcast.fm')) {
+  // Paper detection - arXiv / OpenReview pages and direct PDF links
+  if (/arxiv\.org\/(abs|pdf)\//i.test(url) ||
+      /openreview\.net\/(forum|pdf)\?/i.test(url) ||
+      /\.pdf([?#]|$)/i.test(url)) {
+    return 'paper';
+  }
+  
+  // Podcast detection - podcast platforms and direct audio files
+  if (PODCAST_URL_PATTERNS.some(pattern => pattern.test(url)) || AUDIO_EXTENSION.test(url)) {
     return 'podcast';
   }
   
@@ -37,6 +61,102 @@ function detectContentType(url) {
   return 'article';
 }
 
+// rss-parser は enclosure を1件、JSON Feed は enclosures に全件を持つ
+function getEnclosures(item) {
+  const enclosures = Array.isArray(item.enclosures) ? item.enclosures : [item.enclosure];
+  return enclosures.filter(enclosure => enclosure && (enclosure.url || enclosure.type));
+}
+
+// media:group / media:content の url・type・medium 属性
+function getMediaContents(item) {
+  const groups = [].concat(item.mediaGroup || []);
+  const contents = [
+    ...[].concat(item.mediaContent || []),
+    ...groups.flatMap(group => [].concat(group?.['media:content'] || []))
+  ];
+  return contents
+    .map(content => content?.$ || content)
+    .filter(content => content && typeof content === 'object');
+}
+
+function mediaTypeOf(media) {
+  const type = String(media.type || '').toLowerCase();
+  const medium = String(media.medium || '').toLowerCase();
+  const url = media.url || '';
+
+  if (type === 'application/pdf' || PDF_EXTENSION.test(url)) {
+    return 'pdf';
+  }
+  if (type.startsWith('audio/') || medium === 'audio' || AUDIO_EXTENSION.test(url)) {
+    return 'audio';
+  }
+  if (type.startsWith('video/') || medium === 'video') {
+    return 'video';
+  }
+  return null;
+}
+
+/**
+ * Reads the feed-level content type hint of a parsed feed
+ * @param {Object} channel - Parsed feed (rss-parser or JSON Feed result)
+ * @returns {string|null} 'podcast' for feeds with itunes:* tags, 'youtube' for YouTube feeds, or null
+ */
+function getFeedContentTypeHint(channel) {
+  if (!channel) return null;
+  
+  if (channel.itunes && Object.keys(channel.itunes).length > 0) {
+    return 'podcast';
+  }
+  
+  if ([channel.feedUrl, channel.link].some(url => /youtube\.com\/feeds\/videos\.xml/i.test(url || ''))) {
+    return 'youtube';
+  }
+  
+  return null;
+}
+
+/**
+ * Detects the content type of a parsed feed item
+ * @param {Object} item - Parsed feed item (enclosure, itunes, ytVideoId, mediaGroup and mediaContent are used when present)
+ * @param {Object} channel - Parsed feed the item belongs to, for feed-level hints
+ * @returns {string} Content type
+ */
+function detectItemContentType(item, channel = null) {
+  if (!item) return 'article';
+  
+  const link = item.link || '';
+  const media = [...getEnclosures(item), ...getMediaContents(item)];
+  const mediaTypes = media.map(mediaTypeOf);
+  const feedHint = getFeedContentTypeHint(channel);
+  
+  // YouTube: yt:videoId または動画ページへのリンク
+  // （media:group に埋め込まれただけの動画は、要約に使うリンクが動画ページではないため対象外）
+  if (item.ytVideoId || /^yt:video:/.test(item.id || item.guid || '') || YOUTUBE_URL.test(link)) {
+    return 'youtube';
+  }
+  
+  // Podcast: 音声の enclosure、エピソードの itunes:* タグ、Podcast Feed の動画エピソード
+  const itunes = item.itunes || {};
+  if (mediaTypes.includes('audio') ||
+      itunes.duration || itunes.episode || itunes.season || itunes.episodeType ||
+      (feedHint === 'podcast' && mediaTypes.includes('video'))) {
+    return 'podcast';
+  }
+  
+  // 論文: PDF の enclosure
+  if (mediaTypes.includes('pdf')) {
+    return 'paper';
+  }
+  
+  const urlType = detectContentType(link);
+  if (urlType !== 'article') {
+    return urlType;
+  }
+  
+  // 個々の項目に手がかりがない場合は Feed 全体の種類に従う（Podcast の告知回など）
+  return feedHint || 'article';
+}
+
 /**
  * Gets a human-readable label for content type
  * @param {string} contentType - The content type returned by detectContentType
@@ -47,6 +167,7 @@ function getContentTypeLabel(contentType) {
     'youtube': 'YouTube動画',
     'podcast': 'Podcast',
     'producthunt': 'Product Hunt',
+    'paper': '論文',
     'article': 'Web記事'
   };
   
@@ -59,7 +180,7 @@ function getContentTypeLabel(contentType) {
  * @returns {boolean} True if summarization is supported
  */
 function supportsSummarization(contentType) {
-  return ['youtube', 'podcast', 'article'].includes(contentType);
+  return ['youtube', 'podcast', 'paper', 'article'].includes(contentType);
 }
 
 /**
@@ -72,14 +193,41 @@ function getContentTypeIcon(contentType) {
     'youtube': '📺',
     'podcast': '🎧',
     'producthunt': '🚀',
+    'paper': '📑',
     'article': '📄'
   };
   
   return icons[contentType] || icons['article'];
 }
 
+/**
+ * Resolves the content type of an article: the article's own override wins,
+ * then the feed's override, then the type detected at ingestion
+ * @param {Object} article - { link, content_type_override, detected_content_type } (all optional)
+ * @param {Object} feed - Feed row (content_type_override is optional)
+ * @returns {string} Content type
+ */
+function resolveContentType(article = {}, feed = {}) {
+  for (const override of [article.content_type_override, feed.content_type_override]) {
+    if (override && CONTENT_TYPES.includes(override)) {
+      return override;
+    }
+  }
+  
+  // 判定結果を保存していない古い記事はURLから判定
+  if (article.detected_content_type && CONTENT_TYPES.includes(article.detected_content_type)) {
+    return article.detected_content_type;
+  }
+  
+  return detectContentType(article.link);
+}
+
 module.exports = {
+  CONTENT_TYPES,
   detectContentType,
+  detectItemContentType,
+  getFeedContentTypeHint,
+  resolveContentType,
   getContentTypeLabel,
   supportsSummarization,
   getContentTypeIcon
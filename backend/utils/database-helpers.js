@@ -164,48 +164,12 @@ async function deleteRecord(table, id) {
 
 /**
  * Execute multiple SQL statements in a transaction
+ * All statements run on one connection; if any fails the whole transaction is rolled back.
  * @param {Array<{sql: string, params: Array}>} statements - Array of SQL statements with parameters
  * @returns {Promise<Array>} Promise resolving to array of results
  */
 async function transaction(statements) {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-      
-      const results = [];
-      let completed = 0;
-      let hasError = false;
-      
-      statements.forEach((stmt, index) => {
-        db.run(stmt.sql, stmt.params, function(err) {
-          if (err && !hasError) {
-            hasError = true;
-            db.run('ROLLBACK');
-            reject(err);
-            return;
-          }
-          
-          if (!hasError) {
-            results[index] = {
-              lastID: this.lastID,
-              changes: this.changes
-            };
-            
-            completed++;
-            if (completed === statements.length) {
-              db.run('COMMIT', (commitErr) => {
-                if (commitErr) {
-                  reject(commitErr);
-                } else {
-                  resolve(results);
-                }
-              });
-            }
-          }
-        });
-      });
-    });
-  });
+  return db.transaction(statements);
 }
 
 /**
@@ -250,6 +214,23 @@ async function getPaginatedResults(table, page = 1, limit = 10, whereClause = ''
   }
 }
 
+/**
+ * Parses a timestamp read from the database
+ * @param {string|Date|null} value - ISO string, SQLite CURRENT_TIMESTAMP (UTC) or Date
+ * @returns {Date|null} Date, or null when missing or invalid
+ */
+function parseTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+
+  // SQLite の CURRENT_TIMESTAMP（"YYYY-MM-DD HH:MM:SS"）はタイムゾーンなしの UTC
+  const date = value instanceof Date
+    ? value
+    : new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
 module.exports = {
   dbGet,
   dbAll,
@@ -260,5 +241,6 @@ module.exports = {
   updateRecord,
   deleteRecord,
   transaction,
-  getPaginatedResults
+  getPaginatedResults,
+  parseTimestamp
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * Feed Analytics Utility
+ *
+ * Per-feed statistics for the last 30 and 90 days: articles per week, the
+ * share of articles read and summarized, the average time from publish to
+ * read and the last activity. Feeds that are never read or have gone
+ * silent are flagged as unsubscribe candidates.
+ *
+ * Articles are counted by publish date. The time to read only covers
+ * articles read since articles.read_at was added.
+ */
+
+const db = require('../models/database');
+const { parseTimestamp } = require('./database-helpers');
+
+// 集計する期間（日）
+const ANALYTICS_WINDOWS = [30, 90];
+
+// この日数の間に新しい記事がないFeedは更新停止とみなす
+const SILENT_DAYS = 90;
+
+// 直近90日にこの件数以上の記事があり、1件も読んでいないFeedを候補にする
+const NEVER_READ_MIN_ARTICLES = 5;
+
+// 登録して間もないFeedは「読んでいない」の判定から外す
+const MIN_SUBSCRIBED_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function latest(...dates) {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Computes the statistics of one feed over a period
+ * @param {Array<Object>} articles - Articles of the feed ({ published, read, read_at, summarized })
+ * @param {number} days - Length of the period
+ * @param {Date} now - Reference time
+ * @returns {Object} { articles, articles_per_week, read, read_share, summarized, summarized_share, avg_hours_to_read }
+ */
+function computeWindowStats(articles, days, now = new Date()) {
+  const since = now.getTime() - days * DAY_MS;
+  const inWindow = articles.filter(article => article.published && article.published.getTime() >= since);
+  const read = inWindow.filter(article => article.read);
+  const summarized = inWindow.filter(article => article.summarized);
+
+  // 公開前に読んだことになる（公開日時が未来の）記事は 0 時間として扱う
+  const delays = read
+    .filter(article => article.read_at)
+    .map(article => Math.max(article.read_at.getTime() - article.published.getTime(), 0));
+
+  return {
+    articles: inWindow.length,
+    articles_per_week: Math.round((inWindow.length / (days / 7)) * 10) / 10,
+    read: read.length,
+    read_share: ratio(read.length, inWindow.length),
+    summarized: summarized.length,
+    summarized_share: ratio(summarized.length, inWindow.length),
+    avg_hours_to_read: delays.length > 0
+      ? Math.round((delays.reduce((total, delay) => total + delay, 0) / delays.length / HOUR_MS) * 10) / 10
+      : null
+  };
+}
+
+/**
+ * Works out why a feed should be unsubscribed
+ * @param {Object} feed - Feed statistics (subscribed_at, last_article_at, windows)
+ * @param {Date} now - Reference time
+ * @returns {Array<string>} 'never_read' and/or 'silent'
+ */
+function getUnsubscribeReasons(feed, now = new Date()) {
+  const reasons = [];
+  const recent = feed.windows[Math.max(...ANALYTICS_WINDOWS)];
+  const subscribedAt = parseTimestamp(feed.subscribed_at);
+  const subscribedLongEnough = !subscribedAt || now.getTime() - subscribedAt.getTime() >= MIN_SUBSCRIBED_DAYS * DAY_MS;
+
+  if (subscribedLongEnough && recent.articles >= NEVER_READ_MIN_ARTICLES && recent.read === 0) {
+    reasons.push('never_read');
+  }
+
+  const lastArticleAt = parseTimestamp(feed.last_article_at);
+  if (subscribedLongEnough && (!lastArticleAt || now.getTime() - lastArticleAt.getTime() >= SILENT_DAYS * DAY_MS)) {
+    reasons.push('silent');
+  }
+
+  return reasons;
+}
+
+/**
+ * Builds the statistics of every feed
+ * @param {Array<Object>} feeds - Feed rows ({ id, title, url, feed_type, created_at })
+ * @param {Array<Object>} articles - Recent article rows ({ feed_id, pub_date, created_at, read_status, read_at, summarized })
+ * @param {Array<Object>} activity - Latest timestamps per feed ({ feed_id, last_published, last_created, last_read })
+ * @param {Date} now - Reference time
+ * @returns {Array<Object>} Statistics per feed
+ */
+function buildFeedAnalytics(feeds, articles, activity, now = new Date()) {
+  const articlesByFeed = new Map(feeds.map(feed => [feed.id, []]));
+  articles.forEach(row => {
+    articlesByFeed.get(row.feed_id)?.push({
+      published: parseTimestamp(row.pub_date) || parseTimestamp(row.created_at),
+      read: !!Number(row.read_status),
+      read_at: parseTimestamp(row.read_at),
+      summarized: !!Number(row.summarized)
+    });
+  });
+  const activityByFeed = new Map(activity.map(row => [row.feed_id, row]));
+
+  return feeds.map(feed => {
+    const lastActivity = activityByFeed.get(feed.id) || {};
+    // pub_date のない記事は登録日時を公開日時とみなす
+    const lastArticleAt = parseTimestamp(lastActivity.last_published) || parseTimestamp(lastActivity.last_created);
+    const lastReadAt = parseTimestamp(lastActivity.last_read);
+    const lastActivityAt = latest(lastArticleAt, lastReadAt);
+
+    const stats = {
+      id: feed.id,
+      title: feed.title,
+      url: feed.url,
+      feed_type: feed.feed_type || 'rss',
+      subscribed_at: parseTimestamp(feed.created_at)?.toISOString() || null,
+      last_article_at: lastArticleAt?.toISOString() || null,
+      last_read_at: lastReadAt?.toISOString() || null,
+      last_activity_at: lastActivityAt?.toISOString() || null,
+      windows: Object.fromEntries(ANALYTICS_WINDOWS.map(days => [days, computeWindowStats(articlesByFeed.get(feed.id), days, now)]))
+    };
+
+    stats.unsubscribe_reasons = getUnsubscribeReasons(stats, now);
+    return stats;
+  });
+}
+
+/**
+ * Loads the statistics of every active feed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { generated_at, windows, feeds, summary: { total_feeds, unsubscribe_candidates } }
+ */
+async function getFeedAnalytics(now = new Date()) {
+  const feeds = await db.query(
+    'SELECT id, COALESCE(custom_title, title) as title, url, feed_type, created_at FROM feeds WHERE is_active = 1 ORDER BY id'
+  );
+
+  // 期間内に公開された記事は必ず期間内に登録されているため、登録日時で絞り込んでから公開日時で判定する
+  const since = new Date(now.getTime() - Math.max(...ANALYTICS_WINDOWS) * DAY_MS).toISOString().replace('T', ' ').substring(0, 19);
+  const articles = await db.query(
+    `SELECT a.feed_id, a.pub_date, a.created_at, a.read_status, a.read_at,
+     CASE WHEN a.summary_status = 'completed' OR a.summary_text IS NOT NULL THEN 1 ELSE 0 END as summarized
+     FROM articles a JOIN feeds f ON a.feed_id = f.id
+     WHERE f.is_active = 1 AND a.created_at >= ?`,
+    [since]
+  );
+
+  const activity = await db.query(
+    `SELECT a.feed_id, MAX(a.pub_date) as last_published, MAX(a.created_at) as last_created, MAX(a.read_at) as last_read
+     FROM articles a JOIN feeds f ON a.feed_id = f.id
+     WHERE f.is_active = 1 GROUP BY a.feed_id`
+  );
+
+  const stats = buildFeedAnalytics(feeds, articles, activity, now);
+
+  return {
+    generated_at: now.toISOString(),
+    windows: ANALYTICS_WINDOWS,
+    feeds: stats,
+    summary: {
+      total_feeds: stats.length,
+      unsubscribe_candidates: stats.filter(feed => feed.unsubscribe_reasons.length > 0).length
+    }
+  };
+}
+
+module.exports = {
+  ANALYTICS_WINDOWS,
+  SILENT_DAYS,
+  NEVER_READ_MIN_ARTICLES,
+  MIN_SUBSCRIBED_DAYS,
+  computeWindowStats,
+  getUnsubscribeReasons,
+  buildFeedAnalytics,
+  getFeedAnalytics
+};
@@ -0,0 +1,264 @@
+/**
+ * Feed Credentials Utility
+ *
+ * Stores per-feed credentials (basic auth, bearer token, cookie and custom
+ * headers) for paid or private feeds. Credentials are encrypted with
+ * AES-256-GCM using a key derived from FEED_CREDENTIALS_KEY and are only
+ * decrypted when building request headers.
+ */
+
+const crypto = require('crypto');
+
+const ENCRYPTION_VERSION = 'v1';
+const MASK = '********';
+
+// 任意ヘッダーで上書きさせないヘッダー（条件付きGETや内容交渉は取得処理が管理する）
+const RESERVED_HEADERS = new Set([
+  'host', 'content-length', 'accept', 'accept-encoding', 'if-none-match', 'if-modified-since', 'connection'
+]);
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function getKey() {
+  const secret = process.env.FEED_CREDENTIALS_KEY;
+  if (!secret) {
+    throw new Error('FEED_CREDENTIALS_KEY is not configured; feed credentials cannot be stored or read');
+  }
+  // 任意の長さの文字列から32バイトの鍵を作る
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function cleanString(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be a string`);
+  }
+  if (/[\r\n]/.test(value)) {
+    throw new Error(`${field} must not contain line breaks`);
+  }
+  return value;
+}
+
+/**
+ * Validates credentials entered for a feed
+ * @param {Object} input - { username, password, token, cookie, headers: { name: value } }
+ * @returns {Object|null} Credentials with only the fields in use, or null when empty
+ */
+function normalizeCredentials(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('credentials must be an object');
+  }
+
+  const credentials = {};
+  const username = cleanString(input.username, 'username');
+  const password = cleanString(input.password, 'password');
+  const token = cleanString(input.token, 'token');
+  const cookie = cleanString(input.cookie, 'cookie');
+
+  if (username !== undefined || password !== undefined) {
+    if (username === undefined) {
+      throw new Error('username is required for basic authentication');
+    }
+    if (username.includes(':')) {
+      throw new Error('username must not contain ":"');
+    }
+    credentials.username = username;
+    credentials.password = password || '';
+  }
+
+  if (token !== undefined) {
+    if (credentials.username !== undefined) {
+      throw new Error('Use either basic authentication or a bearer token, not both');
+    }
+    credentials.token = token;
+  }
+
+  if (cookie !== undefined) {
+    credentials.cookie = cookie;
+  }
+
+  if (input.headers !== undefined && input.headers !== null) {
+    if (typeof input.headers !== 'object' || Array.isArray(input.headers)) {
+      throw new Error('headers must be an object of header names and values');
+    }
+
+    const headers = {};
+    Object.entries(input.headers).forEach(([name, value]) => {
+      const headerName = name.trim();
+      if (!HEADER_NAME_PATTERN.test(headerName)) {
+        throw new Error(`Invalid header name: ${name}`);
+      }
+      if (RESERVED_HEADERS.has(headerName.toLowerCase())) {
+        throw new Error(`Header cannot be overridden: ${headerName}`);
+      }
+      const headerValue = cleanString(value, `Header ${headerName}`);
+      if (headerValue !== undefined) {
+        headers[headerName] = headerValue;
+      }
+    });
+
+    if (Object.keys(headers).length > 0) {
+      credentials.headers = headers;
+    }
+  }
+
+  return Object.keys(credentials).length > 0 ? credentials : null;
+}
+
+/**
+ * Encrypts credentials for storage in feeds.credentials
+ * @param {Object|null} credentials - Normalized credentials
+ * @returns {string|null} "v1:iv:tag:ciphertext" in base64, or null when there are none
+ */
+function encryptCredentials(credentials) {
+  if (!credentials) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+  return [ENCRYPTION_VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+/**
+ * Decrypts stored credentials
+ * @param {string|null} stored - Value of feeds.credentials
+ * @returns {Object|null} Credentials
+ */
+function decryptCredentials(stored) {
+  if (!stored) {
+    return null;
+  }
+
+  const [version, iv, tag, encrypted] = stored.split(':');
+  if (version !== ENCRYPTION_VERSION || !encrypted) {
+    throw new Error('Unsupported credentials format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * Builds the HTTP headers that authenticate a request
+ * @param {Object|null} credentials - Decrypted credentials
+ * @returns {Object} Headers to merge into the request
+ */
+function buildAuthHeaders(credentials) {
+  if (!credentials) {
+    return {};
+  }
+
+  const headers = { ...(credentials.headers || {}) };
+  if (credentials.username !== undefined) {
+    headers['Authorization'] = `Basic ${Buffer.from(`${credentials.username}:${credentials.password || ''}`).toString('base64')}`;
+  } else if (credentials.token) {
+    headers['Authorization'] = `Bearer ${credentials.token}`;
+  }
+  if (credentials.cookie) {
+    headers['Cookie'] = credentials.cookie;
+  }
+
+  return headers;
+}
+
+/**
+ * Builds authentication headers for a feed row. A credential that can no
+ * longer be decrypted (e.g. the key was changed) is logged and ignored so
+ * the fetch fails with the server's own 401/403.
+ * @param {Object} feed - Feed row ({ id, credentials })
+ * @returns {Object} Headers to merge into the request
+ */
+function getFeedAuthHeaders(feed) {
+  if (!feed?.credentials) {
+    return {};
+  }
+
+  try {
+    return buildAuthHeaders(decryptCredentials(feed.credentials));
+  } catch (error) {
+    console.error(`⚠️ Could not decrypt credentials for feed ${feed.id || feed.url}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Describes stored credentials without revealing secrets
+ * @param {string|null} stored - Value of feeds.credentials
+ * @returns {Object|null} { username, password, token, cookie, headers } with secrets masked
+ */
+function maskCredentials(stored) {
+  if (!stored) {
+    return null;
+  }
+
+  let credentials;
+  try {
+    credentials = decryptCredentials(stored);
+  } catch (error) {
+    return { unreadable: true };
+  }
+
+  const masked = {};
+  if (credentials.username !== undefined) {
+    masked.username = credentials.username;
+    masked.password = MASK;
+  }
+  if (credentials.token) {
+    masked.token = MASK;
+  }
+  if (credentials.cookie) {
+    masked.cookie = MASK;
+  }
+  if (credentials.headers) {
+    masked.headers = Object.fromEntries(Object.keys(credentials.headers).map(name => [name, MASK]));
+  }
+  return masked;
+}
+
+/**
+ * Replaces the encrypted credentials of a feed row with a masked description
+ * @param {Object} feed - Feed row
+ * @returns {Object} Feed row safe to return from the API
+ */
+function maskFeedCredentials(feed) {
+  return { ...feed, credentials: maskCredentials(feed.credentials) };
+}
+
+/**
+ * Whether an article URL may receive the feed's credentials. Only pages on
+ * the feed's own host get them, so links to other sites never see the secrets.
+ * @param {string} feedUrl - Feed URL
+ * @param {string} url - Article URL
+ * @returns {boolean} True when the hosts match (ignoring "www.")
+ */
+function isSameSite(feedUrl, url) {
+  try {
+    const host = value => new URL(value).hostname.toLowerCase().replace(/^www\./, '');
+    return host(feedUrl) === host(url);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  normalizeCredentials,
+  encryptCredentials,
+  decryptCredentials,
+  buildAuthHeaders,
+  getFeedAuthHeaders,
+  maskCredentials,
+  maskFeedCredentials,
+  isSameSite
+};
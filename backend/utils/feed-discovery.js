@@ -0,0 +1,141 @@
+/**
+ * Feed Discovery Utility
+ *
+ * Finds RSS/Atom/JSON feeds for a plain website URL, using the page's
+ * <link rel="alternate"> tags first and common feed paths as a fallback.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { fetchFeed } = require('./feed-fetcher');
+
+const FETCH_TIMEOUT = 20000;
+const USER_AGENT = 'RSS Feed News Tool/1.0';
+
+// <link rel="alternate"> で検出対象とするMIMEタイプ
+const FEED_MIME_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json'
+};
+
+// <link> タグが見つからない場合に試すパス
+const COMMON_FEED_PATHS = [
+  '/feed',
+  '/rss.xml',
+  '/feed.xml',
+  '/atom.xml',
+  '/rss',
+  '/index.xml',
+  '/feed.json'
+];
+
+/**
+ * Extracts feed candidates from <link rel="alternate"> tags
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL used to resolve relative hrefs
+ * @returns {Array<{url: string, title: string, type: string}>} Feed candidates
+ */
+function extractFeedLinks(html, baseUrl) {
+  const $ = cheerio.load(html || '');
+  const candidates = [];
+
+  $('link[rel~="alternate"][href]').each((_, element) => {
+    const mimeType = ($(element).attr('type') || '').toLowerCase().split(';')[0].trim();
+    const type = FEED_MIME_TYPES[mimeType];
+    if (!type) return;
+
+    try {
+      candidates.push({
+        url: new URL($(element).attr('href'), baseUrl).href,
+        title: ($(element).attr('title') || '').trim(),
+        type
+      });
+    } catch (error) {
+      // 解決できないhrefは無視
+    }
+  });
+
+  return uniqueByUrl(candidates);
+}
+
+/**
+ * Builds the common-path candidate URLs for a page, grouped by base path
+ * @param {string} pageUrl - Website URL
+ * @returns {Array<Array<string>>} Candidate feed URLs, most specific base first
+ */
+function buildCommonFeedUrls(pageUrl) {
+  const page = new URL(pageUrl);
+  const bases = [page.origin];
+
+  // https://example.com/blog のようなサブパスのブログも対象にする
+  const pathname = page.pathname.replace(/\/+$/, '');
+  if (pathname) {
+    bases.unshift(page.origin + pathname);
+  }
+
+  return bases.map(base => COMMON_FEED_PATHS.map(feedPath => base + feedPath));
+}
+
+/**
+ * Discovers feeds for a website URL
+ * @param {string} pageUrl - Website URL
+ * @returns {Promise<Array<{url: string, title: string, type: ?string}>>} Feed candidates
+ */
+async function discoverFeeds(pageUrl) {
+  const response = await axios.get(pageUrl, {
+    timeout: FETCH_TIMEOUT,
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+    },
+    responseType: 'text',
+    maxRedirects: 5
+  });
+
+  // リダイレクト後のURLを基準に相対パスを解決
+  const finalUrl = response.request?.res?.responseUrl || pageUrl;
+  const linked = extractFeedLinks(response.data, finalUrl);
+  if (linked.length > 0) {
+    return linked;
+  }
+
+  // よくあるパスを並列に試し、実際にパースできたものだけを候補にする
+  // サブパス側で見つかった場合はサイトルートは確認しない
+  for (const candidateUrls of buildCommonFeedUrls(finalUrl)) {
+    const results = await Promise.allSettled(candidateUrls.map(url => fetchFeed({ url })));
+
+    const found = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value.feed) {
+        found.push({
+          url: candidateUrls[index],
+          title: result.value.feed.title || '',
+          type: null
+        });
+      }
+    });
+
+    if (found.length > 0) {
+      return uniqueByUrl(found);
+    }
+  }
+
+  return [];
+}
+
+function uniqueByUrl(candidates) {
+  const seen = new Set();
+  return candidates.filter(candidate => {
+    if (seen.has(candidate.url)) return false;
+    seen.add(candidate.url);
+    return true;
+  });
+}
+
+module.exports = {
+  COMMON_FEED_PATHS,
+  extractFeedLinks,
+  buildCommonFeedUrls,
+  discoverFeeds
+};
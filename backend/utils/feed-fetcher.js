@@ -0,0 +1,165 @@
+/**
+ * Feed Fetcher Utility
+ *
+ * Downloads RSS/Atom/JSON feeds using HTTP conditional GET (ETag / Last-Modified)
+ * and a content hash, so feeds that have not changed since the last poll
+ * can be skipped without parsing.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const Parser = require('rss-parser');
+const db = require('../models/database');
+const { looksLikeJson, parseJsonFeed } = require('./json-feed');
+const { extractHubLinks } = require('./websub');
+const { SCRAPED_FEED_TYPE, extractPageFeed } = require('./page-scraper');
+const { getFeedAuthHeaders } = require('./feed-credentials');
+
+// フィード取得のタイムアウト（20秒）
+const FETCH_TIMEOUT = 20000;
+const USER_AGENT = 'RSS Feed News Tool/1.0';
+
+// コンテンツタイプ判定に使う YouTube・Media RSS の要素も読み込む
+const parser = new Parser({
+  customFields: {
+    item: [
+      ['yt:videoId', 'ytVideoId'],
+      ['media:group', 'mediaGroup'],
+      ['media:content', 'mediaContent', { keepArray: true }]
+    ]
+  }
+});
+
+/**
+ * Computes the content hash used to detect unchanged feed bodies
+ * @param {string} body - Raw feed body
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * Builds request headers, adding the feed's credentials and conditional GET validators when known
+ * @param {Object} feed - Feed row (etag, last_modified and encrypted credentials are optional)
+ * @returns {Object} HTTP headers
+ */
+function buildRequestHeaders(feed = {}) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    ...getFeedAuthHeaders(feed),
+    'Accept': feed.feed_type === SCRAPED_FEED_TYPE
+      ? 'text/html, application/xhtml+xml;q=0.9, */*;q=0.8'
+      : 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, application/json;q=0.8, */*;q=0.7'
+  };
+
+  if (feed.etag) {
+    headers['If-None-Match'] = feed.etag;
+  }
+  if (feed.last_modified) {
+    headers['If-Modified-Since'] = feed.last_modified;
+  }
+
+  return headers;
+}
+
+/**
+ * Parses a feed body as JSON Feed or RSS/Atom depending on its content
+ * @param {string} body - Raw feed body
+ * @param {string} contentType - Content-Type response header
+ * @returns {Promise<Object>} rss-parser compatible feed
+ */
+async function parseFeedBody(body, contentType) {
+  // Content-Type が application/json や text/plain のサーバーもあるため本文でも判定
+  if (looksLikeJson(body, contentType)) {
+    return parseJsonFeed(body);
+  }
+  return parser.parseString(body);
+}
+
+/**
+ * Fetches and parses a feed, skipping the parse when it has not changed
+ * @param {Object} feed - Feed row, or { url, feed_type, scrape_config, credentials } for a feed not yet stored
+ * @returns {Promise<Object>} { notModified, status, feed, websub, etag, lastModified, contentHash }
+ */
+async function fetchFeed(feed) {
+  const response = await axios.get(feed.url, {
+    timeout: FETCH_TIMEOUT,
+    headers: buildRequestHeaders(feed),
+    responseType: 'text',
+    maxRedirects: 5,
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+
+  const etag = response.headers['etag'] || feed.etag || null;
+  const lastModified = response.headers['last-modified'] || feed.last_modified || null;
+
+  // 304 Not Modified: 本文なし、前回の状態をそのまま維持
+  if (response.status === 304) {
+    return {
+      notModified: true,
+      status: response.status,
+      etag,
+      lastModified,
+      contentHash: feed.content_hash || null
+    };
+  }
+
+  // ETag非対応サーバー向け: 本文のハッシュが前回と同じならパースを省略
+  const contentHash = hashContent(response.data);
+  if (feed.content_hash && feed.content_hash === contentHash) {
+    return {
+      notModified: true,
+      status: response.status,
+      etag,
+      lastModified,
+      contentHash
+    };
+  }
+
+  // スクレイピング型のFeedはページをセレクターで記事に変換
+  if (feed.feed_type === SCRAPED_FEED_TYPE) {
+    return {
+      notModified: false,
+      status: response.status,
+      feed: extractPageFeed(response.data, feed.url, feed.scrape_config),
+      websub: { hub: null, self: null },
+      etag,
+      lastModified,
+      contentHash
+    };
+  }
+
+  const parsedFeed = await parseFeedBody(response.data, response.headers['content-type']);
+
+  return {
+    notModified: false,
+    status: response.status,
+    feed: parsedFeed,
+    websub: extractHubLinks(response.data, response.headers),
+    etag,
+    lastModified,
+    contentHash
+  };
+}
+
+/**
+ * Stores the validators returned by fetchFeed for the next poll
+ * @param {number} feedId - Feed ID
+ * @param {Object} result - Result of fetchFeed
+ * @returns {Promise<Object>} Run result
+ */
+function saveFetchState(feedId, result) {
+  return db.run(
+    'UPDATE feeds SET etag = ?, last_modified = ?, content_hash = ?, last_updated = CURRENT_TIMESTAMP WHERE id = ?',
+    [result.etag, result.lastModified, result.contentHash, feedId]
+  );
+}
+
+module.exports = {
+  fetchFeed,
+  parseFeedBody,
+  saveFetchState,
+  hashContent,
+  buildRequestHeaders
+};
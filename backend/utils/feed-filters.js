@@ -0,0 +1,174 @@
+/**
+ * Feed Filters Utility
+ *
+ * Keyword and regex rules that ingestion applies before an item is stored.
+ * Rules belong to one feed or, with feed_id NULL, to every feed. An exclude
+ * rule filters the items it matches; include rules filter the items that
+ * match none of them. A filtered item is either dropped or stored as read.
+ */
+
+const db = require('../models/database');
+
+const FILTER_MODES = ['include', 'exclude'];
+const MATCH_TYPES = ['keyword', 'regex'];
+const FILTER_FIELDS = ['title', 'description', 'categories'];
+const FILTER_ACTIONS = ['drop', 'mark_read'];
+
+const MAX_PATTERN_LENGTH = 500;
+
+// ドライランで判定する直近の記事数
+const DRY_RUN_LIMIT = 100;
+
+function parseFields(fields) {
+  const list = Array.isArray(fields) ? fields : String(fields || '').split(',');
+  return [...new Set(list.map(field => String(field).trim()).filter(Boolean))];
+}
+
+/**
+ * Validates filter input and fills in defaults
+ * @param {Object} input - { feed_id, mode, match_type, pattern, fields, action, is_enabled }
+ * @param {Object} current - Stored filter when updating, used for omitted values
+ * @returns {Object} Column values for the feed_filters table
+ * @throws {Error} When a value is invalid
+ */
+function normalizeFilter(input, current = {}) {
+  const value = key => (input[key] !== undefined ? input[key] : current[key]);
+
+  const mode = value('mode') || 'exclude';
+  if (!FILTER_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${FILTER_MODES.join(', ')}`);
+  }
+
+  const matchType = value('match_type') || 'keyword';
+  if (!MATCH_TYPES.includes(matchType)) {
+    throw new Error(`match_type must be one of: ${MATCH_TYPES.join(', ')}`);
+  }
+
+  const action = value('action') || 'drop';
+  if (!FILTER_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${FILTER_ACTIONS.join(', ')}`);
+  }
+
+  const pattern = String(value('pattern') || '').trim();
+  if (!pattern) {
+    throw new Error('pattern is required');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (matchType === 'regex') {
+    // 構文エラーはそのまま SyntaxError として返す
+    new RegExp(pattern, 'i');
+  }
+
+  const fields = parseFields(value('fields') ?? FILTER_FIELDS);
+  if (fields.length === 0 || fields.some(field => !FILTER_FIELDS.includes(field))) {
+    throw new Error(`fields must be a list of: ${FILTER_FIELDS.join(', ')}`);
+  }
+
+  const feedId = value('feed_id');
+  const isEnabled = value('is_enabled');
+
+  return {
+    feed_id: feedId ? Number(feedId) : null,
+    mode,
+    match_type: matchType,
+    pattern,
+    fields: fields.join(','),
+    action,
+    is_enabled: isEnabled === undefined || isEnabled === null ? 1 : (isEnabled ? 1 : 0)
+  };
+}
+
+/**
+ * Prepares a stored filter for matching
+ * @param {Object} filter - feed_filters row
+ * @returns {Object} Filter with a test(text) function and parsed fields
+ */
+function compileFilter(filter) {
+  let test;
+  if (filter.match_type === 'regex') {
+    const regex = new RegExp(filter.pattern, 'i');
+    test = text => regex.test(text);
+  } else {
+    const keyword = filter.pattern.toLowerCase();
+    test = text => text.toLowerCase().includes(keyword);
+  }
+
+  return { ...filter, fields: parseFields(filter.fields), test };
+}
+
+function parseCategories(categories) {
+  if (Array.isArray(categories)) {
+    return categories;
+  }
+  if (!categories) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(categories);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function matchesFilter(item, filter) {
+  return filter.fields.some(field => {
+    if (field === 'categories') {
+      return parseCategories(item.categories).some(category => filter.test(String(category)));
+    }
+    return filter.test(item[field] || '');
+  });
+}
+
+/**
+ * Decides what happens to an item under a set of filters. When several rules
+ * filter the same item, drop takes precedence over mark_read.
+ * @param {Object} item - { title, description, categories }
+ * @param {Array<Object>} filters - Compiled filters
+ * @returns {{action: string, filterIds: Array<number>}|null} Action, or null to keep the item as unread
+ */
+function evaluateItem(item, filters) {
+  const triggered = filters.filter(filter => filter.mode === 'exclude' && matchesFilter(item, filter));
+
+  // include ルールが1つ以上ある場合はいずれかに一致しない記事を対象にする
+  const includes = filters.filter(filter => filter.mode === 'include');
+  if (includes.length > 0 && !includes.some(filter => matchesFilter(item, filter))) {
+    triggered.push(...includes);
+  }
+
+  if (triggered.length === 0) {
+    return null;
+  }
+
+  return {
+    action: triggered.some(filter => filter.action === 'drop') ? 'drop' : 'mark_read',
+    filterIds: triggered.map(filter => filter.id)
+  };
+}
+
+/**
+ * Loads the enabled filters that apply to a feed, global ones included
+ * @param {number} feedId - Feed ID
+ * @returns {Promise<Array<Object>>} Compiled filters
+ */
+async function loadFeedFilters(feedId) {
+  const rows = await db.query(
+    'SELECT * FROM feed_filters WHERE is_enabled = 1 AND (feed_id IS NULL OR feed_id = ?) ORDER BY id',
+    [feedId]
+  );
+  return (rows || []).map(compileFilter);
+}
+
+module.exports = {
+  FILTER_MODES,
+  MATCH_TYPES,
+  FILTER_FIELDS,
+  FILTER_ACTIONS,
+  DRY_RUN_LIMIT,
+  normalizeFilter,
+  compileFilter,
+  evaluateItem,
+  loadFeedFilters
+};
@@ -0,0 +1,156 @@
+/**
+ * Feed Health Utility
+ *
+ * Records the outcome of every feed fetch, keeps a short per-feed history,
+ * backs off polling of failing feeds and pauses them automatically after
+ * repeated consecutive failures.
+ */
+
+const db = require('../models/database');
+const { MAX_POLL_INTERVAL } = require('./poll-interval');
+
+// 連続失敗回数がこの値に達したFeedは自動で一時停止
+const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.FEED_MAX_CONSECUTIVE_FAILURES, 10) || 5;
+
+// Feedごとに保持する取得履歴の件数
+const FETCH_LOG_LIMIT = 50;
+
+/**
+ * Extracts the HTTP status from a fetch error, if any
+ * @param {Error} error - Error thrown while fetching
+ * @returns {number|null} HTTP status code
+ */
+function getErrorHttpStatus(error) {
+  return error?.response?.status || null;
+}
+
+/**
+ * Lengthens the polling interval of a failing feed, doubling it per consecutive failure
+ * @param {number} intervalMinutes - Regular polling interval
+ * @param {number} consecutiveFailures - Consecutive failures so far
+ * @returns {number} Interval in minutes (at most MAX_POLL_INTERVAL unless the regular interval is longer)
+ */
+function getFailureBackoffInterval(intervalMinutes, consecutiveFailures) {
+  if (!consecutiveFailures || consecutiveFailures < 1) {
+    return intervalMinutes;
+  }
+  // 上限より長い固定間隔は短くしない
+  return Math.max(intervalMinutes, Math.min(MAX_POLL_INTERVAL, intervalMinutes * 2 ** (consecutiveFailures - 1)));
+}
+
+async function appendFetchLog(feedId, entry) {
+  await db.run(
+    `INSERT INTO feed_fetch_log (feed_id, status, http_status, error_message, new_articles, duration_ms)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [feedId, entry.status, entry.httpStatus, entry.errorMessage, entry.newArticles, entry.durationMs]
+  );
+
+  // 古い履歴を削除
+  await db.run(
+    `DELETE FROM feed_fetch_log WHERE feed_id = ? AND id NOT IN (
+       SELECT id FROM feed_fetch_log WHERE feed_id = ? ORDER BY id DESC LIMIT ?
+     )`,
+    [feedId, feedId, FETCH_LOG_LIMIT]
+  );
+}
+
+/**
+ * Records a successful fetch and resets the failure counter
+ * @param {Object} feed - Feed row
+ * @param {Object} outcome - { httpStatus, notModified, newArticles, durationMs }
+ */
+async function recordFetchSuccess(feed, outcome = {}) {
+  const { httpStatus = null, notModified = false, newArticles = 0, durationMs = null } = outcome;
+
+  await db.run(
+    `UPDATE feeds SET last_success_at = CURRENT_TIMESTAMP, last_error = NULL,
+     last_http_status = ?, consecutive_failures = 0 WHERE id = ?`,
+    [httpStatus, feed.id]
+  );
+
+  await appendFetchLog(feed.id, {
+    status: notModified ? 'not_modified' : 'success',
+    httpStatus,
+    errorMessage: null,
+    newArticles,
+    durationMs
+  });
+}
+
+/**
+ * Records a failed fetch, pausing the feed once it fails too often
+ * @param {Object} feed - Feed row
+ * @param {Error} error - Error thrown while fetching
+ * @param {number} durationMs - Time spent before the failure
+ * @returns {Promise<{consecutiveFailures: number, paused: boolean}>}
+ */
+async function recordFetchFailure(feed, error, durationMs = null) {
+  const httpStatus = getErrorHttpStatus(error);
+
+  // 同じFeedの取得が重なっても失敗を数え漏らさないよう、DB上で加算してから読み直す
+  await db.run(
+    'UPDATE feeds SET last_error = ?, last_http_status = ?, consecutive_failures = COALESCE(consecutive_failures, 0) + 1 WHERE id = ?',
+    [error.message, httpStatus, feed.id]
+  );
+  const current = await db.get('SELECT consecutive_failures, is_paused FROM feeds WHERE id = ?', [feed.id]);
+  const consecutiveFailures = Number(current?.consecutive_failures) || 0;
+  const paused = consecutiveFailures >= MAX_CONSECUTIVE_FAILURES;
+
+  if (paused && !Number(current?.is_paused)) {
+    await db.run(
+      'UPDATE feeds SET is_paused = 1, paused_reason = ? WHERE id = ?',
+      ['auto', feed.id]
+    );
+    console.warn(`⏸️ Feed auto-paused after ${consecutiveFailures} consecutive failures: ${feed.title || feed.url}`);
+  }
+
+  await appendFetchLog(feed.id, {
+    status: 'error',
+    httpStatus,
+    errorMessage: error.message,
+    newArticles: 0,
+    durationMs
+  });
+
+  return { consecutiveFailures, paused };
+}
+
+/**
+ * Gets the health summary and recent fetch attempts of a feed
+ * @param {number} feedId - Feed ID
+ * @param {number} limit - Number of attempts to return
+ * @returns {Promise<Object|null>} Health information, or null if the feed does not exist
+ */
+async function getFeedHealth(feedId, limit = 20) {
+  const feed = await db.get(
+    `SELECT id, title, url, is_paused, paused_reason, last_success_at, last_error,
+     last_http_status, consecutive_failures FROM feeds WHERE id = ?`,
+    [feedId]
+  );
+
+  if (!feed) {
+    return null;
+  }
+
+  const attempts = await db.query(
+    `SELECT status, http_status, error_message, new_articles, duration_ms, fetched_at
+     FROM feed_fetch_log WHERE feed_id = ? ORDER BY id DESC LIMIT ?`,
+    [feedId, limit]
+  );
+
+  return {
+    ...feed,
+    consecutive_failures: feed.consecutive_failures || 0,
+    healthy: !feed.consecutive_failures,
+    max_consecutive_failures: MAX_CONSECUTIVE_FAILURES,
+    attempts
+  };
+}
+
+module.exports = {
+  MAX_CONSECUTIVE_FAILURES,
+  getFailureBackoffInterval,
+  recordFetchSuccess,
+  recordFetchFailure,
+  getFeedHealth
+};
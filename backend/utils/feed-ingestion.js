@@ -0,0 +1,290 @@
+/**
+ * Feed Ingestion Utility
+ *
+ * Turns parsed feed items into article rows. Every path that stores articles
+ * (subscription, manual refresh and scheduled polling) goes through here so
+ * deduplication, date handling and backfill depth behave the same everywhere.
+ */
+
+const db = require('../models/database');
+const { detectItemContentType, resolveContentType } = require('./content-type');
+const { queueFullTextExtraction } = require('./article-extractor');
+const { evaluateItem, loadFeedFilters } = require('./feed-filters');
+const { resolveCanonicalUrl, resolveCanonicalUrls, findDuplicateArticle, addArticleSource } = require('./article-dedup');
+
+// Feed別の指定がない場合に1回の取得で登録する記事数（0 は件数制限なし）
+// FEED_BACKFILL_DEPTH を設定するとすべての取得に使い、未設定なら取得の種類ごとの従来の件数を使う
+const CONFIGURED_BACKFILL_DEPTH = parseBackfillDepth(process.env.FEED_BACKFILL_DEPTH);
+const DEFAULT_BACKFILL_DEPTHS = {
+  subscribe: 5,
+  refresh: 5,
+  poll: 10
+};
+
+// Feed別に指定できる最大件数
+const MAX_BACKFILL_DEPTH = 1000;
+
+/**
+ * Parses a backfill depth setting
+ * @param {*} value - Number of items, 0 or 'all' for the whole feed
+ * @returns {number|null|undefined} Depth (0 = unlimited), null when unset, undefined when invalid
+ */
+function parseBackfillDepth(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value === 'all') {
+    return 0;
+  }
+
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_BACKFILL_DEPTH) {
+    return undefined;
+  }
+  return depth;
+}
+
+/**
+ * Resolves how many items to ingest for a feed
+ * @param {Object} feed - Feed row (backfill_depth is optional)
+ * @param {Object} options - { importArchive } to take every item in the feed, { trigger } 'subscribe', 'refresh'
+ *   or 'poll' (default) to pick the default depth
+ * @returns {number} Depth, 0 meaning unlimited
+ */
+function getBackfillDepth(feed = {}, options = {}) {
+  if (options.importArchive) {
+    return 0;
+  }
+  if (feed.backfill_depth !== null && feed.backfill_depth !== undefined) {
+    return feed.backfill_depth;
+  }
+  return CONFIGURED_BACKFILL_DEPTH ?? DEFAULT_BACKFILL_DEPTHS[options.trigger] ?? DEFAULT_BACKFILL_DEPTHS.poll;
+}
+
+/**
+ * Parses an item date, falling back to the given time when missing or invalid
+ * @param {Object} item - Parsed feed item
+ * @param {Date} fallback - Date used when the item has none
+ * @returns {string} ISO 8601 date
+ */
+function getItemDate(item, fallback = new Date()) {
+  for (const value of [item.isoDate, item.pubDate]) {
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  return fallback.toISOString();
+}
+
+/**
+ * Converts a parsed feed item into the fields stored on an article
+ * @param {Object} item - Parsed feed item
+ * @param {Date} now - Date used for items without a publish date
+ * @param {Object} channel - Parsed feed the item came from, for content-type hints
+ * @returns {{guid: string, title: string, link: string, description: string, categories: Array<string>, pubDate: string, contentType: string}|null}
+ *   Normalized item, or null when it has neither a guid nor a link
+ */
+function normalizeItem(item, now = new Date(), channel = null) {
+  const link = (item.link || '').trim();
+  const guid = String(item.guid || item.id || link).trim();
+
+  if (!guid) {
+    return null;
+  }
+
+  return {
+    guid,
+    title: (item.title || '').trim(),
+    link,
+    description: item.contentSnippet || item.content || item.summary || '',
+    categories: getItemCategories(item),
+    pubDate: getItemDate(item, now),
+    // enclosure や itunes:* などは正規化で失われるため、ここで判定しておく
+    contentType: detectItemContentType(item, channel)
+  };
+}
+
+/**
+ * Collects category names from RSS, Atom and JSON Feed items
+ * @param {Object} item - Parsed feed item
+ * @returns {Array<string>} Category names
+ */
+function getItemCategories(item) {
+  const categories = Array.isArray(item.categories) ? item.categories : [];
+
+  // rss-parser は domain 属性付きのカテゴリや Atom の term をオブジェクトで返す
+  return [...new Set(categories
+    .map(category => (typeof category === 'string' ? category : category?._ || category?.$?.term || category?.term || ''))
+    .map(category => String(category).trim())
+    .filter(Boolean))];
+}
+
+/**
+ * Normalizes items, drops unusable ones and keeps the newest up to depth
+ * @param {Array<Object>} items - Parsed feed items
+ * @param {number} depth - Maximum number of items, 0 for all
+ * @param {Date} now - Date used for items without a publish date
+ * @param {Object} channel - Parsed feed the items came from
+ * @returns {Array<Object>} Normalized items, newest first
+ */
+function selectItems(items, depth, now = new Date(), channel = null) {
+  const seen = new Set();
+  const normalized = (items || [])
+    .map(item => normalizeItem(item, now, channel))
+    .filter(item => {
+      // 同じフィード内で guid が重複している場合は最初の1件のみ
+      if (!item || seen.has(item.guid)) {
+        return false;
+      }
+      seen.add(item.guid);
+      return true;
+    })
+    .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+
+  return depth > 0 ? normalized.slice(0, depth) : normalized;
+}
+
+/**
+ * Tells whether the page of an item may be fetched to find its canonical URL
+ * @param {Object} feed - Feed row
+ * @param {string} contentType - Resolved content type of the item
+ * @param {Object} options - Ingestion options ({ importArchive })
+ * @returns {boolean} True when the page may be fetched
+ */
+function canResolveCanonical(feed, contentType, options = {}) {
+  // 過去分の一括取り込みは記事数が多いため、メールマガジンはリンクを開くと開封が送信者に伝わるため取得しない
+  return contentType === 'article' && !options.importArchive && feed.feed_type !== 'email';
+}
+
+function isUniqueViolation(error) {
+  return error.code === 'SQLITE_CONSTRAINT' ||
+    error.code === 'SQLITE_CONSTRAINT_UNIQUE' ||
+    error.code === '23505';
+}
+
+/**
+ * Stores the items of a parsed feed as articles, skipping ones already stored.
+ * The pages of new articles are fetched a few at a time for duplicate detection,
+ * except for archive imports and newsletters.
+ * @param {Object} feed - Feed row (id is required; content_type_override, backfill_depth and fetch_full_text are honoured)
+ * @param {Array<Object>} items - Parsed feed items
+ * @param {Object} options - { importArchive, depth } to override the feed's backfill depth, { trigger } as in getBackfillDepth,
+ *   { channel } the parsed feed for content-type hints
+ * @returns {Promise<{processed: number, newArticles: number, duplicates: number, merged: number, filtered: number, markedRead: number, errors: number}>}
+ */
+async function ingestItems(feed, items, options = {}) {
+  const depth = options.depth ?? getBackfillDepth(feed, options);
+  const selected = selectItems(items, depth, new Date(), options.channel);
+  const stats = { processed: selected.length, newArticles: 0, duplicates: 0, merged: 0, filtered: 0, markedRead: 0, errors: 0 };
+  const filters = await loadFeedFilters(feed.id);
+  const inserted = [];
+
+  const pending = [];
+
+  for (const item of selected) {
+    try {
+      // guid が一致するか、同じFeed内でリンクが一致する記事、他の記事に統合済みの項目、
+      // または保存期間のルールで削除済みの項目は重複とみなす
+      const existing = (item.link
+        ? await db.get('SELECT id FROM articles WHERE guid = ? OR (feed_id = ? AND link = ?)', [item.guid, feed.id, item.link])
+        : await db.get('SELECT id FROM articles WHERE guid = ?', [item.guid])) ||
+        await db.get('SELECT article_id FROM article_sources WHERE guid = ?', [item.guid]) ||
+        await db.get('SELECT guid FROM pruned_articles WHERE guid = ?', [item.guid]);
+
+      if (existing) {
+        stats.duplicates++;
+        continue;
+      }
+
+      // フィルターに一致した記事は登録しないか、既読として登録
+      const decision = evaluateItem(item, filters);
+      if (decision && decision.action === 'drop') {
+        stats.filtered++;
+        continue;
+      }
+
+      const contentType = resolveContentType({ link: item.link, detected_content_type: item.contentType }, feed);
+      pending.push({ item, contentType, markRead: decision?.action === 'mark_read' });
+    } catch (error) {
+      stats.errors++;
+      console.error(`Failed to ingest item ${item.guid} for feed ${feed.id}:`, error.message);
+    }
+  }
+
+  // 新しい記事のページのみ、数件ずつ並行して取得して rel=canonical を読む
+  const canonicalUrls = await resolveCanonicalUrls(
+    pending.filter(({ item, contentType }) => item.link && canResolveCanonical(feed, contentType, options)).map(({ item }) => item.link)
+  );
+
+  for (const { item, contentType, markRead } of pending) {
+    try {
+      // 別Feedから届いた同じ記事（URLの正規化・タイトルの類似度で判定）は取得元として追加
+      const canonicalUrl = item.link
+        ? canonicalUrls.get(item.link) ?? await resolveCanonicalUrl(item.link, { resolve: false })
+        : null;
+      const duplicate = await findDuplicateArticle(item, { feedId: feed.id, canonicalUrl });
+
+      if (duplicate) {
+        await addArticleSource(duplicate.id, feed.id, item, duplicate.matchType);
+        stats.merged++;
+        continue;
+      }
+
+      const result = await db.run(
+        `INSERT INTO articles
+         (feed_id, guid, title, link, description, pub_date, content_type, categories, read_status, canonical_url, detected_content_type)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          feed.id,
+          item.guid,
+          item.title,
+          item.link,
+          item.description,
+          item.pubDate,
+          contentType,
+          item.categories.length > 0 ? JSON.stringify(item.categories) : null,
+          markRead ? 1 : 0,
+          canonicalUrl,
+          item.contentType
+        ]
+      );
+      stats.newArticles++;
+      if (markRead) {
+        stats.markedRead++;
+      }
+
+      if (feed.fetch_full_text && item.link && !markRead) {
+        const articleId = result?.lastID || (await db.get('SELECT id FROM articles WHERE guid = ?', [item.guid]))?.id;
+        if (articleId) {
+          inserted.push({ id: articleId, feed_id: feed.id, link: item.link, content_type: contentType });
+        }
+      }
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        stats.duplicates++;
+      } else {
+        stats.errors++;
+        console.error(`Failed to ingest item ${item.guid} for feed ${feed.id}:`, error.message);
+      }
+    }
+  }
+
+  // 全文抽出は取り込み処理を待たせないようバックグラウンドで実行
+  if (inserted.length > 0) {
+    queueFullTextExtraction(inserted);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_BACKFILL_DEPTHS,
+  MAX_BACKFILL_DEPTH,
+  parseBackfillDepth,
+  getBackfillDepth,
+  normalizeItem,
+  selectItems,
+  canResolveCanonical,
+  ingestItems
+};
@@ -0,0 +1,114 @@
+/**
+ * Feed Preview Utility
+ *
+ * Summarizes a parsed feed before subscribing: its title and description,
+ * the content type most of its items are detected as, how often it posts
+ * and its latest items. Nothing is written to the database.
+ */
+
+const { detectItemContentType, getFeedContentTypeHint } = require('./content-type');
+
+// プレビューで返す記事数
+const PREVIEW_ITEM_LIMIT = 20;
+
+const DESCRIPTION_LENGTH = 200;
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+function getPublishedDate(item) {
+  for (const value of [item.isoDate, item.pubDate]) {
+    const date = value ? new Date(value) : null;
+    if (date && !isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return null;
+}
+
+function truncate(text, length) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  return normalized.length > length ? `${normalized.substring(0, length - 1)}…` : normalized;
+}
+
+/**
+ * Estimates how often a feed posts from the publish dates of its items
+ * @param {Array<string|Date>} pubDates - Publish dates of the feed's items
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {{postsPerWeek: number, averageIntervalHours: number, latestPostAt: string, sampleSize: number}|null}
+ *   Estimate, or null when fewer than two items have a date
+ */
+function estimatePostingFrequency(pubDates, now = new Date()) {
+  const times = (pubDates || [])
+    .map(date => new Date(date).getTime())
+    .filter(time => !isNaN(time) && time <= now.getTime())
+    .sort((a, b) => b - a);
+
+  if (times.length < 2) {
+    return null;
+  }
+
+  // 同時刻にまとめて公開された記事しかない場合も0除算にならないよう最小1分とする
+  const averageInterval = Math.max((times[0] - times[times.length - 1]) / (times.length - 1), 60 * 1000);
+
+  return {
+    postsPerWeek: Math.round((WEEK_MS / averageInterval) * 10) / 10,
+    averageIntervalHours: Math.round((averageInterval / HOUR_MS) * 10) / 10,
+    latestPostAt: new Date(times[0]).toISOString(),
+    sampleSize: times.length
+  };
+}
+
+/**
+ * Works out the content type of a feed as a whole
+ * @param {Object} channel - Parsed feed
+ * @returns {string} The type most items are detected as, or the feed-level hint for an empty feed
+ */
+function detectFeedContentType(channel) {
+  const counts = {};
+  (channel?.items || []).forEach(item => {
+    const type = detectItemContentType(item, channel);
+    counts[type] = (counts[type] || 0) + 1;
+  });
+
+  const [mostCommon] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return mostCommon ? mostCommon[0] : (getFeedContentTypeHint(channel) || 'article');
+}
+
+/**
+ * Builds the preview of a parsed feed
+ * @param {Object} channel - Parsed feed (rss-parser or JSON Feed result)
+ * @param {Object} options - { now } reference time for the frequency estimate
+ * @returns {Object} { title, description, link, contentType, frequency, itemCount, items }
+ */
+function buildFeedPreview(channel, options = {}) {
+  const now = options.now || new Date();
+  const items = (channel.items || []).map(item => ({
+    title: (item.title || '').trim(),
+    link: (item.link || '').trim(),
+    pub_date: getPublishedDate(item)?.toISOString() || null,
+    description: truncate(item.contentSnippet || item.content || item.summary, DESCRIPTION_LENGTH),
+    content_type: detectItemContentType(item, channel)
+  }));
+
+  // 新しい順（日付のない記事は末尾）
+  const latest = [...items]
+    .sort((a, b) => (b.pub_date ? new Date(b.pub_date) : 0) - (a.pub_date ? new Date(a.pub_date) : 0))
+    .slice(0, PREVIEW_ITEM_LIMIT);
+
+  return {
+    title: channel.title || '',
+    description: truncate(channel.description, DESCRIPTION_LENGTH * 2),
+    link: channel.link || null,
+    contentType: detectFeedContentType(channel),
+    frequency: estimatePostingFrequency(items.map(item => item.pub_date).filter(Boolean), now),
+    itemCount: items.length,
+    items: latest
+  };
+}
+
+module.exports = {
+  PREVIEW_ITEM_LIMIT,
+  estimatePostingFrequency,
+  detectFeedContentType,
+  buildFeedPreview
+};
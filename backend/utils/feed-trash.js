@@ -0,0 +1,225 @@
+/**
+ * Feed Trash Utility
+ *
+ * Deleting a feed only moves it to the trash (is_active = 0), so it can be
+ * restored with its articles intact. Purging a trashed feed removes the feed
+ * and everything stored for it in a single transaction and reports how much
+ * data was freed. Purged newsletter senders are remembered so that later
+ * imports do not subscribe to them again.
+ */
+
+const db = require('../models/database');
+const { transaction } = require('./database-helpers');
+const { extractVideoId } = require('./youtube-helper');
+const { EMAIL_FEED_TYPE } = require('./newsletter');
+
+// IN句に並べる件数の上限（SQLiteのプレースホルダー上限対策）
+const IN_CLAUSE_CHUNK_SIZE = 500;
+
+// 記事1件あたりの保存データ（削除で解放されるバイト数の見積もりに使用）
+const ARTICLE_TEXT_COLUMNS = [
+  'guid', 'title', 'link', 'description', 'summary_text', 'content_html', 'content_text', 'categories', 'canonical_url'
+];
+
+// 列のバイト数（SQLiteはBLOBにキャストしてLENGTH、PostgreSQLはoctet_length）
+function byteLength(columns) {
+  const expression = db.dbType === 'postgresql'
+    ? column => `COALESCE(octet_length(CAST(${column} AS TEXT)), 0)`
+    : column => `COALESCE(LENGTH(CAST(${column} AS BLOB)), 0)`;
+  return columns.map(column => expression(column)).join(' + ');
+}
+
+function chunk(values, size = IN_CLAUSE_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Lists feeds in the trash with how much data each one still holds
+ * @returns {Promise<Array<Object>>} Trashed feeds, most recently deleted first
+ */
+async function getTrashedFeeds() {
+  return db.query(`
+    SELECT f.id, f.url, f.title, f.custom_title, COALESCE(f.custom_title, f.title) as display_title,
+           f.feed_type, f.deleted_at, f.created_at,
+           (SELECT COUNT(*) FROM articles a WHERE a.feed_id = f.id) as article_count,
+           (SELECT COUNT(*) FROM articles a WHERE a.feed_id = f.id AND a.summary_status = 'completed') as summarized_count
+    FROM feeds f
+    WHERE f.is_active = 0
+    ORDER BY f.deleted_at DESC, f.id DESC
+  `);
+}
+
+/**
+ * Restores a trashed feed. WebSub is subscribed again on its next fetch.
+ * @param {number} feedId - Feed ID
+ * @returns {Promise<boolean>} Whether a trashed feed was restored
+ */
+async function restoreFeed(feedId) {
+  const result = await db.run(
+    `UPDATE feeds SET is_active = 1, deleted_at = NULL, is_paused = 0, paused_reason = NULL,
+     consecutive_failures = 0, next_poll_at = NULL
+     WHERE id = ? AND is_active = 0`,
+    [feedId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Finds articles of the feed that other active feeds also delivered. Those
+ * articles are handed over to the first other source instead of being purged.
+ * @param {number} feedId - Feed being purged
+ * @returns {Promise<Array<Object>>} One source row per article to hand over
+ */
+async function findHandovers(feedId) {
+  const rows = await db.query(
+    `SELECT s.id, s.article_id, s.feed_id, s.guid, s.link
+     FROM article_sources s
+     JOIN articles a ON s.article_id = a.id
+     JOIN feeds f ON s.feed_id = f.id
+     WHERE a.feed_id = ? AND s.feed_id != ? AND f.is_active = 1
+     ORDER BY s.id`,
+    [feedId, feedId]
+  );
+
+  const handovers = new Map();
+  rows.forEach(row => {
+    if (!handovers.has(row.article_id)) {
+      handovers.set(row.article_id, row);
+    }
+  });
+  return [...handovers.values()];
+}
+
+async function sumBytes(sql, params) {
+  const row = await db.get(sql, params);
+  // PostgreSQLのCOUNT/SUMは文字列で返る
+  return { count: Number(row?.count || 0), bytes: Number(row?.bytes || 0) };
+}
+
+/**
+ * Collects the YouTube transcripts cached only for the purged articles
+ * @param {Array<Object>} articles - Articles being purged ({ link })
+ * @param {number} feedId - Feed being purged
+ * @returns {Promise<Array<Object>>} Cached rows ({ video_id, bytes })
+ */
+async function findCachedTranscripts(articles, feedId) {
+  const videoIds = [...new Set(articles.map(article => extractVideoId(article.link)).filter(Boolean))];
+  const cached = [];
+
+  for (const ids of chunk(videoIds)) {
+    const rows = await db.query(
+      `SELECT video_id, ${byteLength(['video_id', 'transcript_text'])} as bytes
+       FROM transcript_cache WHERE video_id IN (${placeholders(ids)})`,
+      ids
+    );
+    cached.push(...rows);
+  }
+
+  // 他のFeedの記事でも使われている動画の字幕は残す
+  const kept = new Set();
+  for (const rows of chunk(cached)) {
+    const links = await db.query(
+      `SELECT link FROM articles WHERE feed_id != ? AND (${rows.map(() => 'link LIKE ?').join(' OR ')})`,
+      [feedId, ...rows.map(row => `%${row.video_id}%`)]
+    );
+    links.forEach(({ link }) => kept.add(extractVideoId(link)));
+  }
+
+  return cached.filter(row => !kept.has(row.video_id));
+}
+
+/**
+ * Permanently deletes a trashed feed with its articles, summary requests,
+ * article sources, fetch log, filters, WebSub subscription and cached transcripts
+ * @param {number} feedId - Feed ID
+ * @returns {Promise<Object|null>} Deleted row counts and freed bytes, or null when the feed is not in the trash
+ */
+async function purgeFeed(feedId) {
+  const feed = await db.get('SELECT id, url, title, feed_type FROM feeds WHERE id = ? AND is_active = 0', [feedId]);
+  if (!feed) {
+    return null;
+  }
+
+  const handovers = await findHandovers(feedId);
+  const keptIds = handovers.map(handover => handover.article_id);
+  const keptClause = keptIds.length > 0 ? ` AND id NOT IN (${placeholders(keptIds)})` : '';
+
+  const articles = await db.query(`SELECT id, link FROM articles WHERE feed_id = ?${keptClause}`, [feedId, ...keptIds]);
+  const articleStats = await sumBytes(
+    `SELECT COUNT(*) as count, SUM(${byteLength(ARTICLE_TEXT_COLUMNS)}) as bytes FROM articles WHERE feed_id = ?${keptClause}`,
+    [feedId, ...keptIds]
+  );
+  const summaryStats = await sumBytes(
+    `SELECT COUNT(*) as count, SUM(${byteLength(['status', 'error_message'])}) as bytes FROM summary_requests
+     WHERE article_id IN (SELECT id FROM articles WHERE feed_id = ?${keptClause})`,
+    [feedId, ...keptIds]
+  );
+  const sourceStats = await sumBytes(
+    `SELECT COUNT(*) as count, SUM(${byteLength(['guid', 'link', 'title', 'match_type'])}) as bytes FROM article_sources
+     WHERE feed_id = ? OR article_id IN (SELECT id FROM articles WHERE feed_id = ?${keptClause})`,
+    [feedId, feedId, ...keptIds]
+  );
+  const transcripts = await findCachedTranscripts(articles, feedId);
+
+  const statements = [];
+  handovers.forEach(handover => {
+    statements.push(
+      { sql: 'UPDATE articles SET feed_id = ?, guid = ?, link = ? WHERE id = ?', params: [handover.feed_id, handover.guid, handover.link, handover.article_id] },
+      { sql: 'DELETE FROM article_sources WHERE id = ?', params: [handover.id] }
+    );
+  });
+  statements.push(
+    { sql: 'DELETE FROM summary_requests WHERE article_id IN (SELECT id FROM articles WHERE feed_id = ?)', params: [feedId] },
+    { sql: 'DELETE FROM article_sources WHERE feed_id = ? OR article_id IN (SELECT id FROM articles WHERE feed_id = ?)', params: [feedId, feedId] },
+    { sql: 'DELETE FROM articles WHERE feed_id = ?', params: [feedId] }
+  );
+  chunk(transcripts.map(row => row.video_id)).forEach(ids => {
+    statements.push({ sql: `DELETE FROM transcript_cache WHERE video_id IN (${placeholders(ids)})`, params: ids });
+  });
+  statements.push(
+    { sql: 'DELETE FROM feed_fetch_log WHERE feed_id = ?', params: [feedId] },
+    { sql: 'DELETE FROM feed_filters WHERE feed_id = ?', params: [feedId] },
+    { sql: 'DELETE FROM websub_subscriptions WHERE feed_id = ?', params: [feedId] },
+    { sql: 'DELETE FROM feeds WHERE id = ?', params: [feedId] }
+  );
+  if (feed.feed_type === EMAIL_FEED_TYPE) {
+    statements.push({
+      sql: 'INSERT INTO unsubscribed_senders (address) VALUES (?) ON CONFLICT (address) DO NOTHING',
+      params: [feed.url.replace(/^mailto:/, '')]
+    });
+  }
+
+  await transaction(statements);
+
+  const transcriptBytes = transcripts.reduce((total, row) => total + Number(row.bytes || 0), 0);
+  const deleted = {
+    articles: articleStats.count,
+    summary_requests: summaryStats.count,
+    article_sources: sourceStats.count,
+    transcript_cache: transcripts.length
+  };
+
+  console.log(`🗑️ Purged feed ${feedId} (${feed.url}): ${deleted.articles} articles, ${deleted.transcript_cache} transcripts, ${handovers.length} handed over`);
+
+  return {
+    feed_id: feed.id,
+    title: feed.title,
+    deleted,
+    handed_over: handovers.length,
+    freed_bytes: articleStats.bytes + summaryStats.bytes + sourceStats.bytes + transcriptBytes
+  };
+}
+
+module.exports = {
+  getTrashedFeeds,
+  restoreFeed,
+  purgeFeed
+};
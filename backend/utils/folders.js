@@ -0,0 +1,84 @@
+/**
+ * Folder Utility
+ *
+ * Resolves nested feed folders to and from name paths such as ['Tech', 'AI'],
+ * which is how OPML outlines and backups describe them.
+ */
+
+const db = require('../models/database');
+
+/**
+ * Finds or creates every folder along a name path
+ * @param {Array<string>} names - Folder names from the top level down
+ * @returns {Promise<number|null>} ID of the deepest folder, or null for an empty path
+ */
+async function ensureFolderPath(names) {
+  let parentId = null;
+
+  for (const name of names || []) {
+    const existing = parentId === null
+      ? await db.get('SELECT id FROM folders WHERE name = ? AND parent_id IS NULL', [name])
+      : await db.get('SELECT id FROM folders WHERE name = ? AND parent_id = ?', [name, parentId]);
+
+    if (existing) {
+      parentId = existing.id;
+    } else {
+      const result = await db.run('INSERT INTO folders (name, parent_id) VALUES (?, ?)', [name, parentId]);
+      parentId = result.lastID;
+    }
+  }
+
+  return parentId;
+}
+
+/**
+ * Builds the name path of every folder
+ * @returns {Promise<Map<number, Array<string>>>} Folder ID to name path
+ */
+async function getFolderPaths() {
+  const folders = await db.query('SELECT id, name, parent_id FROM folders');
+  const byId = new Map(folders.map(folder => [folder.id, folder]));
+  const paths = new Map();
+
+  folders.forEach(folder => {
+    const path = [];
+    const visited = new Set();
+    let current = folder;
+
+    // 親が循環している不正データでも無限ループにならないようにする
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      path.unshift(current.name);
+      current = byId.get(current.parent_id);
+    }
+
+    paths.set(folder.id, path);
+  });
+
+  return paths;
+}
+
+/**
+ * Collects a folder and all of its subfolders
+ * @param {number} folderId - Folder ID
+ * @returns {Promise<Array<number>>} IDs including folderId itself
+ */
+async function getDescendantFolderIds(folderId) {
+  const folders = await db.query('SELECT id, parent_id FROM folders');
+  const ids = [Number(folderId)];
+
+  // 幅優先で子フォルダを辿る（循環データは一度しか追加しない）
+  for (let i = 0; i < ids.length; i++) {
+    folders
+      .filter(folder => folder.parent_id === ids[i] && !ids.includes(folder.id))
+      .forEach(folder => ids.push(folder.id));
+  }
+
+  return ids;
+}
+
+module.exports = {
+  ensureFolderPath,
+  getFolderPaths,
+  getDescendantFolderIds
+};
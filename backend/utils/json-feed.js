@@ -0,0 +1,142 @@
+/**
+ * JSON Feed Utility
+ *
+ * Parses JSON Feed 1.0/1.1 (https://jsonfeed.org/version/1.1) documents into
+ * the same shape rss-parser returns, so the rest of the pipeline does not
+ * need to know which format a feed was published in.
+ */
+
+const cheerio = require('cheerio');
+
+const JSON_FEED_VERSION_PREFIX = 'https://jsonfeed.org/version/';
+
+// タイトルのない投稿（マイクロブログ等）で本文から生成するタイトルの長さ
+const GENERATED_TITLE_LENGTH = 80;
+
+/**
+ * Checks whether a response looks like JSON rather than XML
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header
+ * @returns {boolean} True when the body should be parsed as JSON
+ */
+function looksLikeJson(body, contentType = '') {
+  if (/json/i.test(contentType)) {
+    return true;
+  }
+  return typeof body === 'string' && body.trimStart().startsWith('{');
+}
+
+/**
+ * Checks whether a parsed JSON document is a JSON Feed
+ * @param {Object} document - Parsed JSON
+ * @returns {boolean} True for JSON Feed 1.x documents
+ */
+function isJsonFeed(document) {
+  return Boolean(
+    document &&
+    typeof document.version === 'string' &&
+    document.version.startsWith(JSON_FEED_VERSION_PREFIX) &&
+    Array.isArray(document.items)
+  );
+}
+
+function htmlToText(html) {
+  return cheerio.load(html || '').text().replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+/**
+ * Converts a JSON Feed attachment into an rss-parser style enclosure
+ * @param {Object} attachment - JSON Feed attachment
+ * @returns {{url: string, type: string, length: string}}
+ */
+function toEnclosure(attachment) {
+  const enclosure = {
+    url: attachment.url,
+    type: attachment.mime_type || ''
+  };
+
+  if (attachment.size_in_bytes) {
+    enclosure.length = String(attachment.size_in_bytes);
+  }
+  if (attachment.duration_in_seconds) {
+    enclosure.duration = attachment.duration_in_seconds;
+  }
+
+  return enclosure;
+}
+
+/**
+ * Converts a JSON Feed item into an rss-parser style item
+ * @param {Object} item - JSON Feed item
+ * @returns {Object} Item with guid, title, link, content, contentSnippet, isoDate and enclosure
+ */
+function toFeedItem(item) {
+  const attachments = (item.attachments || []).filter(attachment => attachment && attachment.url);
+  const enclosures = attachments.map(toEnclosure);
+  const text = item.content_text || htmlToText(item.content_html);
+  const authors = item.authors || (item.author ? [item.author] : []);
+
+  const feedItem = {
+    guid: item.id !== undefined && item.id !== null ? String(item.id) : item.url,
+    title: item.title || truncate(htmlToText(item.summary) || text, GENERATED_TITLE_LENGTH),
+    link: item.url || item.external_url || enclosures[0]?.url || '',
+    content: item.content_html || item.content_text || '',
+    contentSnippet: item.summary || text,
+    isoDate: item.date_published || item.date_modified,
+    pubDate: item.date_published || item.date_modified,
+    categories: item.tags || []
+  };
+
+  if (authors.length > 0) {
+    feedItem.creator = authors.map(author => author.name).filter(Boolean).join(', ');
+  }
+  if (enclosures.length > 0) {
+    feedItem.enclosure = enclosures[0];
+    feedItem.enclosures = enclosures;
+  }
+  if (item.image || item.banner_image) {
+    feedItem.image = item.image || item.banner_image;
+  }
+
+  return feedItem;
+}
+
+/**
+ * Parses a JSON Feed document
+ * @param {string|Object} body - JSON text or an already parsed document
+ * @returns {Object} rss-parser compatible feed { title, description, link, feedUrl, items }
+ */
+function parseJsonFeed(body) {
+  let document = body;
+
+  if (typeof body === 'string') {
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Invalid JSON Feed: ${error.message}`);
+    }
+  }
+
+  if (!isJsonFeed(document)) {
+    throw new Error('Feed not recognized as JSON Feed');
+  }
+
+  return {
+    title: document.title || '',
+    description: document.description || '',
+    link: document.home_page_url || '',
+    feedUrl: document.feed_url || '',
+    image: (document.icon || document.favicon) ? { url: document.icon || document.favicon } : undefined,
+    items: document.items.map(toFeedItem)
+  };
+}
+
+module.exports = {
+  looksLikeJson,
+  isJsonFeed,
+  parseJsonFeed
+};
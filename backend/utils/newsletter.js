@@ -0,0 +1,242 @@
+/**
+ * Newsletter Utility
+ *
+ * Ingests email newsletters imported as .eml files or mbox archives. Each
+ * sender address becomes a virtual feed (feed_type 'email', URL
+ * mailto:<address>) and each message an article whose sanitized HTML body
+ * is stored as the article content, so it goes through the normal
+ * ingestion path (filters, deduplication, content-type detection) and can
+ * be summarized like any extracted article. Deactivating the virtual feed
+ * unsubscribes: later mail from that sender is skipped.
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { simpleParser } = require('mailparser');
+const db = require('../models/database');
+const { sanitizeHtml } = require('./article-extractor');
+const { ingestItems } = require('./feed-ingestion');
+
+const EMAIL_FEED_TYPE = 'email';
+
+// 一度に取り込むメッセージ数の上限（大きな mbox でメモリを使い切らないように）
+const MAX_IMPORT_MESSAGES = 1000;
+
+// mbox の区切り行（"From <送信者> <asctime形式の日時>"）
+const MBOX_ENVELOPE = /^From \S+ .*\d{1,2}:\d{2}(?::\d{2})?.*\d{4}\s*$/;
+
+// 「ブラウザで表示」リンクの文言
+const VIEW_ONLINE_TEXT = /view (?:it |this (?:email |newsletter )?)?(?:in|on) (?:your |a )?(?:web )?browser|view online|web version|read online|ブラウザで(?:表示|見る|閲覧)|ウェブ版/i;
+
+/**
+ * Tells whether a text is an mbox archive rather than a single message
+ * @param {string} raw - Imported text
+ * @returns {boolean} True for mbox
+ */
+function isMbox(raw) {
+  return MBOX_ENVELOPE.test((raw || '').split(/\r?\n/, 1)[0]);
+}
+
+/**
+ * Splits an mbox archive into raw messages
+ * @param {string} raw - mbox contents (mboxo or mboxrd)
+ * @returns {Array<string>} Raw RFC 822 messages
+ */
+function splitMbox(raw) {
+  const messages = [];
+  let current = null;
+  let previousBlank = true;
+
+  (raw || '').split(/\r?\n/).forEach(line => {
+    // 区切り行は空行の直後の "From " で始まる行のみ（本文中の "From " と区別するため日時も確認）
+    if (previousBlank && MBOX_ENVELOPE.test(line)) {
+      if (current) {
+        messages.push(current.join('\n'));
+      }
+      current = [];
+    } else if (current) {
+      // mboxrd のエスケープ（>From → From）を戻す
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previousBlank = line === '';
+  });
+
+  if (current) {
+    messages.push(current.join('\n'));
+  }
+
+  return messages.map(message => message.replace(/\n*$/, '\n')).filter(message => message.trim());
+}
+
+// 開封トラッキング用の1px画像と、保存しない添付画像（cid:）を除く
+function removeHiddenImages(html) {
+  const $ = cheerio.load(html);
+  $('img').each((_, element) => {
+    const image = $(element);
+    const width = parseInt(image.attr('width'), 10);
+    const height = parseInt(image.attr('height'), 10);
+    if (width <= 1 || height <= 1 || /^cid:/i.test(image.attr('src') || '') ||
+        /display\s*:\s*none/i.test(image.attr('style') || '')) {
+      image.remove();
+    }
+  });
+  return $.html();
+}
+
+function findViewOnlineLink(html) {
+  const $ = cheerio.load(html || '');
+  const link = $('a[href]').toArray().find(element => VIEW_ONLINE_TEXT.test($(element).text()));
+  const href = link && $(link).attr('href');
+  return href && /^https?:\/\//i.test(href) ? href : null;
+}
+
+function htmlToText(html) {
+  const $ = cheerio.load(html || '');
+  const blocks = [];
+  $('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, td').each((_, element) => {
+    if ($(element).find('p, li, blockquote, pre, td').length > 0) {
+      return;
+    }
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    if (text) {
+      blocks.push(text);
+    }
+  });
+  return blocks.length > 0 ? blocks.join('\n\n') : $.root().text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses a raw email message into the fields of a newsletter article
+ * @param {string|Buffer} raw - RFC 822 message
+ * @returns {Promise<Object>} { address, name, subject, date, guid, link, html, text }
+ * @throws {Error} When the message has no sender address
+ */
+async function parseNewsletter(raw) {
+  const mail = await simpleParser(raw);
+  const sender = mail.from?.value?.[0];
+  const address = sender?.address ? sender.address.trim().toLowerCase() : null;
+  if (!address) {
+    throw new Error('The message has no sender address');
+  }
+
+  const sourceHtml = mail.html || mail.textAsHtml || '';
+  const html = sourceHtml ? sanitizeHtml(removeHiddenImages(sourceHtml)) : '';
+  // テキスト版は「HTMLで表示してください」だけのことが多いためHTML版を優先
+  const text = (mail.html ? htmlToText(html) : mail.text || '').trim();
+  const messageId = (mail.messageId || '').replace(/^<|>$/g, '');
+
+  // Message-ID がないメールは送信者・日時・件名から識別子を作る
+  const guid = messageId
+    ? `mid:${messageId}`
+    : `mid:${crypto.createHash('sha256').update(`${address}\n${mail.date?.toISOString() || ''}\n${mail.subject || ''}`).digest('hex')}`;
+
+  return {
+    address,
+    name: (sender.name || '').trim() || null,
+    subject: (mail.subject || '').trim() || '(no subject)',
+    date: mail.date && !isNaN(mail.date.getTime()) ? mail.date.toISOString() : null,
+    guid,
+    link: findViewOnlineLink(sourceHtml) || guid,
+    html,
+    text
+  };
+}
+
+/**
+ * Finds or creates the virtual feed of a sender
+ * @param {{address: string, name: string|null}} sender - Sender of the newsletter
+ * @returns {Promise<{feed: Object|null, created: boolean}>} Feed row, or null when the sender was unsubscribed
+ */
+async function getNewsletterFeed({ address, name }) {
+  const url = `mailto:${address}`;
+  const existing = await db.get('SELECT * FROM feeds WHERE url = ?', [url]);
+
+  if (existing) {
+    // 無効化（購読解除）またはゴミ箱に入れた送信者のメールは取り込まない
+    return { feed: existing.is_active ? existing : null, created: false };
+  }
+
+  // 完全に削除した送信者も取り込まない
+  if (await db.get('SELECT address FROM unsubscribed_senders WHERE address = ?', [address])) {
+    return { feed: null, created: false };
+  }
+
+  const result = await db.run(
+    `INSERT INTO feeds (url, title, description, feed_type, last_updated)
+     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [url, name || address, `Email newsletter from ${address}`, EMAIL_FEED_TYPE]
+  );
+  const feed = await db.get('SELECT * FROM feeds WHERE id = ?', [result.lastID]);
+  return { feed, created: true };
+}
+
+/**
+ * Imports newsletters from an .eml message or an mbox archive
+ * @param {Buffer|string} raw - Message or archive contents
+ * @returns {Promise<Object>} { messages, newArticles, duplicates, merged, filtered, unsubscribed, errors, feeds }
+ */
+async function importNewsletters(raw) {
+  // 8bit のメール（Shift_JIS など）を壊さないよう、分割はバイト列をそのまま保つ latin1 で行う
+  const archive = (Buffer.isBuffer(raw) ? raw : Buffer.from(raw || '', 'utf8')).toString('latin1');
+  const messages = (isMbox(archive) ? splitMbox(archive) : [archive]).map(message => Buffer.from(message, 'latin1'));
+  if (messages.length > MAX_IMPORT_MESSAGES) {
+    throw new Error(`Too many messages in one import (max ${MAX_IMPORT_MESSAGES})`);
+  }
+
+  const stats = { messages: messages.length, newArticles: 0, duplicates: 0, merged: 0, filtered: 0, unsubscribed: 0, errors: 0, feeds: [] };
+  const feeds = new Map();
+
+  for (const message of messages) {
+    try {
+      const newsletter = await parseNewsletter(message);
+      const { feed, created } = await getNewsletterFeed(newsletter);
+      if (!feed) {
+        stats.unsubscribed++;
+        continue;
+      }
+
+      if (!feeds.has(feed.id)) {
+        feeds.set(feed.id, { id: feed.id, title: feed.custom_title || feed.title, address: newsletter.address, created, articles: 0 });
+      }
+
+      const result = await ingestItems(feed, [{
+        guid: newsletter.guid,
+        title: newsletter.subject,
+        link: newsletter.link,
+        contentSnippet: newsletter.text.substring(0, 500),
+        isoDate: newsletter.date
+      }], { depth: 0 });
+
+      ['newArticles', 'duplicates', 'merged', 'filtered', 'errors'].forEach(key => {
+        stats[key] += result[key];
+      });
+
+      if (result.newArticles > 0) {
+        feeds.get(feed.id).articles++;
+        // 本文はメール自体にあるため、全文抽出済みとして保存
+        await db.run(
+          `UPDATE articles SET content_html = ?, content_text = ?, fulltext_status = 'extracted',
+           fulltext_fetched_at = CURRENT_TIMESTAMP WHERE guid = ?`,
+          [newsletter.html, newsletter.text, newsletter.guid]
+        );
+        await db.run('UPDATE feeds SET last_updated = CURRENT_TIMESTAMP WHERE id = ?', [feed.id]);
+      }
+    } catch (error) {
+      stats.errors++;
+      console.error(`⚠️ Failed to import a newsletter message: ${error.message}`);
+    }
+  }
+
+  stats.feeds = [...feeds.values()];
+  return stats;
+}
+
+module.exports = {
+  EMAIL_FEED_TYPE,
+  MAX_IMPORT_MESSAGES,
+  isMbox,
+  splitMbox,
+  parseNewsletter,
+  getNewsletterFeed,
+  importNewsletters
+};
@@ -0,0 +1,121 @@
+/**
+ * OPML Utility
+ *
+ * Converts subscriptions to and from OPML 2.0, the format used by Feedly,
+ * NetNewsWire and most podcast apps. Folder nesting is expressed as
+ * outlines without an xmlUrl that contain feed outlines.
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Parses an OPML document into a flat list of feeds with their folder path
+ * @param {string} xml - OPML document
+ * @returns {{title: string, feeds: Array<{url: string, title: string, description: string, folder: Array<string>}>}}
+ */
+function parseOpml(xml) {
+  const $ = cheerio.load(xml || '', { xml: true });
+
+  if ($('opml').length === 0 || $('opml > body').length === 0) {
+    throw new Error('Invalid OPML document: <opml><body> not found');
+  }
+
+  const feeds = [];
+
+  const walk = (outlines, folder) => {
+    outlines.each((_, element) => {
+      const outline = $(element);
+      const xmlUrl = (outline.attr('xmlUrl') || outline.attr('xmlurl') || '').trim();
+      const label = (outline.attr('title') || outline.attr('text') || '').trim();
+
+      if (xmlUrl) {
+        feeds.push({
+          url: xmlUrl,
+          title: label,
+          description: (outline.attr('description') || '').trim(),
+          folder
+        });
+      } else {
+        // xmlUrl を持たない outline はフォルダとして扱う
+        walk(outline.children('outline'), label ? [...folder, label] : folder);
+      }
+    });
+  };
+
+  walk($('opml > body').children('outline'), []);
+
+  return {
+    title: $('opml > head > title').first().text().trim(),
+    feeds
+  };
+}
+
+/**
+ * Builds an OPML document from feeds
+ * @param {Array<{url: string, title: string, description: string, folder: Array<string>}>} feeds - Feeds to export
+ * @param {Object} options - { title, dateCreated }
+ * @returns {string} OPML document
+ */
+function buildOpml(feeds, options = {}) {
+  const { title = 'Subscriptions', dateCreated = new Date() } = options;
+
+  // フォルダ階層をツリーに変換
+  const root = { folders: new Map(), feeds: [] };
+  feeds.forEach(feed => {
+    let node = root;
+    (feed.folder || []).forEach(name => {
+      if (!node.folders.has(name)) {
+        node.folders.set(name, { folders: new Map(), feeds: [] });
+      }
+      node = node.folders.get(name);
+    });
+    node.feeds.push(feed);
+  });
+
+  const render = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    node.folders.forEach((child, name) => {
+      lines.push(`${indent}<outline text="${escapeXml(name)}" title="${escapeXml(name)}">`);
+      lines.push(...render(child, depth + 1));
+      lines.push(`${indent}</outline>`);
+    });
+
+    node.feeds.forEach(feed => {
+      const label = escapeXml(feed.title || feed.url);
+      const description = feed.description ? ` description="${escapeXml(feed.description)}"` : '';
+      lines.push(`${indent}<outline type="rss" text="${label}" title="${label}" xmlUrl="${escapeXml(feed.url)}"${description}/>`);
+    });
+
+    return lines;
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${dateCreated.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...render(root, 2),
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  parseOpml,
+  buildOpml
+};
@@ -0,0 +1,158 @@
+/**
+ * Page Scraper Utility
+ *
+ * Builds feed items from plain web pages for sources that publish no feed.
+ * A scraped feed stores CSS selectors for the repeating item container and
+ * for the title, link and date inside each item; the result has the same
+ * shape rss-parser returns so it flows through the normal ingestion path.
+ */
+
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+
+const SCRAPED_FEED_TYPE = 'scraped';
+
+const SELECTOR_FIELDS = ['item', 'title', 'link', 'date'];
+
+/**
+ * Validates and cleans scraper selectors
+ * @param {Object|string} config - { item, title, link, date } or its JSON
+ * @returns {{item: string, title: string, link: string, date: string}} Selectors (optional ones may be empty)
+ */
+function normalizeScrapeConfig(config) {
+  let value = config;
+
+  if (typeof config === 'string') {
+    try {
+      value = JSON.parse(config);
+    } catch (error) {
+      throw new Error('Invalid scraper configuration: not valid JSON');
+    }
+  }
+
+  if (!value || typeof value !== 'object') {
+    throw new Error('Invalid scraper configuration: selectors are required');
+  }
+
+  const selectors = {};
+  SELECTOR_FIELDS.forEach(field => {
+    selectors[field] = typeof value[field] === 'string' ? value[field].trim() : '';
+  });
+
+  if (!selectors.item) {
+    throw new Error('Invalid scraper configuration: the item selector is required');
+  }
+
+  // 構文エラーのあるセレクターは保存前に弾く
+  const $ = cheerio.load('<div></div>');
+  SELECTOR_FIELDS.filter(field => selectors[field]).forEach(field => {
+    try {
+      $(selectors[field]);
+    } catch (error) {
+      throw new Error(`Invalid scraper configuration: ${field} selector "${selectors[field]}" is not valid CSS`);
+    }
+  });
+
+  return selectors;
+}
+
+/**
+ * Parses a date shown on a page, including Japanese and dotted formats
+ * @param {string} text - Date text or attribute value
+ * @returns {string|undefined} ISO 8601 date, or undefined when it cannot be parsed
+ */
+function parseDateText(text) {
+  const value = (text || '').trim();
+  if (!value) {
+    return undefined;
+  }
+
+  // 2025年1月2日 / 2025.1.2 / 2025/01/02 はタイムゾーン指定がないため日本時間として扱う
+  const match = value.match(/(\d{4})\s*[年./]\s*(\d{1,2})\s*[月./]\s*(\d{1,2})/);
+  if (match) {
+    const [, year, month, day] = match;
+    return new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T00:00:00+09:00`).toISOString();
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function selectWithin($, item, selector) {
+  return selector ? item.find(selector).addBack(selector).first() : item;
+}
+
+function resolveUrl(href, pageUrl) {
+  try {
+    return new URL(href, pageUrl).toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extracts feed items from a page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL, used to resolve relative links
+ * @param {Object|string} config - Scraper selectors
+ * @returns {{title: string, description: string, link: string, items: Array<Object>}} rss-parser compatible feed
+ */
+function extractPageFeed(html, pageUrl, config) {
+  const selectors = normalizeScrapeConfig(config);
+  const $ = cheerio.load(html || '');
+  const items = [];
+  const seen = new Set();
+
+  $(selectors.item).each((_, element) => {
+    const item = $(element);
+    const titleElement = selectWithin($, item, selectors.title);
+    const title = titleElement.text().replace(/\s+/g, ' ').trim();
+
+    // リンク要素自体に href がなければ内側の最初のリンクを使う
+    const linkElement = selectWithin($, item, selectors.link);
+    const href = linkElement.attr('href') || linkElement.find('a[href]').first().attr('href');
+    const link = href ? resolveUrl(href, pageUrl) : null;
+
+    if (!title && !link) {
+      return;
+    }
+
+    // リンクのない項目はタイトルから安定したアンカーを作り、重複判定に使う
+    const itemUrl = link || `${pageUrl}#item-${crypto.createHash('sha1').update(title).digest('hex').substring(0, 12)}`;
+    if (seen.has(itemUrl)) {
+      return;
+    }
+    seen.add(itemUrl);
+
+    const feedItem = {
+      guid: itemUrl,
+      title: title || itemUrl,
+      link: itemUrl,
+      contentSnippet: selectors.title ? item.text().replace(/\s+/g, ' ').trim() : ''
+    };
+
+    if (selectors.date) {
+      const dateElement = selectWithin($, item, selectors.date);
+      const isoDate = parseDateText(dateElement.attr('datetime') || dateElement.attr('content') || dateElement.text());
+      if (isoDate) {
+        feedItem.isoDate = isoDate;
+      }
+    }
+
+    items.push(feedItem);
+  });
+
+  return {
+    title: ($('meta[property="og:site_name"]').attr('content') || $('title').first().text() || '').trim(),
+    description: ($('meta[name="description"]').attr('content') || '').trim(),
+    link: pageUrl,
+    items
+  };
+}
+
+module.exports = {
+  SCRAPED_FEED_TYPE,
+  normalizeScrapeConfig,
+  parseDateText,
+  extractPageFeed
+};
@@ -0,0 +1,273 @@
+/**
+ * Paper Extractor Utility
+ *
+ * Handles the `paper` content type: maps arXiv and OpenReview pages to their
+ * PDF, downloads the PDF and parses it locally (no external service) into
+ * title, authors, abstract and full text. The result is stored on the
+ * article so it can be read in the full-text view and summarized with the
+ * paper-specific prompt.
+ */
+
+const axios = require('axios');
+const pdf = require('pdf-parse');
+const db = require('../models/database');
+const { getFeedAuthHeaders, isSameSite } = require('./feed-credentials');
+
+const FETCH_TIMEOUT = 60000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; RSS Feed News Tool/1.0)';
+
+// 大きすぎるPDF（書籍・資料集など）は取り込まない
+const MAX_PDF_BYTES = 30 * 1024 * 1024;
+
+// 要旨として扱う最大文字数（見出しが見つからない場合の暴走を防ぐ）
+const MAX_ABSTRACT_LENGTH = 3000;
+const MAX_AUTHORS = 50;
+
+// arXiv ID（新形式 2401.01234v2 / 旧形式 cs.AI/0101001）
+const ARXIV_PATH = /^\/(?:abs|pdf)\/((?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?)(?:\.pdf)?\/?$/;
+
+// 著者行ではなく所属・連絡先とみなす語
+const AFFILIATION = /universit|institut|college|school|department|dept\.|laborator|\blab\b|research|inc\.|corp|ltd|gmbh|center|centre|academy|faculty|google|microsoft|meta\b|deepmind|openai|@|https?:\/\//i;
+
+// 人名として認める形（小文字で始まる姓の前置詞のみ許可）
+const AUTHOR_NAME = /^\p{Lu}[\p{L}.'’-]*(?:\s+(?:\p{Lu}[\p{L}.'’-]*|van|von|de|der|den|da|del|di|du|la|le)){1,4}$/u;
+
+// PDFのメタデータとして意味のないタイトル
+const PLACEHOLDER_TITLE = /^(untitled|no title|microsoft word\b)|\.(pdf|dvi|tex|docx?)$/i;
+
+/**
+ * Returns the PDF URL for an arXiv, OpenReview or direct PDF link
+ * @param {string} url - Article link
+ * @returns {string|null} PDF URL, or null when the link is not a supported paper URL
+ */
+function resolvePaperPdfUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.replace(/^(www|export)\./, '');
+
+  if (host === 'arxiv.org') {
+    const match = parsed.pathname.match(ARXIV_PATH);
+    return match ? `https://arxiv.org/pdf/${match[1]}` : null;
+  }
+
+  if (host === 'openreview.net') {
+    const id = parsed.searchParams.get('id');
+    return id && ['/forum', '/pdf'].includes(parsed.pathname)
+      ? `https://openreview.net/pdf?id=${encodeURIComponent(id)}`
+      : null;
+  }
+
+  return /\.pdf$/i.test(parsed.pathname) ? parsed.toString() : null;
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// 行末のハイフネーションを戻し、改ページ由来の空白を整理
+function cleanPdfText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/([a-z])-\n([a-z])/g, '$1$2')
+    .replace(/[ \t\f]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function splitAuthorNames(line) {
+  return line
+    // 脚注記号・所属番号を除去
+    .replace(/[*†‡§¶∗⋆♯♮]+/g, ' ')
+    .replace(/(\p{L})\d+(?:,\d+)*/gu, '$1')
+    .split(/\s*(?:,|;|\band\b|&|·)\s*/i)
+    .map(name => normalizeWhitespace(name))
+    .filter(name => AUTHOR_NAME.test(name));
+}
+
+/**
+ * Reads title, authors and abstract from the text of a paper
+ * @param {string} text - Text extracted from the PDF
+ * @param {Object} info - PDF document info dictionary (Title and Author are used when present)
+ * @returns {{title: string|null, authors: string[], abstract: string|null}}
+ */
+function parsePaperText(text, info = {}) {
+  const cleaned = cleanPdfText(text);
+  // arXiv が余白に入れる識別子の行は除く
+  const lines = cleaned.split('\n').map(line => line.trim()).filter(line => line && !/^arXiv:\d/.test(line));
+
+  const abstractMatch = cleaned.match(/(?:^|\n)\s*a\s*b\s*s\s*t\s*r\s*a\s*c\s*t\b[\s.:—–-]*/i);
+  let abstract = null;
+  if (abstractMatch) {
+    const rest = cleaned.slice(abstractMatch.index + abstractMatch[0].length);
+    const end = rest.search(/\n\s*(?:(?:1|I)\.?\s*)?(?:introduction|keywords|key words|index terms|ccs concepts)\b/i);
+    abstract = normalizeWhitespace(rest.slice(0, end > 0 ? end : MAX_ABSTRACT_LENGTH)).substring(0, MAX_ABSTRACT_LENGTH) || null;
+  }
+
+  const metadataTitle = normalizeWhitespace(info.Title);
+  const title = metadataTitle && !PLACEHOLDER_TITLE.test(metadataTitle) ? metadataTitle : (lines[0] || null);
+
+  const authors = normalizeWhitespace(info.Author) ? splitAuthorNames(info.Author) : [];
+
+  if (authors.length === 0) {
+    // タイトルと要旨の間にある行から、所属・連絡先を除いた人名を拾う
+    const titleIndex = Math.max(lines.findIndex(line => title && title.startsWith(line)), 0);
+    const abstractIndex = lines.findIndex(line => /^a\s*b\s*s\s*t\s*r\s*a\s*c\s*t\b/i.test(line));
+    const header = lines.slice(titleIndex + 1, abstractIndex > titleIndex ? abstractIndex : titleIndex + 8);
+
+    header
+      .filter(line => title && !title.includes(line))
+      .filter(line => !AFFILIATION.test(line))
+      .forEach(line => authors.push(...splitAuthorNames(line)));
+  }
+
+  return {
+    title,
+    authors: [...new Set(authors)].slice(0, MAX_AUTHORS),
+    abstract
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 本文ビュー用のHTML（article-extractor と同じく許可タグのみ）
+function buildPaperHtml(paper) {
+  const parts = [];
+  if (paper.authors.length > 0) {
+    parts.push(`<p><em>${escapeHtml(paper.authors.join(', '))}</em></p>`);
+  }
+  if (paper.abstract) {
+    parts.push(`<h2>Abstract</h2>\n<blockquote>${escapeHtml(paper.abstract)}</blockquote>`);
+  }
+  paper.text.split(/\n{2,}/).forEach(block => {
+    const paragraph = normalizeWhitespace(block);
+    if (paragraph) {
+      parts.push(`<p>${escapeHtml(paragraph)}</p>`);
+    }
+  });
+  return parts.join('\n');
+}
+
+/**
+ * Parses a PDF buffer into paper fields
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{title: string|null, authors: string[], abstract: string|null, text: string, pages: number, length: number}>}
+ */
+async function parsePaperPdf(buffer) {
+  if (!buffer || buffer.slice(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error('The downloaded file is not a PDF');
+  }
+
+  // pdf.js は下層の ArrayBuffer を先頭から読むため、プール上の小さな Buffer はコピーして渡す
+  const parsed = await pdf(new Uint8Array(buffer));
+  const text = cleanPdfText(parsed.text);
+  if (!text) {
+    // スキャン画像のみのPDFはテキストを持たない
+    throw new Error('The PDF does not contain extractable text');
+  }
+
+  return {
+    ...parsePaperText(text, parsed.info || {}),
+    text,
+    pages: parsed.numpages,
+    length: text.length
+  };
+}
+
+/**
+ * Downloads a paper PDF and parses it
+ * @param {string} url - arXiv / OpenReview page or PDF URL
+ * @param {Object} authHeaders - Credentials of the feed, for PDFs behind a login
+ * @returns {Promise<Object>} Result of parsePaperPdf plus pdfUrl and html
+ */
+async function fetchPaper(url, authHeaders = {}) {
+  const pdfUrl = resolvePaperPdfUrl(url);
+  if (!pdfUrl) {
+    throw new Error('Not a supported paper URL (arXiv, OpenReview or .pdf)');
+  }
+
+  const response = await axios.get(pdfUrl, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'arraybuffer',
+    maxRedirects: 5,
+    maxContentLength: MAX_PDF_BYTES,
+    headers: {
+      'User-Agent': USER_AGENT,
+      ...authHeaders,
+      'Accept': 'application/pdf, */*;q=0.5'
+    }
+  });
+
+  const paper = await parsePaperPdf(Buffer.from(response.data));
+  return { ...paper, pdfUrl, html: buildPaperHtml(paper) };
+}
+
+/**
+ * Extracts and stores the PDF contents of a paper article
+ * @param {Object} article - Article row (id and link are required, feed_id to use the feed's credentials)
+ * @returns {Promise<Object>} Extracted paper
+ */
+async function extractPaper(article) {
+  try {
+    const feed = article.feed_id
+      ? await db.get('SELECT id, url, credentials FROM feeds WHERE id = ?', [article.feed_id])
+      : null;
+    const authHeaders = feed && isSameSite(feed.url, article.link) ? getFeedAuthHeaders(feed) : {};
+    const paper = await fetchPaper(article.link, authHeaders);
+
+    await db.run(
+      `UPDATE articles SET content_html = ?, content_text = ?, paper_authors = ?, paper_abstract = ?,
+       fulltext_status = 'extracted', fulltext_fetched_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [paper.html, paper.text, JSON.stringify(paper.authors), paper.abstract, article.id]
+    );
+
+    return paper;
+  } catch (error) {
+    await db.run(
+      "UPDATE articles SET fulltext_status = 'failed', fulltext_fetched_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [article.id]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Builds the text passed to the paper summary prompt
+ * @param {Object} paper - { title, authors, abstract, text }
+ * @returns {string} Summary input with the abstract ahead of the body
+ */
+function buildPaperSummaryInput(paper) {
+  const parts = [];
+  if (paper.title) {
+    parts.push(`タイトル: ${paper.title}`);
+  }
+  if (paper.authors && paper.authors.length > 0) {
+    parts.push(`著者: ${paper.authors.join(', ')}`);
+  }
+  if (paper.abstract) {
+    parts.push(`要旨:\n${paper.abstract}`);
+  }
+  parts.push(`本文:\n${paper.text}`);
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  MAX_PDF_BYTES,
+  resolvePaperPdfUrl,
+  parsePaperText,
+  parsePaperPdf,
+  fetchPaper,
+  extractPaper,
+  buildPaperSummaryInput
+};
@@ -0,0 +1,94 @@
+/**
+ * Poll Interval Utility
+ *
+ * Works out how often each feed should be polled. Feeds with a fixed
+ * poll_interval use it as-is; all other feeds adapt to how often they
+ * actually publish.
+ */
+
+const MIN_POLL_INTERVAL = 60;            // 自動調整の下限: 1時間
+const MAX_POLL_INTERVAL = 7 * 24 * 60;   // 自動調整の上限: 1週間
+const DEFAULT_POLL_INTERVAL = 24 * 60;   // 投稿履歴が不足している場合: 1日
+
+const MIN_FIXED_INTERVAL = 5;            // 固定間隔の下限（スケジューラーの実行単位）
+const MAX_FIXED_INTERVAL = 30 * 24 * 60; // 固定間隔の上限: 30日
+
+/**
+ * Estimates a polling interval from the publish dates of a feed's items
+ * @param {Array<string|Date>} pubDates - Publish dates of recent items
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {number} Interval in minutes
+ */
+function estimateAdaptiveInterval(pubDates, now = new Date()) {
+  const times = (pubDates || [])
+    .map(date => new Date(date).getTime())
+    .filter(time => !isNaN(time) && time <= now.getTime())
+    .sort((a, b) => b - a)
+    .slice(0, 10);
+
+  if (times.length < 2) {
+    return DEFAULT_POLL_INTERVAL;
+  }
+
+  // 最新記事からの経過時間も含めることで、更新が止まったフィードは間隔が広がる
+  const gaps = [now.getTime() - times[0]];
+  for (let i = 0; i < times.length - 1; i++) {
+    gaps.push(times[i] - times[i + 1]);
+  }
+
+  const averageGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+
+  // 平均投稿間隔の半分でポーリング
+  const interval = Math.round(averageGap / 60000 / 2);
+
+  return Math.min(MAX_POLL_INTERVAL, Math.max(MIN_POLL_INTERVAL, interval));
+}
+
+/**
+ * Gets the interval currently in effect for a feed
+ * @param {Object} feed - Feed row
+ * @returns {number} Interval in minutes
+ */
+function getEffectiveInterval(feed) {
+  return feed.poll_interval || feed.adaptive_interval || DEFAULT_POLL_INTERVAL;
+}
+
+/**
+ * Computes the next due time for a feed
+ * @param {number} intervalMinutes - Polling interval in minutes
+ * @param {Date} from - Time of the last poll (default: current time)
+ * @returns {string} ISO timestamp
+ */
+function computeNextPollAt(intervalMinutes, from = new Date()) {
+  return new Date(from.getTime() + intervalMinutes * 60000).toISOString();
+}
+
+/**
+ * Validates a user-supplied fixed poll interval
+ * @param {*} value - Minutes, or null/empty to use adaptive scheduling
+ * @returns {number|null|undefined} Minutes, null for adaptive, or undefined if invalid
+ */
+function normalizePollInterval(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_FIXED_INTERVAL || minutes > MAX_FIXED_INTERVAL) {
+    return undefined;
+  }
+
+  return minutes;
+}
+
+module.exports = {
+  MIN_POLL_INTERVAL,
+  MAX_POLL_INTERVAL,
+  DEFAULT_POLL_INTERVAL,
+  MIN_FIXED_INTERVAL,
+  MAX_FIXED_INTERVAL,
+  estimateAdaptiveInterval,
+  getEffectiveInterval,
+  computeNextPollAt,
+  normalizePollInterval
+};
@@ -0,0 +1,196 @@
+/**
+ * Refresh Jobs Utility
+ *
+ * Runs a manual refresh of every feed as a background job. Feeds are fetched
+ * by a pool with an overall concurrency limit and a per-host limit so one
+ * site never receives many requests at once. Each job keeps its progress
+ * events so Server-Sent Event clients that connect late can replay them.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const REFRESH_CONCURRENCY = parseLimit(process.env.REFRESH_CONCURRENCY, 4);
+const REFRESH_PER_HOST_LIMIT = parseLimit(process.env.REFRESH_PER_HOST_LIMIT, 1);
+
+// 完了したジョブを保持する件数（進捗の再取得用）
+const MAX_FINISHED_JOBS = 10;
+
+const jobs = new Map();
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : fallback;
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Runs a worker over items with an overall and a per-key concurrency limit
+ * @param {Array} items - Items to process
+ * @param {Object} options - { concurrency, perKey, keyOf(item), worker(item) }
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+function runPool(items, { concurrency, perKey, keyOf, worker }) {
+  const queue = [...items];
+  const activeByKey = new Map();
+  let active = 0;
+
+  return new Promise(resolve => {
+    const launch = () => {
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+
+      // 上限に空きがある間、同じホストの実行数が上限未満の項目を順に開始
+      for (let i = 0; i < queue.length && active < concurrency; i++) {
+        const key = keyOf(queue[i]);
+        if ((activeByKey.get(key) || 0) >= perKey) {
+          continue;
+        }
+
+        const [item] = queue.splice(i, 1);
+        i--;
+        active++;
+        activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(item))
+          .catch(() => {})
+          .finally(() => {
+            active--;
+            activeByKey.set(key, activeByKey.get(key) - 1);
+            launch();
+          });
+      }
+    };
+
+    launch();
+  });
+}
+
+function createJob(feeds) {
+  const job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'running',
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    total: feeds.length,
+    completed: 0,
+    new_articles: 0,
+    not_modified: 0,
+    errors: 0,
+    events: [],
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(0);
+  return job;
+}
+
+function emit(job, type, data) {
+  const event = { type, ...data, time: new Date().toISOString() };
+  job.events.push(event);
+  job.emitter.emit('event', event);
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => job.status !== 'running');
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Returns the public state of a job
+ * @param {Object} job - Job
+ * @returns {Object} Job without its event emitter
+ */
+function serializeJob(job) {
+  const { emitter, events, ...state } = job;
+  return { ...state, events: events.length };
+}
+
+function getRunningJob() {
+  return [...jobs.values()].find(job => job.status === 'running') || null;
+}
+
+/**
+ * Starts refreshing feeds in the background. Only one refresh runs at a time;
+ * while one is running its job is returned instead of starting another.
+ * @param {Array<Object>} feeds - Feed rows to refresh
+ * @param {Function} updateFeed - async (feed) => { success, newArticles, notModified, error }
+ * @param {Object} options - { concurrency, perHost } to override the configured limits
+ * @returns {{job: Object, alreadyRunning: boolean}} Job and whether it was already running
+ */
+function startRefreshJob(feeds, updateFeed, options = {}) {
+  const running = getRunningJob();
+  if (running) {
+    return { job: running, alreadyRunning: true };
+  }
+
+  const job = createJob(feeds);
+  jobs.set(job.id, job);
+  emit(job, 'job_started', { total: job.total });
+
+  runPool(feeds, {
+    concurrency: options.concurrency || REFRESH_CONCURRENCY,
+    perKey: options.perHost || REFRESH_PER_HOST_LIMIT,
+    keyOf: feed => getHost(feed.url),
+    worker: async feed => {
+      const title = feed.custom_title || feed.title || feed.url;
+      emit(job, 'feed_started', { feed_id: feed.id, title });
+
+      let result;
+      try {
+        result = await updateFeed(feed);
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      job.completed++;
+      if (!result.success) {
+        job.errors++;
+        emit(job, 'feed_failed', { feed_id: feed.id, title, error: result.error, completed: job.completed });
+        return;
+      }
+
+      job.new_articles += result.newArticles || 0;
+      if (result.notModified) {
+        job.not_modified++;
+      }
+      emit(job, 'feed_completed', {
+        feed_id: feed.id,
+        title,
+        new_articles: result.newArticles || 0,
+        not_modified: !!result.notModified,
+        completed: job.completed
+      });
+    }
+  }).then(() => {
+    job.status = 'completed';
+    job.finished_at = new Date().toISOString();
+    emit(job, 'job_completed', serializeJob(job));
+    console.log(`🔄 Refresh job ${job.id} completed: ${job.total} feeds, ${job.new_articles} new articles, ${job.errors} errors`);
+    pruneFinishedJobs();
+  });
+
+  return { job, alreadyRunning: false };
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+module.exports = {
+  REFRESH_CONCURRENCY,
+  REFRESH_PER_HOST_LIMIT,
+  runPool,
+  startRefreshJob,
+  getJob,
+  serializeJob
+};
@@ -0,0 +1,251 @@
+/**
+ * Retention Utility
+ *
+ * Keeps the database from growing without bound. Read articles older than
+ * a number of days are deleted, and each feed keeps at most a number of
+ * articles; starred and summarized articles are never deleted. Old cached
+ * transcripts and API usage records are removed as well. The GUIDs of
+ * deleted articles are remembered so that items still listed in their feed
+ * are not ingested again as new.
+ *
+ * Rules come from environment variables (0 disables a rule):
+ * - RETENTION_READ_ARTICLE_DAYS (default 90)
+ * - RETENTION_MAX_ARTICLES_PER_FEED (default 1000, feeds.max_articles overrides it per feed)
+ * - RETENTION_TRANSCRIPT_CACHE_DAYS (default 30, by last access)
+ * - RETENTION_API_USAGE_DAYS (default 365)
+ */
+
+const db = require('../models/database');
+const { transaction } = require('./database-helpers');
+
+const DEFAULT_POLICY = {
+  readArticleDays: 90,
+  maxArticlesPerFeed: 1000,
+  transcriptCacheDays: 30,
+  apiUsageDays: 365
+};
+
+const POLICY_ENV = {
+  readArticleDays: 'RETENTION_READ_ARTICLE_DAYS',
+  maxArticlesPerFeed: 'RETENTION_MAX_ARTICLES_PER_FEED',
+  transcriptCacheDays: 'RETENTION_TRANSCRIPT_CACHE_DAYS',
+  apiUsageDays: 'RETENTION_API_USAGE_DAYS'
+};
+
+// 削除した記事のGUIDを覚えておく期間（これより古い記事がFeedに残っていることはまずない）
+const TOMBSTONE_DAYS = 365;
+
+// IN句に並べる件数の上限（SQLiteのプレースホルダー上限対策）
+const IN_CLAUSE_CHUNK_SIZE = 500;
+
+// スター付き・要約済みの記事は削除しない
+const UNPROTECTED = "(is_starred IS NULL OR is_starred = 0) AND summary_text IS NULL AND (summary_status IS NULL OR summary_status != 'completed')";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastPruneResult = null;
+
+function chunk(values, size = IN_CLAUSE_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// CURRENT_TIMESTAMP と同じ形式（UTC の "YYYY-MM-DD HH:MM:SS"）で比較する
+function toTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function daysBefore(now, days) {
+  return toTimestamp(new Date(now.getTime() - days * DAY_MS));
+}
+
+/**
+ * Parses a retention setting
+ * @param {*} value - Number of days or articles, 0 to disable the rule
+ * @returns {number|null|undefined} Value, null when unset, undefined when invalid
+ */
+function parseRetentionValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Reads the retention rules from the environment
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {{readArticleDays: number, maxArticlesPerFeed: number, transcriptCacheDays: number, apiUsageDays: number}}
+ */
+function getRetentionPolicy(env = process.env) {
+  const policy = {};
+  Object.entries(POLICY_ENV).forEach(([key, name]) => {
+    const value = parseRetentionValue(env[name]);
+    if (value === undefined) {
+      console.warn(`⚠️ Ignoring invalid ${name}: ${env[name]}`);
+    }
+    policy[key] = value ?? DEFAULT_POLICY[key];
+  });
+  return policy;
+}
+
+/**
+ * Finds the articles each rule would delete
+ * @param {Object} policy - Retention rules
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array<{id: number, feed_id: number, guid: string, reason: string}>>} Articles to delete
+ */
+async function findPrunableArticles(policy, now = new Date()) {
+  const articles = new Map();
+
+  if (policy.readArticleDays > 0) {
+    const rows = await db.query(
+      `SELECT id, feed_id, guid FROM articles WHERE read_status = 1 AND created_at < ? AND ${UNPROTECTED}`,
+      [daysBefore(now, policy.readArticleDays)]
+    );
+    rows.forEach(row => articles.set(row.id, { ...row, reason: 'age' }));
+  }
+
+  // Feed別の上限（feeds.max_articles、未設定なら既定値、0 は無制限）を超えた古い記事
+  const feeds = await db.query(
+    `SELECT f.id, f.max_articles, COUNT(a.id) as article_count
+     FROM feeds f JOIN articles a ON a.feed_id = f.id
+     GROUP BY f.id, f.max_articles`
+  );
+
+  for (const feed of feeds) {
+    const limit = feed.max_articles ?? policy.maxArticlesPerFeed;
+    if (!limit || Number(feed.article_count) <= limit) {
+      continue;
+    }
+
+    const rows = await db.query(
+      `SELECT id, feed_id, guid, CASE WHEN ${UNPROTECTED} THEN 0 ELSE 1 END as protected
+       FROM articles WHERE feed_id = ? ORDER BY pub_date DESC, id DESC`,
+      [feed.id]
+    );
+    rows.slice(limit)
+      .filter(row => !Number(row.protected) && !articles.has(row.id))
+      .forEach(row => articles.set(row.id, { id: row.id, feed_id: row.feed_id, guid: row.guid, reason: 'feed_limit' }));
+  }
+
+  return [...articles.values()];
+}
+
+async function countRows(sql, params) {
+  const row = await db.get(sql, params);
+  return Number(row?.count || 0);
+}
+
+/**
+ * Works out what the next prune would remove, without deleting anything
+ * @param {Object} policy - Retention rules (default: from the environment)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { policy, articles: { total, by_age, by_feed_limit, feeds }, transcript_cache, api_usage, tombstones }
+ */
+async function previewPrune(policy = getRetentionPolicy(), now = new Date()) {
+  const articles = await findPrunableArticles(policy, now);
+
+  return {
+    policy,
+    articles: {
+      total: articles.length,
+      by_age: articles.filter(article => article.reason === 'age').length,
+      by_feed_limit: articles.filter(article => article.reason === 'feed_limit').length,
+      feeds: new Set(articles.map(article => article.feed_id)).size
+    },
+    transcript_cache: policy.transcriptCacheDays > 0
+      ? await countRows('SELECT COUNT(*) as count FROM transcript_cache WHERE accessed_at < ?', [daysBefore(now, policy.transcriptCacheDays)])
+      : 0,
+    api_usage: policy.apiUsageDays > 0
+      ? await countRows('SELECT COUNT(*) as count FROM api_usage WHERE created_at < ?', [daysBefore(now, policy.apiUsageDays)])
+      : 0,
+    tombstones: await countRows('SELECT COUNT(*) as count FROM pruned_articles WHERE pruned_at < ?', [daysBefore(now, TOMBSTONE_DAYS)])
+  };
+}
+
+/**
+ * Applies the retention rules
+ * Articles are deleted in batches; each batch (tombstones, summary requests,
+ * sources and articles) is one transaction and is rolled back as a whole on failure.
+ * @param {Object} policy - Retention rules (default: from the environment)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { ran_at, policy, deleted: { articles, by_age, by_feed_limit, summary_requests, article_sources, transcript_cache, api_usage, tombstones } }
+ */
+async function pruneDatabase(policy = getRetentionPolicy(), now = new Date()) {
+  const articles = await findPrunableArticles(policy, now);
+  const deleted = {
+    articles: 0,
+    by_age: articles.filter(article => article.reason === 'age').length,
+    by_feed_limit: articles.filter(article => article.reason === 'feed_limit').length,
+    summary_requests: 0,
+    article_sources: 0,
+    transcript_cache: 0,
+    api_usage: 0,
+    tombstones: 0
+  };
+
+  for (const batch of chunk(articles)) {
+    const ids = batch.map(article => article.id);
+    const idList = placeholders(ids);
+    // 統合済みの取得元のGUIDも記録し、他のFeedから再度取り込まれないようにする
+    const sources = await db.query(`SELECT article_id, feed_id, guid FROM article_sources WHERE article_id IN (${idList})`, ids);
+    const tombstones = [...batch, ...sources];
+
+    const results = await transaction([
+      ...tombstones.map(({ guid, feed_id }) => ({
+        sql: 'INSERT INTO pruned_articles (guid, feed_id) VALUES (?, ?) ON CONFLICT (guid) DO NOTHING',
+        params: [guid, feed_id]
+      })),
+      { sql: `DELETE FROM summary_requests WHERE article_id IN (${idList})`, params: ids },
+      { sql: `DELETE FROM article_sources WHERE article_id IN (${idList})`, params: ids },
+      { sql: `DELETE FROM articles WHERE id IN (${idList})`, params: ids }
+    ]);
+
+    const [summaryResult, sourceResult, articleResult] = results.slice(tombstones.length);
+    deleted.summary_requests += summaryResult.changes;
+    deleted.article_sources += sourceResult.changes;
+    deleted.articles += articleResult.changes;
+  }
+
+  if (policy.transcriptCacheDays > 0) {
+    deleted.transcript_cache = (await db.run('DELETE FROM transcript_cache WHERE accessed_at < ?', [daysBefore(now, policy.transcriptCacheDays)])).changes;
+  }
+  if (policy.apiUsageDays > 0) {
+    deleted.api_usage = (await db.run('DELETE FROM api_usage WHERE created_at < ?', [daysBefore(now, policy.apiUsageDays)])).changes;
+  }
+  deleted.tombstones = (await db.run('DELETE FROM pruned_articles WHERE pruned_at < ?', [daysBefore(now, TOMBSTONE_DAYS)])).changes;
+
+  lastPruneResult = { ran_at: now.toISOString(), policy, deleted };
+  console.log(`🧹 Pruned ${deleted.articles} articles (${deleted.by_age} read and older than ${policy.readArticleDays} days, ${deleted.by_feed_limit} over the per-feed limit), ` +
+    `${deleted.transcript_cache} cached transcripts, ${deleted.api_usage} API usage records, ${deleted.tombstones} old tombstones`);
+
+  return lastPruneResult;
+}
+
+/**
+ * Returns the result of the last prune since the server started
+ * @returns {Object|null} Result of pruneDatabase, or null when it has not run yet
+ */
+function getLastPruneResult() {
+  return lastPruneResult;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  TOMBSTONE_DAYS,
+  parseRetentionValue,
+  getRetentionPolicy,
+  findPrunableArticles,
+  previewPrune,
+  pruneDatabase,
+  getLastPruneResult
+};
@@ -0,0 +1,190 @@
+/**
+ * Scheduler Configuration Utility
+ *
+ * Stores the schedule of each named scheduler job (cron expression,
+ * timezone and whether it runs) in the scheduler_jobs table so that
+ * changes made through the API survive restarts. Jobs without a stored
+ * row use their defaults; RSS_SCHEDULE ('adaptive', 'daily' or 'weekly')
+ * and SCHEDULER_TIMEZONE only decide those defaults.
+ */
+
+const cron = require('node-cron');
+const db = require('../models/database');
+const { transaction } = require('./database-helpers');
+
+const DEFAULT_TIMEZONE = 'Asia/Tokyo';
+
+// RSS_SCHEDULE の値ごとの全Feed更新の既定スケジュール
+const LEGACY_REFRESH_SCHEDULES = {
+  daily: '0 8 * * *',
+  weekly: '0 8 * * 1'
+};
+
+/**
+ * Named jobs the scheduler runs
+ * @type {Array<{name: string, description: string, cron_expression: string, enabled: boolean}>}
+ */
+const JOB_DEFINITIONS = [
+  { name: 'feed_polling', description: 'Fetch feeds whose next poll time has passed', cron_expression: '*/5 * * * *', enabled: true },
+  { name: 'feed_refresh', description: 'Fetch every feed', cron_expression: LEGACY_REFRESH_SCHEDULES.daily, enabled: false },
+  { name: 'producthunt', description: 'Collect the top Product Hunt apps', cron_expression: '0 8 * * 0', enabled: true },
+  { name: 'maintenance', description: 'Apply the retention rules', cron_expression: '30 3 * * *', enabled: true },
+  { name: 'websub_renewal', description: 'Renew expiring WebSub leases', cron_expression: '0 * * * *', enabled: true }
+];
+
+/**
+ * Returns the default configuration of every job
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Array<Object>} { name, description, cron_expression, timezone, enabled }
+ */
+function getDefaultJobs(env = process.env) {
+  const timezone = isValidTimezone(env.SCHEDULER_TIMEZONE) ? env.SCHEDULER_TIMEZONE : DEFAULT_TIMEZONE;
+  const legacySchedule = LEGACY_REFRESH_SCHEDULES[env.RSS_SCHEDULE];
+
+  return JOB_DEFINITIONS.map(job => {
+    // RSS_SCHEDULE=daily|weekly は定時の全Feed更新のみを使う従来の設定
+    if (legacySchedule && job.name === 'feed_polling') {
+      return { ...job, timezone, enabled: false };
+    }
+    if (legacySchedule && job.name === 'feed_refresh') {
+      return { ...job, timezone, cron_expression: legacySchedule, enabled: true };
+    }
+    return { ...job, timezone };
+  });
+}
+
+/**
+ * Tells whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone name (e.g. 'Asia/Tokyo')
+ * @returns {boolean} True when valid
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates a change to a job
+ * @param {Object} changes - { name, cron_expression, timezone, enabled } (all but name optional)
+ * @returns {Object} Normalized changes
+ * @throws {Error} When the job is unknown or a value is invalid
+ */
+function normalizeJobChanges(changes) {
+  const { name, cron_expression, timezone, enabled } = changes || {};
+  if (!JOB_DEFINITIONS.some(job => job.name === name)) {
+    throw new Error(`Unknown job: ${name}. Available: ${JOB_DEFINITIONS.map(job => job.name).join(', ')}`);
+  }
+
+  const normalized = { name };
+
+  if (cron_expression !== undefined) {
+    const expression = typeof cron_expression === 'string' ? cron_expression.trim().replace(/\s+/g, ' ') : '';
+    if (!expression || !cron.validate(expression)) {
+      throw new Error(`Invalid cron expression for ${name}: ${cron_expression}`);
+    }
+    normalized.cron_expression = expression;
+  }
+
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone for ${name}: ${timezone}`);
+    }
+    normalized.timezone = timezone;
+  }
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new Error(`enabled must be a boolean for ${name}`);
+    }
+    normalized.enabled = enabled;
+  }
+
+  return normalized;
+}
+
+/**
+ * Loads the configuration of every job, falling back to the defaults
+ * @returns {Promise<Array<Object>>} { name, description, cron_expression, timezone, enabled, updated_at }
+ */
+async function loadJobConfigs() {
+  let rows = [];
+  try {
+    rows = await db.query('SELECT name, cron_expression, timezone, enabled, updated_at FROM scheduler_jobs');
+  } catch (error) {
+    // テーブル作成前（初回起動時）は既定値で動かす
+    console.warn(`⚠️ Using the default scheduler jobs: ${error.message}`);
+  }
+
+  const saved = new Map(rows.map(row => [row.name, row]));
+
+  return getDefaultJobs().map(job => {
+    const row = saved.get(job.name);
+    // 保存後に不正になった値（ランタイムが知らないタイムゾーンなど）は既定値を使う
+    return row ? {
+      ...job,
+      cron_expression: cron.validate(row.cron_expression) ? row.cron_expression : job.cron_expression,
+      timezone: isValidTimezone(row.timezone) ? row.timezone : job.timezone,
+      enabled: !!Number(row.enabled),
+      updated_at: row.updated_at
+    } : { ...job, updated_at: null };
+  });
+}
+
+/**
+ * Translates a schedule of the former POST /api/scheduler/start body ({ schedule })
+ * into job changes
+ * @param {string} schedule - 'adaptive', 'daily' or 'weekly'
+ * @returns {Array<Object>} Changes to feed_polling and feed_refresh
+ * @throws {Error} When the schedule is unknown
+ */
+function getLegacyScheduleChanges(schedule) {
+  if (schedule === 'adaptive') {
+    return [{ name: 'feed_polling', enabled: true }, { name: 'feed_refresh', enabled: false }];
+  }
+  if (!Object.hasOwn(LEGACY_REFRESH_SCHEDULES, schedule)) {
+    throw new Error(`Unknown schedule: ${schedule}. Available: adaptive, daily, weekly`);
+  }
+
+  return [
+    { name: 'feed_polling', enabled: false },
+    { name: 'feed_refresh', cron_expression: LEGACY_REFRESH_SCHEDULES[schedule], enabled: true }
+  ];
+}
+
+/**
+ * Saves the configuration of several jobs in one transaction
+ * @param {Array<Object>} jobs - { name, cron_expression, timezone, enabled }
+ * @returns {Promise<void>}
+ */
+async function saveJobConfigs(jobs) {
+  if (jobs.length === 0) {
+    return;
+  }
+
+  await transaction(jobs.map(({ name, cron_expression, timezone, enabled }) => ({
+    sql: `INSERT INTO scheduler_jobs (name, cron_expression, timezone, enabled, updated_at)
+          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+          ON CONFLICT (name) DO UPDATE SET cron_expression = excluded.cron_expression, timezone = excluded.timezone,
+            enabled = excluded.enabled, updated_at = CURRENT_TIMESTAMP`,
+    params: [name, cron_expression, timezone, enabled ? 1 : 0]
+  })));
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  JOB_DEFINITIONS,
+  getDefaultJobs,
+  isValidTimezone,
+  normalizeJobChanges,
+  getLegacyScheduleChanges,
+  loadJobConfigs,
+  saveJobConfigs
+};
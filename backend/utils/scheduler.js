@@ -1,68 +1,132 @@
 const cron = require('node-cron');
 const db = require('../models/database');
-const Parser = require('rss-parser');
 const productHuntClient = require('./producthunt-client');
-const { detectContentType } = require('./content-type');
-const parser = new Parser();
+const { fetchFeed, saveFetchState } = require('./feed-fetcher');
+const { ingestItems } = require('./feed-ingestion');
+const { getFailureBackoffInterval, recordFetchSuccess, recordFetchFailure } = require('./feed-health');
+const { ensureSubscription, renewExpiringSubscriptions } = require('./websub');
+const { pruneDatabase } = require('./retention');
+const { normalizeJobChanges, loadJobConfigs, saveJobConfigs } = require('./scheduler-config');
+const {
+  estimateAdaptiveInterval,
+  getEffectiveInterval,
+  computeNextPollAt
+} = require('./poll-interval');
 
-let scheduledTasks = [];
+// ジョブ名ごとの { task, config }
+const scheduledJobs = new Map();
+let isPollingDueFeeds = false;
 
-function startScheduler() {
+// ジョブ名ごとの処理
+const JOB_HANDLERS = {
+  // Feed別の次回予定時刻に達したFeedを確認
+  feed_polling: () => updateDueFeeds(),
+  feed_refresh: () => {
+    console.log('Running scheduled RSS feed update...');
+    return updateAllFeeds();
+  },
+  producthunt: () => {
+    console.log('Running Product Hunt top apps collection...');
+    return updateProductHuntApps();
+  },
+  maintenance: () => runMaintenance(),
+  // WebSub購読のリース更新はポーリング設定と関係なく確認
+  websub_renewal: () => renewExpiringSubscriptions().catch(error => {
+    console.error('WebSub lease renewal error:', error.message);
+  })
+};
+
+function scheduleJob(config) {
+  const task = cron.schedule(config.cron_expression, JOB_HANDLERS[config.name], {
+    scheduled: config.enabled,
+    timezone: config.timezone
+  });
+  scheduledJobs.set(config.name, { task, config });
+}
+
+async function startScheduler() {
   console.log('Starting RSS feed scheduler...');
   
-  const dailyTask = cron.schedule('0 8 * * *', () => {
-    console.log('Running daily RSS feed update...');
-    updateAllFeeds();
-  }, {
-    scheduled: false,
-    timezone: "Asia/Tokyo"
+  const configs = await loadJobConfigs();
+  configs.forEach(config => {
+    scheduledJobs.get(config.name)?.task.stop();
+    scheduleJob(config);
   });
   
-  const weeklyTask = cron.schedule('0 8 * * 1', () => {
-    console.log('Running weekly RSS feed update...');
-    updateAllFeeds();
-  }, {
-    scheduled: false,
-    timezone: "Asia/Tokyo"
+  const enabled = configs.filter(config => config.enabled);
+  console.log(`Scheduler jobs running: ${enabled.map(config => `${config.name} (${config.cron_expression} ${config.timezone})`).join(', ') || 'none'}`);
+}
+
+/**
+ * Lists the named jobs and their schedules
+ * @returns {Array<Object>} { name, description, cron_expression, timezone, enabled, updated_at }
+ */
+function getJobs() {
+  return [...scheduledJobs.values()].map(({ config }) => ({ ...config }));
+}
+
+/**
+ * Validates changes to named jobs against the running scheduler
+ * @param {Array<Object>} changes - { name, cron_expression, timezone, enabled } (all but name optional)
+ * @returns {Array<Object>} Full configuration of every changed job
+ * @throws {Error} When a job is unknown or not scheduled, or a value is invalid
+ */
+function prepareJobChanges(changes) {
+  return changes.map(normalizeJobChanges).map(change => {
+    const current = scheduledJobs.get(change.name);
+    if (!current) {
+      throw new Error(`Scheduler job ${change.name} is not scheduled`);
+    }
+    return { ...current.config, ...change };
   });
-  
-  // Product Hunt top apps collection every Sunday at 8:00 AM JST
-  const productHuntTask = cron.schedule('0 8 * * 0', () => {
-    console.log('Running Product Hunt top apps collection...');
-    updateProductHuntApps();
-  }, {
-    scheduled: true,
-    timezone: "Asia/Tokyo"
+}
+
+/**
+ * Saves validated job configurations and reschedules the jobs
+ * @param {Array<Object>} configs - Result of prepareJobChanges
+ * @returns {Promise<Array<Object>>} Every job after the change
+ */
+async function applyJobChanges(configs) {
+  // すべて保存できてからスケジュールを切り替える（保存に失敗したら何も変更しない）
+  await saveJobConfigs(configs);
+
+  const updatedAt = new Date().toISOString();
+  configs.forEach(config => {
+    scheduledJobs.get(config.name).task.stop();
+    scheduleJob({ ...config, updated_at: updatedAt });
+    console.log(`Scheduler job ${config.name} ${config.enabled ? 'scheduled' : 'stopped'}: ${config.cron_expression} (${config.timezone})`);
   });
-  
-  scheduledTasks.push({ name: 'daily', task: dailyTask });
-  scheduledTasks.push({ name: 'weekly', task: weeklyTask });
-  scheduledTasks.push({ name: 'producthunt', task: productHuntTask });
-  
-  const defaultSchedule = process.env.RSS_SCHEDULE || 'daily';
-  setSchedule(defaultSchedule);
+
+  return getJobs();
 }
 
-function setSchedule(schedule) {
-  scheduledTasks.forEach(({ task }) => task.stop());
-  
-  const activeTask = scheduledTasks.find(({ name }) => name === schedule);
-  if (activeTask) {
-    activeTask.task.start();
-    console.log(`RSS feed scheduler set to: ${schedule}`);
-  } else {
-    console.log(`Unknown schedule: ${schedule}. Available: daily, weekly`);
-  }
+/**
+ * Lists the changes that stop every running job
+ * @returns {Array<Object>} { name, enabled: false } per enabled job
+ */
+function getStopAllChanges() {
+  return getJobs().filter(job => job.enabled).map(job => ({ name: job.name, enabled: false }));
 }
 
 function stopScheduler() {
-  scheduledTasks.forEach(({ task }) => task.stop());
+  scheduledJobs.forEach(({ task }) => task.stop());
   console.log('RSS feed scheduler stopped');
 }
 
+async function runMaintenance() {
+  console.log('Running database maintenance...');
+  try {
+    return await pruneDatabase();
+  } catch (error) {
+    console.error('Database maintenance error:', error.message);
+    return null;
+  }
+}
+
 async function updateAllFeeds() {
   try {
-    db.all('SELECT * FROM feeds WHERE is_active = 1', async (err, feeds) => {
+    // メールマガジンの仮想Feedは取り込み時に更新されるため取得しない
+    db.all("SELECT * FROM feeds WHERE is_active = 1 AND is_paused = 0 AND (feed_type IS NULL OR feed_type != 'email')", async (err, feeds) => {
       if (err) {
         console.error('Error fetching feeds:', err);
         return;
@@ -70,12 +134,17 @@ async function updateAllFeeds() {
 
       console.log(`Updating ${feeds.length} feeds...`);
       let processedCount = 0;
+      let notModifiedCount = 0;
       let errorCount = 0;
 
       for (const feed of feeds) {
         try {
           const result = await updateSingleFeed(feed);
-          if (result.success) {
+          if (result.success && result.notModified) {
+            processedCount++;
+            notModifiedCount++;
+            console.log(`= Not modified: ${feed.title || feed.url}`);
+          } else if (result.success) {
             processedCount++;
             console.log(`✓ Updated feed: ${feed.title || feed.url} (${result.newArticles} new articles)`);
           } else {
@@ -88,75 +157,149 @@ async function updateAllFeeds() {
         }
       }
 
-      console.log(`Feed update completed: ${processedCount} successful, ${errorCount} errors`);
+      console.log(`Feed update completed: ${processedCount} successful (${notModifiedCount} not modified), ${errorCount} errors`);
     });
   } catch (error) {
     console.error('Error in updateAllFeeds:', error);
   }
 }
 
-async function updateSingleFeed(feed) {
+// 次回予定時刻を過ぎたFeedのみ更新
+async function updateDueFeeds() {
+  if (isPollingDueFeeds) {
+    console.log('Previous due-feed poll still running, skipping this tick');
+    return;
+  }
+  
+  isPollingDueFeeds = true;
   try {
-    const parsedFeed = await parser.parseURL(feed.url);
-    let newArticles = 0;
+    const feeds = await db.query(
+      `SELECT * FROM feeds WHERE is_active = 1 AND is_paused = 0 AND (feed_type IS NULL OR feed_type != 'email')
+       AND (next_poll_at IS NULL OR next_poll_at <= ?)`,
+      [new Date().toISOString()]
+    );
     
-    // 各フィードから最新10件のみ取得
-    const recentItems = parsedFeed.items.slice(0, 10);
+    if (feeds.length === 0) {
+      return;
+    }
     
-    for (const item of recentItems) {
-      const guid = item.guid || item.link;
-      const contentType = detectContentType(item.link);
-      
-      await new Promise((resolve, reject) => {
-        db.run(
-          `INSERT OR IGNORE INTO articles 
-           (feed_id, guid, title, link, description, pub_date, content_type) 
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            feed.id,
-            guid,
-            item.title || '',
-            item.link || '',
-            item.contentSnippet || item.content || '',
-            item.pubDate || item.isoDate || new Date().toISOString(),
-            contentType
-          ],
-          function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              if (this.changes > 0) {
-                newArticles++;
-              }
-              resolve();
-            }
-          }
-        );
-      });
+    console.log(`Polling ${feeds.length} due feeds...`);
+    for (const feed of feeds) {
+      const result = await updateSingleFeed(feed);
+      if (!result.success) {
+        console.error(`✗ Failed to update feed: ${feed.title || feed.url} - ${result.error}`);
+      } else if (result.newArticles > 0) {
+        console.log(`✓ Updated feed: ${feed.title || feed.url} (${result.newArticles} new articles)`);
+      }
     }
+  } catch (error) {
+    console.error('Error in updateDueFeeds:', error);
+  } finally {
+    isPollingDueFeeds = false;
+  }
+}
+
+/**
+ * 記事の投稿間隔から次回ポーリング時刻を算出して保存
+ * @param {Object} feed - Feed行（poll_interval が設定されていれば固定間隔を優先）
+ * @param {number} consecutiveFailures - 連続失敗回数（失敗時のみ。間隔を広げる）
+ * @returns {Promise<{interval: number, nextPollAt: string}>}
+ */
+async function scheduleNextPoll(feed, consecutiveFailures = 0) {
+  const rows = await db.query(
+    'SELECT pub_date FROM articles WHERE feed_id = ? ORDER BY created_at DESC LIMIT 50',
+    [feed.id]
+  );
+  
+  const adaptiveInterval = estimateAdaptiveInterval(rows.map(row => row.pub_date));
+  // 失敗が続くFeedは間隔を広げて再試行する
+  const interval = getFailureBackoffInterval(
+    getEffectiveInterval({ poll_interval: feed.poll_interval, adaptive_interval: adaptiveInterval }),
+    consecutiveFailures
+  );
+  const nextPollAt = computeNextPollAt(interval);
+  
+  await db.run(
+    'UPDATE feeds SET adaptive_interval = ?, next_poll_at = ? WHERE id = ?',
+    [adaptiveInterval, nextPollAt, feed.id]
+  );
+  
+  return { interval, nextPollAt };
+}
+
+async function updateSingleFeed(feed, options = {}) {
+  const startTime = Date.now();
+  
+  try {
+    const result = await fetchFeed(feed);
     
-    await new Promise((resolve, reject) => {
-      db.run('UPDATE feeds SET last_updated = CURRENT_TIMESTAMP WHERE id = ?', [feed.id], (err) => {
-        if (err) reject(err);
-        else resolve();
+    // 304または内容が前回と同一の場合はパース・登録をスキップ
+    if (result.notModified) {
+      await saveFetchState(feed.id, result);
+      await recordFetchSuccess(feed, {
+        httpStatus: result.status,
+        notModified: true,
+        durationMs: Date.now() - startTime
       });
+      await scheduleNextPoll(feed);
+      return { success: true, newArticles: 0, notModified: true };
+    }
+    
+    const { newArticles } = await ingestItems(feed, result.feed.items, { trigger: options.trigger, channel: result.feed });
+    
+    // ハブを公開しているFeedはプッシュ配信も受け取る
+    ensureSubscription(feed, result.websub).catch(error => {
+      console.error(`WebSub subscription error for feed ${feed.id}:`, error.message);
+    });
+    
+    await saveFetchState(feed.id, result);
+    await recordFetchSuccess(feed, {
+      httpStatus: result.status,
+      newArticles,
+      durationMs: Date.now() - startTime
     });
+    await scheduleNextPoll(feed);
     
-    return { success: true, newArticles };
+    return { success: true, newArticles, notModified: false };
   } catch (error) {
+    const failure = await recordFetchFailure(feed, error, Date.now() - startTime).catch(recordError => {
+      console.error(`Failed to record fetch failure for feed ${feed.id}:`, recordError.message);
+      return null;
+    });
+    // 失敗したFeedも次回予定を進め、毎回のチェックで再試行し続けないようにする
+    await scheduleNextPoll(feed, failure?.consecutiveFailures).catch(scheduleError => {
+      console.error(`Failed to schedule next poll for feed ${feed.id}:`, scheduleError.message);
+    });
     return { success: false, error: error.message };
   }
 }
 
 
-function getSchedulerStatus() {
-  const activeTasks = scheduledTasks.filter(({ task }) => task.running);
+async function getSchedulerStatus() {
+  const jobs = getJobs();
+  const activeJobs = jobs.filter(job => job.enabled);
+  const feeds = await db.query(
+    `SELECT id, title, url, poll_interval, adaptive_interval, next_poll_at, last_updated FROM feeds
+     WHERE is_active = 1 AND (feed_type IS NULL OR feed_type != 'email') ORDER BY next_poll_at`
+  );
+  
   return {
-    isRunning: activeTasks.length > 0,
-    activeSchedules: activeTasks.map(({ name }) => name),
-    allTasks: scheduledTasks.map(({ name, task }) => ({
-      name,
-      status: task.running ? 'running' : 'stopped'
+    isRunning: activeJobs.length > 0,
+    activeSchedules: activeJobs.map(job => job.name),
+    allTasks: jobs.map(job => ({
+      name: job.name,
+      status: job.enabled ? 'running' : 'stopped',
+      cron_expression: job.cron_expression,
+      timezone: job.timezone
+    })),
+    feeds: feeds.map(feed => ({
+      id: feed.id,
+      title: feed.title,
+      url: feed.url,
+      mode: feed.poll_interval ? 'fixed' : 'adaptive',
+      interval_minutes: getEffectiveInterval(feed),
+      next_poll_at: feed.next_poll_at,
+      last_updated: feed.last_updated
     }))
   };
 }
@@ -239,8 +382,15 @@ async function ensureProductHuntFeed() {
 module.exports = {
   startScheduler,
   stopScheduler,
-  setSchedule,
+  getJobs,
+  prepareJobChanges,
+  applyJobChanges,
+  getStopAllChanges,
   updateAllFeeds,
+  updateDueFeeds,
+  updateSingleFeed,
+  scheduleNextPoll,
   updateProductHuntApps,
+  runMaintenance,
   getSchedulerStatus
 };
\ No newline at end of file
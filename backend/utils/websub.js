@@ -0,0 +1,350 @@
+/**
+ * WebSub Utility
+ *
+ * Subscribes feeds that advertise a rel="hub" to their WebSub
+ * (PubSubHubbub) hub so new entries are pushed instead of polled.
+ * Subscriptions are only made when WEBSUB_CALLBACK_BASE_URL points at a
+ * publicly reachable address of this server; polling keeps running as a
+ * fallback either way.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const db = require('../models/database');
+const { parseTimestamp } = require('./database-helpers');
+
+// ハブからアクセス可能なこのサーバーの公開URL（例: https://newsfeeder.example.com）
+const CALLBACK_BASE_URL = (process.env.WEBSUB_CALLBACK_BASE_URL || '').replace(/\/+$/, '');
+
+// 要求するリース期間（秒）。ハブ側で短縮される場合がある
+const DEFAULT_LEASE_SECONDS = parseInt(process.env.WEBSUB_LEASE_SECONDS, 10) || 10 * 24 * 60 * 60;
+
+// 有効期限のこの時間前になったら購読を更新
+const RENEW_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+const HUB_REQUEST_TIMEOUT = 20000;
+
+// 状態ごとの再要求までの待ち時間（検証が届かない購読は1時間、拒否された購読は1週間）
+const RETRY_AFTER_MS = {
+  pending: 60 * 60 * 1000,
+  denied: 7 * 24 * 60 * 60 * 1000
+};
+
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+function isEnabled() {
+  return Boolean(CALLBACK_BASE_URL);
+}
+
+/**
+ * Builds the callback URL the hub verifies and pushes to
+ * @param {number} feedId - Feed ID
+ * @returns {string} Callback URL
+ */
+function buildCallbackUrl(feedId) {
+  return `${CALLBACK_BASE_URL}/api/websub/callback/${feedId}`;
+}
+
+/**
+ * Parses rel links out of an HTTP Link header
+ * @param {string} header - Link header value
+ * @returns {Array<{url: string, rel: string}>}
+ */
+function parseLinkHeader(header) {
+  if (!header) {
+    return [];
+  }
+
+  return header.split(/,(?=\s*<)/).flatMap(part => {
+    const match = part.match(/<([^>]+)>\s*;(.*)/);
+    const rel = match && match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+    if (!rel) {
+      return [];
+    }
+    return rel[1].trim().split(/\s+/).map(value => ({ url: match[1].trim(), rel: value.toLowerCase() }));
+  });
+}
+
+/**
+ * Finds the WebSub hub and self (topic) URLs advertised by a feed
+ * @param {string} body - Raw feed body (RSS, Atom or JSON Feed)
+ * @param {Object} headers - Response headers
+ * @returns {{hub: string|null, self: string|null}}
+ */
+function extractHubLinks(body, headers = {}) {
+  // HTTP Link ヘッダーを優先し、なければ本文の <link rel="hub"> を使う
+  const links = parseLinkHeader(headers.link);
+  let hub = links.find(link => link.rel === 'hub')?.url || null;
+  let self = links.find(link => link.rel === 'self')?.url || null;
+
+  if (typeof body === 'string' && body.trimStart().startsWith('{')) {
+    try {
+      const document = JSON.parse(body);
+      hub = hub || (document.hubs || []).find(entry => entry && entry.url)?.url || null;
+      self = self || document.feed_url || null;
+    } catch (error) {
+      // JSONとして読めない場合はハブなしとして扱う
+    }
+    return { hub, self };
+  }
+
+  const $ = cheerio.load(body || '', { xml: true });
+  $('*').each((_, element) => {
+    if (!/(^|:)link$/.test(element.tagName)) {
+      return;
+    }
+    const rel = ($(element).attr('rel') || '').toLowerCase();
+    const href = $(element).attr('href');
+    if (rel === 'hub' && !hub) {
+      hub = href;
+    } else if (rel === 'self' && !self) {
+      self = href;
+    }
+  });
+
+  return { hub: hub || null, self: self || null };
+}
+
+/**
+ * Checks the X-Hub-Signature header of a pushed notification
+ * @param {Buffer|string} body - Raw request body
+ * @param {string} secret - Secret sent when subscribing
+ * @param {string} header - X-Hub-Signature header, e.g. "sha256=abcd..."
+ * @returns {boolean} True when the signature matches
+ */
+function verifySignature(body, secret, header) {
+  const match = (header || '').match(/^(\w+)=([0-9a-f]+)$/i);
+  if (!match || !SIGNATURE_ALGORITHMS.includes(match[1].toLowerCase())) {
+    return false;
+  }
+
+  const expected = crypto.createHmac(match[1].toLowerCase(), secret).update(body).digest();
+  const actual = Buffer.from(match[2], 'hex');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function sendHubRequest(hubUrl, params) {
+  const response = await axios.post(hubUrl, new URLSearchParams(params).toString(), {
+    timeout: HUB_REQUEST_TIMEOUT,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    validateStatus: status => status >= 200 && status < 300
+  });
+  return response.status;
+}
+
+/**
+ * Sends a subscription request to the hub; the hub verifies it asynchronously
+ * through the callback route
+ * @param {Object} feed - Feed row
+ * @param {{hub: string, topic: string}} target - Hub and topic URLs
+ * @returns {Promise<Object>} Subscription row
+ */
+async function subscribeFeed(feed, { hub, topic }) {
+  const existing = await getSubscription(feed.id);
+  // 更新時は同じシークレットを使い続け、配信中の通知の署名検証が失敗しないようにする
+  const secret = existing && existing.hub_url === hub && existing.topic_url === topic
+    ? existing.secret
+    : crypto.randomBytes(32).toString('hex');
+
+  // 同期検証するハブはリクエスト中にコールバックを呼ぶため、先に保存しておく
+  await db.run(
+    `INSERT INTO websub_subscriptions (feed_id, hub_url, topic_url, secret, state, last_error, updated_at)
+     VALUES (?, ?, ?, ?, 'pending', NULL, CURRENT_TIMESTAMP)
+     ON CONFLICT (feed_id) DO UPDATE SET hub_url = excluded.hub_url, topic_url = excluded.topic_url,
+       secret = excluded.secret, state = CASE WHEN websub_subscriptions.state = 'verified' THEN 'verified' ELSE 'pending' END,
+       last_error = NULL, updated_at = CURRENT_TIMESTAMP`,
+    [feed.id, hub, topic, secret]
+  );
+
+  try {
+    await sendHubRequest(hub, {
+      'hub.mode': 'subscribe',
+      'hub.topic': topic,
+      'hub.callback': buildCallbackUrl(feed.id),
+      'hub.secret': secret,
+      'hub.lease_seconds': String(DEFAULT_LEASE_SECONDS)
+    });
+    console.log(`📡 WebSub subscription requested for feed ${feed.id} via ${hub}`);
+  } catch (error) {
+    await db.run(
+      "UPDATE websub_subscriptions SET state = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE feed_id = ?",
+      [error.message, feed.id]
+    );
+    console.error(`❌ WebSub subscription failed for feed ${feed.id}: ${error.message}`);
+  }
+
+  return getSubscription(feed.id);
+}
+
+/**
+ * Tells whether a subscription to the same hub and topic should be left as it is.
+ * Verified subscriptions are kept (the renewal job extends them); pending and
+ * denied ones are requested again once their retry delay has passed.
+ * @param {Object} subscription - Subscription row
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when no new request should be sent
+ */
+function isSubscriptionSettled(subscription, now = new Date()) {
+  if (subscription.state === 'verified') {
+    return true;
+  }
+
+  const retryAfter = RETRY_AFTER_MS[subscription.state];
+  const updatedAt = parseTimestamp(subscription.updated_at);
+  return retryAfter !== undefined && !!updatedAt && now.getTime() - updatedAt.getTime() < retryAfter;
+}
+
+/**
+ * Subscribes a feed to its hub unless an up-to-date subscription already exists
+ * @param {Object} feed - Feed row
+ * @param {{hub: string|null, self: string|null}} links - Result of extractHubLinks
+ * @returns {Promise<Object|null>} Subscription row, or null when nothing was done
+ */
+async function ensureSubscription(feed, links) {
+  if (!isEnabled() || !links || !links.hub) {
+    return null;
+  }
+
+  const topic = links.self || feed.url;
+  const existing = await getSubscription(feed.id);
+
+  if (existing && existing.hub_url === links.hub && existing.topic_url === topic && isSubscriptionSettled(existing)) {
+    return null;
+  }
+
+  return subscribeFeed(feed, { hub: links.hub, topic });
+}
+
+/**
+ * Asks the hub to stop pushing a feed; the row is removed once the hub verifies
+ * @param {number} feedId - Feed ID
+ */
+async function unsubscribeFeed(feedId) {
+  const subscription = await getSubscription(feedId);
+  if (!subscription) {
+    return;
+  }
+
+  if (!isEnabled() || subscription.state !== 'verified') {
+    await db.run('DELETE FROM websub_subscriptions WHERE feed_id = ?', [feedId]);
+    return;
+  }
+
+  await db.run(
+    "UPDATE websub_subscriptions SET state = 'unsubscribing', updated_at = CURRENT_TIMESTAMP WHERE feed_id = ?",
+    [feedId]
+  );
+
+  try {
+    await sendHubRequest(subscription.hub_url, {
+      'hub.mode': 'unsubscribe',
+      'hub.topic': subscription.topic_url,
+      'hub.callback': buildCallbackUrl(feedId)
+    });
+  } catch (error) {
+    // ハブに届かなくても、コールバックで通知を拒否するため購読は削除する
+    console.error(`⚠️ WebSub unsubscribe request failed for feed ${feedId}: ${error.message}`);
+    await db.run('DELETE FROM websub_subscriptions WHERE feed_id = ?', [feedId]);
+  }
+}
+
+/**
+ * Handles the hub's intent verification (GET callback)
+ * @param {number} feedId - Feed ID from the callback URL
+ * @param {Object} query - Request query with hub.mode, hub.topic, hub.challenge, hub.lease_seconds
+ * @returns {Promise<{status: number, body: string}>} Response to send to the hub
+ */
+async function handleVerification(feedId, query) {
+  const mode = query['hub.mode'];
+  const topic = query['hub.topic'];
+  const subscription = await getSubscription(feedId);
+
+  if (!subscription || subscription.topic_url !== topic) {
+    return { status: 404, body: 'Unknown subscription' };
+  }
+
+  if (mode === 'denied') {
+    await db.run(
+      "UPDATE websub_subscriptions SET state = 'denied', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE feed_id = ?",
+      [query['hub.reason'] || 'Denied by hub', feedId]
+    );
+    console.warn(`⚠️ WebSub subscription denied for feed ${feedId}: ${query['hub.reason'] || 'no reason given'}`);
+    return { status: 200, body: '' };
+  }
+
+  const challenge = query['hub.challenge'];
+  if (!challenge) {
+    return { status: 400, body: 'Missing hub.challenge' };
+  }
+
+  if (mode === 'subscribe' && subscription.state !== 'unsubscribing') {
+    const leaseSeconds = parseInt(query['hub.lease_seconds'], 10) || DEFAULT_LEASE_SECONDS;
+    const expiresAt = new Date(Date.now() + leaseSeconds * 1000).toISOString();
+
+    await db.run(
+      `UPDATE websub_subscriptions SET state = 'verified', lease_seconds = ?, expires_at = ?,
+       last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE feed_id = ?`,
+      [leaseSeconds, expiresAt, feedId]
+    );
+    console.log(`✅ WebSub subscription verified for feed ${feedId} (lease ${leaseSeconds}s)`);
+    return { status: 200, body: challenge };
+  }
+
+  if (mode === 'unsubscribe' && subscription.state === 'unsubscribing') {
+    await db.run('DELETE FROM websub_subscriptions WHERE feed_id = ?', [feedId]);
+    console.log(`🛑 WebSub subscription removed for feed ${feedId}`);
+    return { status: 200, body: challenge };
+  }
+
+  return { status: 404, body: 'Unexpected hub.mode' };
+}
+
+/**
+ * Renews verified subscriptions whose lease expires soon
+ * @returns {Promise<number>} Number of renewal requests sent
+ */
+async function renewExpiringSubscriptions() {
+  if (!isEnabled()) {
+    return 0;
+  }
+
+  const renewBefore = new Date(Date.now() + RENEW_MARGIN_MS).toISOString();
+  const subscriptions = await db.query(
+    `SELECT s.feed_id, s.hub_url, s.topic_url, f.id, f.url, f.title
+     FROM websub_subscriptions s
+     JOIN feeds f ON f.id = s.feed_id
+     WHERE s.state = 'verified' AND s.expires_at <= ? AND f.is_active = 1`,
+    [renewBefore]
+  );
+
+  for (const subscription of subscriptions) {
+    await subscribeFeed(subscription, { hub: subscription.hub_url, topic: subscription.topic_url });
+  }
+
+  if (subscriptions.length > 0) {
+    console.log(`🔁 Renewed ${subscriptions.length} WebSub subscriptions`);
+  }
+  return subscriptions.length;
+}
+
+function getSubscription(feedId) {
+  return db.get('SELECT * FROM websub_subscriptions WHERE feed_id = ?', [feedId]);
+}
+
+module.exports = {
+  DEFAULT_LEASE_SECONDS,
+  isEnabled,
+  buildCallbackUrl,
+  parseLinkHeader,
+  extractHubLinks,
+  verifySignature,
+  subscribeFeed,
+  isSubscriptionSettled,
+  ensureSubscription,
+  unsubscribeFeed,
+  handleVerification,
+  renewExpiringSubscriptions,
+  getSubscription
+};
@@ -65,6 +65,75 @@ class YouTubeDataService {
     }
   }
 
+  /**
+   * チャンネル情報を取得（チャンネルID・ハンドル・旧ユーザー名のいずれかで指定）
+   * @param {Object} query - { id } / { handle } / { username }
+   * @returns {Promise<Object|null>} { id, title, thumbnailUrl } 見つからない場合はnull
+   */
+  async getChannelDetails(query) {
+    if (!process.env.YOUTUBE_API_KEY) {
+      throw new Error('YouTube API key not configured');
+    }
+
+    const params = { part: ['snippet'] };
+    if (query.id) {
+      params.id = [query.id];
+    } else if (query.handle) {
+      params.forHandle = query.handle;
+    } else {
+      params.forUsername = query.username;
+    }
+
+    const response = await this.youtube.channels.list(params);
+    const channel = response.data.items?.[0];
+    if (!channel) {
+      return null;
+    }
+
+    return {
+      id: channel.id,
+      title: channel.snippet.title,
+      thumbnailUrl: this.pickThumbnail(channel.snippet.thumbnails)
+    };
+  }
+
+  /**
+   * プレイリスト情報を取得
+   * @param {string} playlistId - プレイリストID
+   * @returns {Promise<Object|null>} { id, title, channelTitle, thumbnailUrl } 見つからない場合はnull
+   */
+  async getPlaylistDetails(playlistId) {
+    if (!process.env.YOUTUBE_API_KEY) {
+      throw new Error('YouTube API key not configured');
+    }
+
+    const response = await this.youtube.playlists.list({
+      part: ['snippet'],
+      id: [playlistId]
+    });
+    const playlist = response.data.items?.[0];
+    if (!playlist) {
+      return null;
+    }
+
+    return {
+      id: playlist.id,
+      title: playlist.snippet.title,
+      channelTitle: playlist.snippet.channelTitle,
+      thumbnailUrl: this.pickThumbnail(playlist.snippet.thumbnails)
+    };
+  }
+
+  /**
+   * サムネイル一覧からアイコン表示に適したサイズのURLを選ぶ
+   * @param {Object} thumbnails - snippet.thumbnails
+   * @returns {string|null} 画像URL
+   */
+  pickThumbnail(thumbnails = {}) {
+    const thumbnail = thumbnails.medium || thumbnails.default || thumbnails.high;
+    return thumbnail ? thumbnail.url : null;
+  }
+
   /**
    * 動画の詳細情報から要約用のテキストを生成
    * @param {Object} videoDetails - 動画詳細情報
@@ -0,0 +1,155 @@
+/**
+ * YouTube Feed Resolver Utility
+ *
+ * Turns YouTube channel, handle, custom-name and playlist URLs into their
+ * Atom feed URL so they can be subscribed to like any other feed. The
+ * YouTube Data API is used when YOUTUBE_API_KEY is set; otherwise (and for
+ * /c/ custom names, which the API cannot look up) the page metadata is read.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { parseYouTubeSourceUrl, buildYouTubeFeedUrl } = require('./youtube-helper');
+
+const FETCH_TIMEOUT = 15000;
+const CHANNEL_ID_PATTERN = /^UC[a-zA-Z0-9_-]{22}$/;
+
+/**
+ * Reads the channel ID, title and avatar from a YouTube channel or playlist page
+ * @param {string} html - Page HTML
+ * @returns {Object} { channelId, feedUrl, title, imageUrl } (missing values are null)
+ */
+function extractYouTubePageMetadata(html) {
+  const $ = cheerio.load(html);
+
+  const feedUrl = $('link[rel="alternate"][type="application/rss+xml"]').attr('href') || null;
+  const candidates = [
+    $('meta[itemprop="channelId"]').attr('content'),
+    $('meta[itemprop="identifier"]').attr('content'),
+    ($('link[rel="canonical"]').attr('href') || '').match(/\/channel\/(UC[a-zA-Z0-9_-]{22})/)?.[1],
+    (feedUrl || '').match(/channel_id=(UC[a-zA-Z0-9_-]{22})/)?.[1],
+    // メタタグのないページでも埋め込みの初期データにチャンネルIDが含まれる
+    html.match(/"(?:externalId|channelId)":"(UC[a-zA-Z0-9_-]{22})"/)?.[1]
+  ];
+
+  const title = $('meta[property="og:title"]').attr('content') || $('title').text().replace(/\s*-\s*YouTube\s*$/, '');
+
+  return {
+    channelId: candidates.find(candidate => CHANNEL_ID_PATTERN.test(candidate || '')) || null,
+    feedUrl,
+    title: title ? title.trim() : null,
+    imageUrl: $('meta[property="og:image"]').attr('content') || null
+  };
+}
+
+async function fetchYouTubePage(url) {
+  const response = await axios.get(url, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'text',
+    maxRedirects: 5,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'ja,en;q=0.8',
+      // EU圏の同意画面へのリダイレクトを避ける
+      'Cookie': 'CONSENT=YES+1'
+    }
+  });
+  return response.data;
+}
+
+async function resolveWithDataApi(source) {
+  const youtubeDataService = require('./youtube-data-api');
+
+  if (source.type === 'playlist') {
+    const playlist = await youtubeDataService.getPlaylistDetails(source.value);
+    return playlist && {
+      feedUrl: buildYouTubeFeedUrl({ playlistId: playlist.id }),
+      title: playlist.title,
+      imageUrl: playlist.thumbnailUrl,
+      channelId: null,
+      playlistId: playlist.id
+    };
+  }
+
+  const query = { channel: { id: source.value }, handle: { handle: source.value }, user: { username: source.value } }[source.type];
+  const channel = await youtubeDataService.getChannelDetails(query);
+  return channel && {
+    feedUrl: buildYouTubeFeedUrl({ channelId: channel.id }),
+    title: channel.title,
+    imageUrl: channel.thumbnailUrl,
+    channelId: channel.id,
+    playlistId: null
+  };
+}
+
+async function resolveFromPage(url, source) {
+  let metadata = { channelId: null, feedUrl: null, title: null, imageUrl: null };
+  try {
+    metadata = extractYouTubePageMetadata(await fetchYouTubePage(url));
+  } catch (error) {
+    // IDが分かっているプレイリスト・チャンネルはページが読めなくてもフィードURLを作れる
+    if (source.type !== 'playlist' && source.type !== 'channel') {
+      throw error;
+    }
+  }
+
+  if (source.type === 'playlist') {
+    return {
+      feedUrl: buildYouTubeFeedUrl({ playlistId: source.value }),
+      title: metadata.title,
+      imageUrl: metadata.imageUrl,
+      channelId: null,
+      playlistId: source.value
+    };
+  }
+
+  const channelId = source.type === 'channel' ? source.value : metadata.channelId;
+  if (!channelId) {
+    return null;
+  }
+
+  return {
+    feedUrl: buildYouTubeFeedUrl({ channelId }),
+    title: metadata.title,
+    imageUrl: metadata.imageUrl,
+    channelId,
+    playlistId: null
+  };
+}
+
+/**
+ * Resolves a YouTube channel or playlist URL to its Atom feed
+ * @param {string} url - URL entered by the user
+ * @returns {Promise<Object|null>} { feedUrl, title, imageUrl, channelId, playlistId }, or null when the URL is not a YouTube channel or playlist
+ * @throws {Error} When the URL is a YouTube channel URL that could not be resolved
+ */
+async function resolveYouTubeFeed(url) {
+  const source = parseYouTubeSourceUrl(url);
+  if (!source) {
+    return null;
+  }
+
+  // /c/ のカスタムURLは Data API で直接引けないためページから解決
+  if (process.env.YOUTUBE_API_KEY && source.type !== 'custom') {
+    try {
+      const resolved = await resolveWithDataApi(source);
+      if (resolved) {
+        return resolved;
+      }
+    } catch (error) {
+      console.log(`⚠️ YouTube Data API lookup failed, falling back to the page: ${error.message}`);
+    }
+  }
+
+  const resolved = await resolveFromPage(url, source);
+  if (!resolved) {
+    throw new Error('Could not find the YouTube channel for this URL');
+  }
+  return resolved;
+}
+
+module.exports = {
+  extractYouTubePageMetadata,
+  resolveYouTubeFeed
+};
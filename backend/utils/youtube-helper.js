@@ -190,6 +190,54 @@ function isValidYouTubeUrl(url) {
   return patterns.some(pattern => pattern.test(url));
 }
 
+/**
+ * チャンネル・ハンドル・プレイリストのURLを解析
+ * @param {string} url - YouTube URL（youtube.com/@handle, /channel/UC..., /c/name, /user/name, /playlist?list=...）
+ * @returns {Object|null} { type: 'handle'|'channel'|'custom'|'user'|'playlist', value } 該当しない場合はnull
+ */
+function parseYouTubeSourceUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  
+  if (!/^((www|m)\.)?youtube\.com$/i.test(parsed.hostname)) {
+    return null;
+  }
+  
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  const [first, second] = segments;
+  
+  if (first === 'playlist') {
+    const list = parsed.searchParams.get('list');
+    return list && /^[a-zA-Z0-9_-]+$/.test(list) ? { type: 'playlist', value: list } : null;
+  }
+  if (first && first.startsWith('@') && first.length > 1) {
+    return { type: 'handle', value: first.substring(1) };
+  }
+  if (first === 'channel' && /^UC[a-zA-Z0-9_-]{22}$/.test(second || '')) {
+    return { type: 'channel', value: second };
+  }
+  if ((first === 'c' || first === 'user') && second) {
+    return { type: first === 'c' ? 'custom' : 'user', value: second };
+  }
+  
+  return null;
+}
+
+/**
+ * チャンネルまたはプレイリストのAtomフィードURLを生成
+ * @param {Object} source - { channelId } または { playlistId }
+ * @returns {string} フィードURL
+ */
+function buildYouTubeFeedUrl({ channelId, playlistId }) {
+  return playlistId
+    ? `https://www.youtube.com/feeds/videos.xml?playlist_id=${encodeURIComponent(playlistId)}`
+    : `https://www.youtube.com/feeds/videos.xml?channel_id=${encodeURIComponent(channelId)}`;
+}
+
 /**
  * エラーメッセージを分析してユーザーフレンドリーなメッセージに変換
  * @param {Error} error - エラーオブジェクト
@@ -449,6 +497,8 @@ module.exports = {
   getYouTubeMetadata,
   checkTranscriptAvailability,
   isValidYouTubeUrl,
+  parseYouTubeSourceUrl,
+  buildYouTubeFeedUrl,
   getTranscriptErrorMessage,
   getCachedTranscript,
   cacheTranscript,
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * ローカル検証用のWebSubスタブハブ
+ *
+ * 購読リクエストを受け付けてコールバックの確認（hub.challenge）を行い、
+ * /publish で指定したトピックの内容を HMAC 署名付きで購読者にプッシュします。
+ *
+ * 使用方法:
+ * 1. スタブハブを起動
+ *    node scripts/websub-stub-hub.js    # http://localhost:4568
+ * 2. サーバーをコールバックURL付きで起動
+ *    WEBSUB_CALLBACK_BASE_URL=http://localhost:3000 npm run server
+ * 3. <atom:link rel="hub" href="http://localhost:4568/"/> を含むフィードを登録
+ * 4. 新しい記事を追加したらプッシュを送信
+ *    curl -X POST "http://localhost:4568/publish?topic=<フィードURL>"
+ *
+ * 購読状況の確認: curl http://localhost:4568/subscriptions
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PORT = parseInt(process.env.STUB_HUB_PORT, 10) || 4568;
+
+// topic -> Map(callback -> { secret, leaseSeconds })
+const subscriptions = new Map();
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// 購読者のコールバックに hub.challenge を送り、同じ値が返れば購読を確定
+async function verifyIntent(params) {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const query = new URLSearchParams({
+    'hub.mode': params.get('hub.mode'),
+    'hub.topic': params.get('hub.topic'),
+    'hub.challenge': challenge,
+    'hub.lease_seconds': params.get('hub.lease_seconds') || '86400'
+  });
+  const callback = params.get('hub.callback');
+  const separator = callback.includes('?') ? '&' : '?';
+
+  try {
+    const response = await axios.get(`${callback}${separator}${query}`, {
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    const verified = response.status >= 200 && response.status < 300 && response.data === challenge;
+    console.log(`${verified ? '✅' : '❌'} ${params.get('hub.mode')} ${params.get('hub.topic')} -> ${callback} (${response.status})`);
+    return verified;
+  } catch (error) {
+    console.log(`❌ Verification request failed for ${callback}: ${error.message}`);
+    return false;
+  }
+}
+
+async function handleSubscriptionRequest(req, res) {
+  const params = new URLSearchParams(await readBody(req));
+  const mode = params.get('hub.mode');
+  const topic = params.get('hub.topic');
+  const callback = params.get('hub.callback');
+
+  if (!['subscribe', 'unsubscribe'].includes(mode) || !topic || !callback) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    return res.end('hub.mode, hub.topic and hub.callback are required');
+  }
+
+  // 実際のハブと同様に 202 を返してから非同期で確認する
+  res.writeHead(202);
+  res.end();
+
+  if (!(await verifyIntent(params))) {
+    return;
+  }
+
+  if (!subscriptions.has(topic)) {
+    subscriptions.set(topic, new Map());
+  }
+  if (mode === 'subscribe') {
+    subscriptions.get(topic).set(callback, {
+      secret: params.get('hub.secret'),
+      leaseSeconds: params.get('hub.lease_seconds')
+    });
+  } else {
+    subscriptions.get(topic).delete(callback);
+  }
+}
+
+async function handlePublish(req, res) {
+  const topic = new URL(req.url, `http://localhost:${PORT}`).searchParams.get('topic');
+  const subscribers = subscriptions.get(topic);
+
+  if (!topic || !subscribers || subscribers.size === 0) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('No subscribers for this topic');
+  }
+
+  const content = await axios.get(topic, { responseType: 'text' });
+  const results = [];
+
+  for (const [callback, { secret }] of subscribers) {
+    const headers = { 'Content-Type': content.headers['content-type'] || 'application/xml' };
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(content.data).digest('hex');
+      headers['X-Hub-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await axios.post(callback, content.data, { headers, validateStatus: () => true });
+    console.log(`📤 Pushed ${topic} -> ${callback} (${response.status})`);
+    results.push({ callback, status: response.status });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ topic, results }));
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'POST' && req.url.startsWith('/publish')) {
+      return await handlePublish(req, res);
+    }
+    if (req.method === 'POST') {
+      return await handleSubscriptionRequest(req, res);
+    }
+    if (req.method === 'GET' && req.url === '/subscriptions') {
+      const list = [...subscriptions].map(([topic, callbacks]) => ({ topic, callbacks: [...callbacks.keys()] }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(list, null, 2));
+    }
+    res.writeHead(404);
+    res.end();
+  } catch (error) {
+    console.error('Stub hub error:', error.message);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+    }
+    res.end(error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`WebSub stub hub listening on http://localhost:${PORT}/`);
+});
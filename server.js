@@ -9,28 +9,19 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
+// WebSubの通知は署名検証に生の本文が必要なため、JSONパーサーより前に登録
+app.use('/api/websub', require('./backend/routes/websub'));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'info-feed-app')));
 
 app.use('/api/feeds', require('./backend/routes/feeds'));
+app.use('/api/folders', require('./backend/routes/folders'));
+app.use('/api/filters', require('./backend/routes/filters'));
 app.use('/api/articles', require('./backend/routes/articles'));
 app.use('/api/stats', require('./backend/routes/api-stats'));
 app.use('/api/backup', require('./backend/routes/backup'));
-
-app.get('/api/scheduler/status', (req, res) => {
-  res.json(scheduler.getSchedulerStatus());
-});
-
-app.post('/api/scheduler/start', (req, res) => {
-  const { schedule = 'daily' } = req.body;
-  scheduler.setSchedule(schedule);
-  res.json({ message: `Scheduler started with ${schedule} schedule` });
-});
-
-app.post('/api/scheduler/stop', (req, res) => {
-  scheduler.stopScheduler();
-  res.json({ message: 'Scheduler stopped' });
-});
+app.use('/api/newsletters', require('./backend/routes/newsletters'));
+app.use('/api/scheduler', require('./backend/routes/scheduler'));
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'info-feed-app', 'index.html'));
@@ -47,11 +38,9 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-try {
-  scheduler.startScheduler();
-} catch (error) {
+scheduler.startScheduler().catch(error => {
   console.error('Scheduler initialization error:', error);
-}
+});
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,176 @@
+/**
+ * Tests for the feeds routes (PATCH /api/feeds/:id) against a real SQLite database
+ */
+
+delete process.env.DATABASE_URL;
+delete process.env.WEBSUB_CALLBACK_BASE_URL;
+process.env.DATABASE_TYPE = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+process.env.FEED_CREDENTIALS_KEY = 'test-secret';
+// 初期化ログと未設定の警告を抑止
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+jest.mock('../../backend/utils/feed-fetcher', () => ({
+  fetchFeed: jest.fn(),
+  saveFetchState: jest.fn()
+}));
+
+const express = require('express');
+const db = require('../../backend/models/database');
+const { fetchFeed } = require('../../backend/utils/feed-fetcher');
+const feedsRouter = require('../../backend/routes/feeds');
+
+// テーブル作成とカラム追加（非同期）の完了を待つ
+async function waitForMigrations() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const columns = await db.query('PRAGMA table_info(feeds)');
+    if (columns.some(column => column.name === 'max_articles')) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Database migrations did not finish');
+}
+
+describe('Feeds Routes', () => {
+  let server;
+  let baseUrl;
+
+  async function patchFeed(id, body) {
+    const response = await fetch(`${baseUrl}/api/feeds/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeAll(async () => {
+    await waitForMigrations();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/feeds', feedsRouter);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM articles');
+    await db.run('DELETE FROM feeds');
+    await db.run('DELETE FROM folders');
+    await db.run(`INSERT INTO feeds (id, url, title, feed_type, etag, consecutive_failures, is_paused, paused_reason)
+                  VALUES (1, 'https://blog.example/feed', 'Blog', 'rss', '"v1"', 6, 1, 'auto')`);
+    await db.run("INSERT INTO feeds (id, url, title, feed_type) VALUES (2, 'mailto:news@digest.example', 'Digest', 'email')");
+    await db.run("INSERT INTO feeds (id, url, title, is_active) VALUES (3, 'https://old.example/feed', 'Old', 0)");
+    fetchFeed.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('PATCH /:id rejected inputs', () => {
+    test.each([
+      ['an unknown content type', { content_type_override: 'video' }, 'content_type_override must be one of'],
+      ['a poll interval below the minimum', { poll_interval: 1 }, 'poll_interval must be null or an integer'],
+      ['a negative backfill depth', { backfill_depth: -1 }, 'backfill_depth must be null'],
+      ['a fractional article limit', { max_articles: 2.5 }, 'max_articles must be null or a non-negative integer'],
+      ['selectors on a regular feed', { selectors: { item: '.post' } }, 'selectors can only be set on scraped feeds'],
+      ['a folder that does not exist', { folder_id: 99 }, 'Folder not found'],
+      ['malformed credentials', { credentials: 'secret' }, 'Invalid credentials'],
+      ['a malformed URL', { url: 'not a url' }, 'Invalid URL format'],
+      ['no editable field', { title: 'Renamed' }, 'No editable fields provided']
+    ])('should reject %s', async (_, body, message) => {
+      const { status, body: result } = await patchFeed(1, body);
+
+      expect(status).toBe(400);
+      expect(result.error).toContain(message);
+      expect((await db.get('SELECT custom_title, url FROM feeds WHERE id = 1'))).toEqual({ custom_title: null, url: 'https://blog.example/feed' });
+    });
+
+    test('should not find trashed or missing feeds', async () => {
+      expect((await patchFeed(3, { custom_title: 'Back' })).status).toBe(404);
+      expect((await patchFeed(42, { custom_title: 'Nope' })).status).toBe(404);
+    });
+
+    test('should refuse to move a newsletter feed', async () => {
+      const { status, body } = await patchFeed(2, { url: 'https://digest.example/feed' });
+
+      expect(status).toBe(400);
+      expect(body.error).toBe('The address of a newsletter feed cannot be changed');
+    });
+
+    test('should refuse a URL used by another feed', async () => {
+      const { status } = await patchFeed(1, { url: 'https://old.example/feed' });
+
+      expect(status).toBe(409);
+      expect(fetchFeed).not.toHaveBeenCalled();
+    });
+
+    test('should refuse a URL that cannot be read as a feed', async () => {
+      fetchFeed.mockRejectedValue(new Error('Request failed with status code 404'));
+
+      const { status, body } = await patchFeed(1, { url: 'https://blog.example/rss' });
+
+      expect(status).toBe(400);
+      expect(body.details).toEqual({ error: 'Request failed with status code 404' });
+    });
+  });
+
+  describe('PATCH /:id accepted inputs', () => {
+    test('should trim the custom title and clear it when blank', async () => {
+      let result = await patchFeed(1, { custom_title: '  My Blog  ' });
+
+      expect(result.status).toBe(200);
+      expect(result.body.data).toMatchObject({ custom_title: 'My Blog', display_title: 'My Blog' });
+
+      result = await patchFeed(1, { custom_title: '   ' });
+      expect(result.body.data).toMatchObject({ custom_title: null, display_title: 'Blog' });
+    });
+
+    test('should save the polling, backfill, retention and folder settings', async () => {
+      await db.run("INSERT INTO folders (id, name) VALUES (5, 'Tech')");
+
+      const { status, body } = await patchFeed(1, {
+        poll_interval: 30, backfill_depth: 'all', max_articles: 0, folder_id: 5, fetch_full_text: true, content_type_override: 'paper'
+      });
+
+      expect(status).toBe(200);
+      expect(body.data).toMatchObject({ poll_interval: 30, backfill_depth: 0, max_articles: 0, folder_id: 5, fetch_full_text: 1, content_type_override: 'paper' });
+      expect((await db.get('SELECT next_poll_at FROM feeds WHERE id = 1')).next_poll_at).toBeTruthy();
+    });
+
+    test('should resume an auto-paused feed and reset its failures', async () => {
+      const { body } = await patchFeed(1, { is_paused: false });
+
+      expect(body.data).toMatchObject({ is_paused: 0, paused_reason: null, consecutive_failures: 0 });
+    });
+
+    test('should store credentials encrypted and never return them', async () => {
+      const { status, body } = await patchFeed(1, { credentials: { token: 'secret-token' } });
+
+      expect(status).toBe(200);
+      expect(JSON.stringify(body)).not.toContain('secret-token');
+      expect((await db.get('SELECT credentials FROM feeds WHERE id = 1')).credentials).toMatch(/^v1:/);
+    });
+
+    test('should move the feed to a readable URL and reset the fetch state', async () => {
+      fetchFeed.mockResolvedValue({ notModified: false, feed: { items: [] } });
+
+      const { status, body } = await patchFeed(1, { url: 'https://blog.example/rss' });
+
+      expect(status).toBe(200);
+      expect(fetchFeed.mock.calls[0][0]).toMatchObject({ url: 'https://blog.example/rss', feed_type: 'rss' });
+      expect(body.data).toMatchObject({ url: 'https://blog.example/rss', etag: null, content_hash: null, consecutive_failures: 0 });
+    });
+  });
+});
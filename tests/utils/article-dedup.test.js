@@ -0,0 +1,218 @@
+/**
+ * Unit tests for article-dedup utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+const axios = require('axios');
+const db = require('../../backend/models/database');
+const {
+  normalizeUrl,
+  normalizeTitle,
+  titleSimilarity,
+  isArticleUrl,
+  isUsableCanonical,
+  resolveCanonicalUrl,
+  resolveCanonicalUrls,
+  findDuplicateArticle
+} = require('../../backend/utils/article-dedup');
+
+function htmlPage(responseUrl, head = '') {
+  return {
+    headers: { 'content-type': 'text/html; charset=utf-8' },
+    data: `<html><head>${head}</head><body></body></html>`,
+    request: { res: { responseUrl } }
+  };
+}
+
+describe('Article Dedup Utility', () => {
+  describe('normalizeUrl', () => {
+    test('should strip tracking parameters, fragments and www', () => {
+      expect(normalizeUrl('http://www.News.example/a/b/?utm_source=rss&utm_medium=feed&id=3&fbclid=x#top'))
+        .toBe('https://news.example/a/b?id=3');
+    });
+
+    test('should sort the remaining query parameters', () => {
+      expect(normalizeUrl('https://news.example/search?q=ai&page=2')).toBe(normalizeUrl('https://news.example/search?page=2&q=ai'));
+    });
+
+    test('should return null for non-web URLs', () => {
+      expect(normalizeUrl('mailto:editor@news.example')).toBeNull();
+      expect(normalizeUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('normalizeTitle', () => {
+    test('should drop a trailing site name and punctuation', () => {
+      expect(normalizeTitle('OpenAI announces new model | TechNews')).toBe('openai announces new model');
+      expect(normalizeTitle('ＡＩ規制法案が参院本会議で成立へ - 日本経済ニュース')).toBe('ai規制法案が参院本会議で成立へ');
+    });
+
+    test('should keep hyphens inside short titles', () => {
+      expect(normalizeTitle('Wi-Fi 7 - Review')).toBe('wi fi 7 review');
+    });
+  });
+
+  describe('titleSimilarity', () => {
+    test('should score reworded copies of the same headline highly', () => {
+      expect(titleSimilarity('Apple unveils the new iPhone 17 lineup', 'Apple unveils new iPhone 17 lineup - The Verge'))
+        .toBeGreaterThanOrEqual(0.85);
+      expect(titleSimilarity('政府、生成AIの新たな指針を発表', '政府が生成AIの新たな指針を発表')).toBeGreaterThanOrEqual(0.85);
+    });
+
+    test('should score different stories low', () => {
+      expect(titleSimilarity('Apple unveils the new iPhone 17 lineup', 'Google releases Android 16 beta')).toBeLessThan(0.5);
+      expect(titleSimilarity('', 'Anything')).toBe(0);
+    });
+  });
+
+  describe('isArticleUrl', () => {
+    test('should reject top pages and login or consent screens', () => {
+      expect(isArticleUrl('https://news.example/story/?from=rss')).toBe(true);
+      expect(isArticleUrl('https://news.example/')).toBe(false);
+      expect(isArticleUrl('https://news.example/index.html')).toBe(false);
+      expect(isArticleUrl('https://news.example/login?next=/story')).toBe(false);
+      expect(isArticleUrl('https://consent.portal.example/save?continue=/story')).toBe(false);
+      expect(isArticleUrl('https://accounts.portal.example/signin.php')).toBe(false);
+      expect(isArticleUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('isUsableCanonical', () => {
+    test('should accept other hosts and paths of the same site only', () => {
+      expect(isUsableCanonical('https://news.example.co.jp/articles/1', 'https://amp.news.example.co.jp/amp/1')).toBe(true);
+      expect(isUsableCanonical('https://example.com/2025/01/story', 'https://m.example.com/story')).toBe(true);
+      expect(isUsableCanonical('https://other.co.jp/articles/1', 'https://news.example.co.jp/articles/1')).toBe(false);
+      expect(isUsableCanonical('https://example.com/', 'https://example.com/story')).toBe(false);
+    });
+  });
+
+  describe('resolveCanonicalUrl', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+    });
+
+    test('should use rel=canonical of the same page', async () => {
+      axios.get.mockResolvedValue(htmlPage('https://news.example/story?session=1',
+        '<link rel="canonical" href="https://news.example/story?id=1">'));
+
+      await expect(resolveCanonicalUrl('https://news.example/story?session=1', { resolve: true }))
+        .resolves.toBe('https://news.example/story?id=1');
+    });
+
+    test('should use a canonical on a different path of the same site', async () => {
+      axios.get.mockResolvedValue(htmlPage('https://m.blog.example/amp/posts/1',
+        '<link rel="canonical" href="https://www.blog.example/2025/01/posts-1/">'));
+
+      await expect(resolveCanonicalUrl('https://m.blog.example/amp/posts/1', { resolve: true }))
+        .resolves.toBe('https://blog.example/2025/01/posts-1');
+    });
+
+    test('should follow redirects from proxy and shortener links', async () => {
+      axios.get.mockResolvedValue(htmlPage('https://blog.example/posts/1?utm_source=feedburner'));
+
+      await expect(resolveCanonicalUrl('https://feeds.feedburner.example/~r/blog/~3/abc', { resolve: true }))
+        .resolves.toBe('https://blog.example/posts/1');
+    });
+
+    test('should ignore login redirects, top page canonicals and canonicals of other sites', async () => {
+      // ログイン画面へのリダイレクト
+      axios.get.mockResolvedValueOnce(htmlPage('https://auth.news.example/login', '<link rel="canonical" href="/login">'));
+      // サイトのトップを指す og:url
+      axios.get.mockResolvedValueOnce(htmlPage('https://blog.example/posts/1', '<meta property="og:url" content="https://blog.example/">'));
+      // 転載元の別サイトを指す canonical
+      axios.get.mockResolvedValueOnce(htmlPage('https://mirror.example/posts/1', '<link rel="canonical" href="https://origin.example/posts/1">'));
+
+      await expect(resolveCanonicalUrl('https://news.example/story', { resolve: true })).resolves.toBe('https://news.example/story');
+      await expect(resolveCanonicalUrl('https://blog.example/posts/1?utm_source=rss', { resolve: true }))
+        .resolves.toBe('https://blog.example/posts/1');
+      await expect(resolveCanonicalUrl('https://mirror.example/posts/1', { resolve: true }))
+        .resolves.toBe('https://mirror.example/posts/1');
+    });
+
+    test('should fall back to the link when the page cannot be fetched', async () => {
+      axios.get.mockRejectedValue(new Error('timeout of 5000ms exceeded'));
+
+      await expect(resolveCanonicalUrl('https://news.example/story', { resolve: true })).resolves.toBe('https://news.example/story');
+    });
+  });
+
+  describe('resolveCanonicalUrls', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+    });
+
+    test('should fetch a few pages at a time', async () => {
+      let active = 0;
+      let maxActive = 0;
+      axios.get.mockImplementation(async url => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return htmlPage(url);
+      });
+      const links = Array.from({ length: 10 }, (_, i) => `https://news.example/story-${i}`);
+
+      const resolved = await resolveCanonicalUrls([...links, links[0]], { resolve: true });
+
+      expect(resolved.size).toBe(10);
+      expect(resolved.get(links[3])).toBe('https://news.example/story-3');
+      expect(axios.get).toHaveBeenCalledTimes(10);
+      expect(maxActive).toBeGreaterThan(1);
+      expect(maxActive).toBeLessThanOrEqual(4);
+    });
+  });
+
+  describe('findDuplicateArticle', () => {
+    const item = {
+      guid: 'x',
+      title: 'Apple unveils new iPhone 17 lineup',
+      link: 'https://feeds.example/x',
+      pubDate: '2025-09-10T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+      db.get.mockReset();
+      db.query.mockReset();
+    });
+
+    test('should match on the canonical URL first', async () => {
+      db.get.mockResolvedValue({ id: 5 });
+
+      await expect(findDuplicateArticle(item, { feedId: 1, canonicalUrl: 'https://apple.example/x' }))
+        .resolves.toEqual({ id: 5, matchType: 'canonical' });
+      expect(db.query).not.toHaveBeenCalled();
+      // 同じFeedの記事とは統合しない
+      expect(db.get.mock.calls[0][0]).toContain('AND feed_id != ?');
+      expect(db.get.mock.calls[0][1]).toEqual(['https://apple.example/x', 'https://feeds.example/x', 1]);
+    });
+
+    test('should match similar titles from other feeds within the time window', async () => {
+      db.get.mockResolvedValue(undefined);
+      db.query.mockResolvedValue([
+        { id: 8, title: 'Google releases Android 16 beta' },
+        { id: 9, title: 'Apple unveils the new iPhone 17 lineup' }
+      ]);
+
+      await expect(findDuplicateArticle(item, { feedId: 1, canonicalUrl: 'https://feeds.example/x' }))
+        .resolves.toEqual({ id: 9, matchType: 'title' });
+      expect(db.query.mock.calls[0][1]).toEqual([1, '2025-09-08T00:00:00.000Z', '2025-09-12T00:00:00.000Z']);
+    });
+
+    test('should not compare short titles', async () => {
+      db.get.mockResolvedValue(undefined);
+
+      await expect(findDuplicateArticle({ ...item, title: 'お知らせ' }, { feedId: 1, canonicalUrl: null })).resolves.toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for article-extractor utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+const { extractArticle } = require('../../backend/utils/article-extractor');
+
+describe('Article Extractor Utility', () => {
+  const paragraph = 'これは記事の本文です。段落には十分な長さの文章が含まれており、読点や句点も複数あります。';
+
+  const page = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Site | Story title</title>
+  <meta property="og:title" content="Story title">
+  <script>trackPageView();</script>
+</head>
+<body>
+  <header><nav><a href="/">Home</a><a href="/about">About</a></nav></header>
+  <div class="layout">
+    <div class="sidebar"><p>Popular posts, tags, archives, and other links that are not the story.</p></div>
+    <div class="entry-content" id="story">
+      <p>${paragraph}</p>
+      <p>${paragraph}<a href="/related" onclick="steal()">関連リンク</a></p>
+      <p>${paragraph}</p>
+      <img src="/images/photo.jpg" alt="Photo" style="width: 10px">
+      <a href="javascript:alert(1)">bad link</a>
+      <div class="share-buttons"><p>Share this on social media, twitter, facebook, and more.</p></div>
+    </div>
+  </div>
+  <footer><p>Copyright, all rights reserved, example company, 2025.</p></footer>
+</body>
+</html>`;
+
+  describe('extractArticle', () => {
+    test('should pick the paragraph container and drop page chrome', () => {
+      const result = extractArticle(page, 'https://blog.example/posts/1');
+
+      expect(result.title).toBe('Story title');
+      expect(result.text.split('\n\n')).toHaveLength(3);
+      expect(result.text).toContain('関連リンク');
+      expect(result.text).not.toMatch(/Popular posts|Share this|Copyright|Home/);
+      expect(result.length).toBe(result.text.length);
+      expect(result.excerpt).toBe(result.text.substring(0, 200));
+    });
+
+    test('should keep only safe tags and attributes with absolute URLs', () => {
+      const { html } = extractArticle(page, 'https://blog.example/posts/1');
+
+      expect(html).toContain('<a href="https://blog.example/related">');
+      expect(html).toContain('<img src="https://blog.example/images/photo.jpg" alt="Photo">');
+      expect(html).not.toMatch(/onclick|style=|class=|id=|javascript:|<script/);
+    });
+
+    test('should prefer article markup when it holds enough text', () => {
+      const html = `<html><body>
+        <div class="post"><p>${paragraph}</p><p>${paragraph}</p><p>${paragraph}</p></div>
+        <article><h1>Heading</h1><p>${paragraph.repeat(4)}</p><p>${paragraph.repeat(2)}</p></article>
+      </body></html>`;
+
+      const result = extractArticle(html, 'https://blog.example/');
+
+      expect(result.text.startsWith('Heading\n\n')).toBe(true);
+      expect(result.text.split('\n\n')).toHaveLength(3);
+    });
+
+    test('should return empty content for pages without text', () => {
+      const result = extractArticle('<html><body><nav><a href="/">Home</a></nav></body></html>', 'https://blog.example/');
+
+      expect(result.length).toBe(0);
+    });
+  });
+});
@@ -2,15 +2,139 @@
  * Unit tests for content-type utility module
  */
 
-const { 
-  detectContentType, 
-  getContentTypeLabel, 
-  supportsSummarization, 
-  getContentTypeIcon 
+jest.mock('../../backend/models/database', () => ({}));
+
+const fs = require('fs');
+const path = require('path');
+const { parseFeedBody } = require('../../backend/utils/feed-fetcher');
+const {
+  detectContentType,
+  detectItemContentType,
+  getFeedContentTypeHint,
+  resolveContentType,
+  getContentTypeLabel,
+  supportsSummarization,
+  getContentTypeIcon
 } = require('../../backend/utils/content-type');
 
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'content-type');
+
+// 取得時と同じ解析処理を通したフィードの各項目と期待するコンテンツタイプ
+const FEED_FIXTURES = [
+  {
+    file: 'podcast-show-links.xml',
+    hint: 'podcast',
+    expected: {
+      'show-ep-2': 'podcast',     // リンクは番組サイト、音声は enclosure
+      'show-ep-1': 'podcast',     // MIME type のない enclosure は拡張子で判定
+      'show-trailer': 'podcast',  // 手がかりのない回は Feed の itunes:* に従う
+      'show-video': 'podcast'     // Podcast Feed の動画エピソード
+    }
+  },
+  {
+    file: 'blog-podcast-urls.xml',
+    hint: null,
+    expected: {
+      'https://blog.example/?p=101': 'article', // URL に "podcast" を含むだけのブログ記事
+      'https://blog.example/?p=102': 'article',
+      'https://blog.example/?p=103': 'article'
+    }
+  },
+  {
+    file: 'youtube-channel.xml',
+    hint: 'youtube',
+    expected: {
+      'yt:video:dQw4w9WgXcQ': 'youtube'
+    }
+  },
+  {
+    file: 'media-rss.xml',
+    hint: null,
+    expected: {
+      'radio-morning-2024-01-02': 'podcast', // media:content medium="audio"
+      'radio-clip': 'article',               // 動画は埋め込みのみで、リンクは記事ページ
+      'radio-studio': 'article'
+    }
+  },
+  {
+    file: 'papers.xml',
+    hint: null,
+    expected: {
+      'oai:arXiv.org:2401.01234v1': 'paper',
+      'lab-report-42': 'paper',              // application/pdf の enclosure
+      'lab-cfp': 'article'
+    }
+  },
+  {
+    file: 'producthunt.xml',
+    hint: null,
+    expected: {
+      'tag:www.producthunt.com,2005:Post/123': 'producthunt'
+    }
+  },
+  {
+    file: 'json-feed-audio.json',
+    hint: null,
+    expected: {
+      'micro-ep-3': 'podcast',               // JSON Feed の音声 attachment
+      'micro-note': 'article'
+    }
+  }
+];
+
+async function loadFixture(file) {
+  const body = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+  return parseFeedBody(body, file.endsWith('.json') ? 'application/feed+json' : 'application/rss+xml');
+}
+
 describe('Content Type Utility', () => {
-  
+
+  describe('detectItemContentType (feed fixtures)', () => {
+    test.each(FEED_FIXTURES)('should detect the items of $file', async ({ file, hint, expected }) => {
+      const channel = await loadFixture(file);
+      const detected = Object.fromEntries(channel.items.map(item => [
+        item.guid || item.id,
+        detectItemContentType(item, channel)
+      ]));
+
+      expect(detected).toEqual(expected);
+      expect(getFeedContentTypeHint(channel)).toBe(hint);
+    });
+
+    test('should fall back to the URL without feed metadata', () => {
+      expect(detectItemContentType({ link: 'https://arxiv.org/abs/2401.01234' })).toBe('paper');
+      expect(detectItemContentType({ link: 'https://example.com/post' })).toBe('article');
+      expect(detectItemContentType(null)).toBe('article');
+    });
+
+    test('should use itunes episode tags without an enclosure', () => {
+      expect(detectItemContentType({ link: 'https://show.example/5', itunes: { episode: '5' } })).toBe('podcast');
+    });
+
+    test('should not treat video enclosures outside podcast feeds as podcasts', () => {
+      const item = { link: 'https://blog.example/video', enclosure: { url: 'https://cdn.example/v.mp4', type: 'video/mp4' } };
+      expect(detectItemContentType(item, { title: 'Blog' })).toBe('article');
+    });
+  });
+
+  describe('resolveContentType', () => {
+    const article = { link: 'https://show.example/episodes/2', detected_content_type: 'podcast' };
+
+    test('should use the type detected at ingestion', () => {
+      expect(resolveContentType(article, {})).toBe('podcast');
+    });
+
+    test('should prefer the article override over the feed override', () => {
+      expect(resolveContentType(article, { content_type_override: 'article' })).toBe('article');
+      expect(resolveContentType({ ...article, content_type_override: 'youtube' }, { content_type_override: 'article' })).toBe('youtube');
+    });
+
+    test('should ignore unknown overrides and re-detect old articles from the URL', () => {
+      expect(resolveContentType({ ...article, content_type_override: 'bogus' }, {})).toBe('podcast');
+      expect(resolveContentType({ link: 'https://youtu.be/dQw4w9WgXcQ' }, {})).toBe('youtube');
+    });
+  });
+
   describe('detectContentType', () => {
     test('should return "article" for null/undefined URLs', () => {
       expect(detectContentType(null)).toBe('article');
@@ -25,7 +149,7 @@ describe('Content Type Utility', () => {
         'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
         'https://youtube.com/shorts/abc123'
       ];
-      
+
       youtubeUrls.forEach(url => {
         expect(detectContentType(url)).toBe('youtube');
       });
@@ -35,12 +159,13 @@ describe('Content Type Utility', () => {
       const podcastUrls = [
         'https://anchor.fm/s/f1a556bc/podcast/rss',
         'https://open.spotify.com/show/123',
+        'https://open.spotify.com/episode/456',
         'https://podcasts.apple.com/us/podcast/123',
         'https://soundcloud.com/user/podcast-episode',
         'https://overcast.fm/+abc123',
-        'https://example.com/podcast/episode1'
+        'https://cdn.example.com/episodes/ep1.mp3'
       ];
-      
+
       podcastUrls.forEach(url => {
         expect(detectContentType(url)).toBe('podcast');
       });
@@ -52,20 +177,40 @@ describe('Content Type Utility', () => {
         'https://www.producthunt.com/upcoming/app',
         'https://example.com/about-Product Hunt'
       ];
-      
+
       productHuntUrls.forEach(url => {
         expect(detectContentType(url)).toBe('producthunt');
       });
     });
 
+    test('should detect paper URLs correctly', () => {
+      const paperUrls = [
+        'https://arxiv.org/abs/2401.01234',
+        'http://arxiv.org/pdf/2401.01234v2',
+        'https://openreview.net/forum?id=AbC123',
+        'https://openreview.net/pdf?id=AbC123',
+        'https://example.edu/papers/main.pdf',
+        'https://example.edu/download/paper.PDF?version=2'
+      ];
+
+      paperUrls.forEach(url => {
+        expect(detectContentType(url)).toBe('paper');
+      });
+    });
+
     test('should default to "article" for other URLs', () => {
       const articleUrls = [
         'https://techcrunch.com/article/news',
         'https://news.ycombinator.com/item?id=123',
         'https://example.com/blog/post',
-        'https://medium.com/@user/article'
+        'https://medium.com/@user/article',
+        'https://arxiv.org/list/cs.CL/recent',
+        'https://example.com/pdf-tools/review',
+        // URL に "podcast" を含むだけのページは Podcast ではない
+        'https://example.com/podcast/episode1',
+        'https://open.spotify.com/track/789'
       ];
-      
+
       articleUrls.forEach(url => {
         expect(detectContentType(url)).toBe('article');
       });
@@ -77,6 +222,7 @@ describe('Content Type Utility', () => {
       expect(getContentTypeLabel('youtube')).toBe('YouTube動画');
       expect(getContentTypeLabel('podcast')).toBe('Podcast');
       expect(getContentTypeLabel('producthunt')).toBe('Product Hunt');
+      expect(getContentTypeLabel('paper')).toBe('論文');
       expect(getContentTypeLabel('article')).toBe('Web記事');
     });
 
@@ -91,6 +237,7 @@ describe('Content Type Utility', () => {
     test('should return true for supported content types', () => {
       expect(supportsSummarization('youtube')).toBe(true);
       expect(supportsSummarization('podcast')).toBe(true);
+      expect(supportsSummarization('paper')).toBe(true);
       expect(supportsSummarization('article')).toBe(true);
     });
 
@@ -105,6 +252,7 @@ describe('Content Type Utility', () => {
       expect(getContentTypeIcon('youtube')).toBe('📺');
       expect(getContentTypeIcon('podcast')).toBe('🎧');
       expect(getContentTypeIcon('producthunt')).toBe('🚀');
+      expect(getContentTypeIcon('paper')).toBe('📑');
       expect(getContentTypeIcon('article')).toBe('📄');
     });
 
@@ -114,4 +262,4 @@ describe('Content Type Utility', () => {
       expect(getContentTypeIcon(null)).toBe('📄');
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for database-helpers utility module (transaction, parseTimestamp)
+ */
+
+delete process.env.DATABASE_URL;
+process.env.DATABASE_TYPE = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+// 初期化ログを抑止
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const db = require('../../backend/models/database');
+const { transaction, parseTimestamp } = require('../../backend/utils/database-helpers');
+
+function createPostgresAdapter(client) {
+  const adapter = Object.create(Object.getPrototypeOf(db));
+  adapter.dbType = 'postgresql';
+  adapter.db = { connect: jest.fn().mockResolvedValue(client) };
+  return adapter;
+}
+
+describe('Database Helpers Utility', () => {
+  beforeAll(async () => {
+    await db.run('CREATE TABLE tx_items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE)');
+  });
+
+  beforeEach(async () => {
+    await db.run('DELETE FROM tx_items');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('transaction (SQLite)', () => {
+    test('should commit every statement', async () => {
+      const results = await transaction([
+        { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] },
+        { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['b'] },
+        { sql: 'UPDATE tx_items SET name = ? WHERE name = ?', params: ['c', 'b'] }
+      ]);
+
+      expect(results.map(result => result.changes)).toEqual([1, 1, 1]);
+      expect(await db.query('SELECT name FROM tx_items ORDER BY id')).toEqual([{ name: 'a' }, { name: 'c' }]);
+    });
+
+    test('should roll everything back when a statement fails', async () => {
+      await expect(transaction([
+        { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] },
+        { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] },
+        { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['b'] }
+      ])).rejects.toThrow('UNIQUE constraint failed');
+
+      expect(await db.query('SELECT name FROM tx_items')).toEqual([]);
+      // 失敗後も次のトランザクションを開始できる
+      await transaction([{ sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] }]);
+      expect(await db.query('SELECT name FROM tx_items')).toEqual([{ name: 'a' }]);
+    });
+
+    test('should not interleave concurrent transactions', async () => {
+      const results = await Promise.allSettled([
+        transaction([
+          { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] },
+          { sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['a'] }
+        ]),
+        transaction([{ sql: 'INSERT INTO tx_items (name) VALUES (?)', params: ['b'] }])
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+      expect(await db.query('SELECT name FROM tx_items')).toEqual([{ name: 'b' }]);
+    });
+  });
+
+  describe('transaction (PostgreSQL)', () => {
+    test('should run every statement on one client and release it', async () => {
+      const client = {
+        query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }),
+        release: jest.fn()
+      };
+      const adapter = createPostgresAdapter(client);
+
+      await adapter.transaction([
+        { sql: 'DELETE FROM articles WHERE feed_id = $1', params: [1] },
+        { sql: 'DELETE FROM feeds WHERE id = $1', params: [1] }
+      ]);
+
+      expect(adapter.db.connect).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls.map(call => call[0])).toEqual([
+        'BEGIN', 'DELETE FROM articles WHERE feed_id = $1', 'DELETE FROM feeds WHERE id = $1', 'COMMIT'
+      ]);
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    test('should roll back on the same client when a statement fails', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+          .mockRejectedValueOnce(new Error('deadlock detected'))
+          .mockResolvedValue({ rows: [], rowCount: 0 }),
+        release: jest.fn()
+      };
+      const adapter = createPostgresAdapter(client);
+
+      await expect(adapter.transaction([
+        { sql: 'DELETE FROM articles WHERE feed_id = $1', params: [1] },
+        { sql: 'DELETE FROM feeds WHERE id = $1', params: [1] }
+      ])).rejects.toThrow('deadlock detected');
+
+      expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'DELETE FROM articles WHERE feed_id = $1', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('parseTimestamp', () => {
+    test('should read SQLite timestamps as UTC', () => {
+      expect(parseTimestamp('2025-06-01 09:30:00').toISOString()).toBe('2025-06-01T09:30:00.000Z');
+      expect(parseTimestamp('2025-06-01T09:30:00.000Z').toISOString()).toBe('2025-06-01T09:30:00.000Z');
+    });
+
+    test('should return null for missing or invalid values', () => {
+      expect(parseTimestamp(null)).toBeNull();
+      expect(parseTimestamp('someday')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for feed-analytics utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const {
+  computeWindowStats,
+  getUnsubscribeReasons,
+  buildFeedAnalytics,
+  getFeedAnalytics
+} = require('../../backend/utils/feed-analytics');
+
+const now = new Date('2025-06-30T00:00:00Z');
+
+function daysAgo(days) {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+describe('Feed Analytics Utility', () => {
+  describe('computeWindowStats', () => {
+    test('should count articles published in the period', () => {
+      const articles = [
+        { published: daysAgo(1), read: true, read_at: new Date(daysAgo(1).getTime() + 2 * 60 * 60 * 1000), summarized: true },
+        { published: daysAgo(10), read: true, read_at: new Date(daysAgo(10).getTime() + 4 * 60 * 60 * 1000), summarized: false },
+        { published: daysAgo(20), read: true, read_at: null, summarized: false },
+        { published: daysAgo(25), read: false, read_at: null, summarized: false },
+        { published: daysAgo(60), read: false, read_at: null, summarized: true }
+      ];
+
+      expect(computeWindowStats(articles, 30, now)).toEqual({
+        articles: 4,
+        articles_per_week: 0.9,
+        read: 3,
+        read_share: 0.75,
+        summarized: 1,
+        summarized_share: 0.25,
+        avg_hours_to_read: 3
+      });
+      expect(computeWindowStats(articles, 90, now).articles).toBe(5);
+    });
+
+    test('should return empty shares for periods without articles', () => {
+      expect(computeWindowStats([], 30, now)).toEqual({
+        articles: 0,
+        articles_per_week: 0,
+        read: 0,
+        read_share: null,
+        summarized: 0,
+        summarized_share: null,
+        avg_hours_to_read: null
+      });
+    });
+  });
+
+  describe('getUnsubscribeReasons', () => {
+    const windows = { 30: { articles: 3, read: 0 }, 90: { articles: 12, read: 0 } };
+
+    test('should flag feeds that are never read', () => {
+      expect(getUnsubscribeReasons({ subscribed_at: daysAgo(200).toISOString(), last_article_at: daysAgo(2).toISOString(), windows }, now))
+        .toEqual(['never_read']);
+    });
+
+    test('should flag feeds that have gone silent', () => {
+      const quiet = { 30: { articles: 0, read: 0 }, 90: { articles: 0, read: 0 } };
+      expect(getUnsubscribeReasons({ subscribed_at: daysAgo(400).toISOString(), last_article_at: daysAgo(120).toISOString(), windows: quiet }, now))
+        .toEqual(['silent']);
+      expect(getUnsubscribeReasons({ subscribed_at: daysAgo(400).toISOString(), last_article_at: null, windows: quiet }, now))
+        .toEqual(['silent']);
+    });
+
+    test('should leave recently subscribed and read feeds alone', () => {
+      expect(getUnsubscribeReasons({ subscribed_at: daysAgo(5).toISOString(), last_article_at: null, windows }, now)).toEqual([]);
+      expect(getUnsubscribeReasons({
+        subscribed_at: daysAgo(200).toISOString(),
+        last_article_at: daysAgo(1).toISOString(),
+        windows: { 30: { articles: 3, read: 1 }, 90: { articles: 12, read: 1 } }
+      }, now)).toEqual([]);
+    });
+  });
+
+  describe('buildFeedAnalytics', () => {
+    test('should combine the articles and the last activity of each feed', () => {
+      const feeds = [
+        { id: 1, title: 'Blog', url: 'https://blog.example/feed', feed_type: null, created_at: '2024-01-01 00:00:00' },
+        { id: 2, title: 'Quiet', url: 'https://quiet.example/feed', feed_type: 'rss', created_at: '2024-01-01 00:00:00' }
+      ];
+      const articles = [
+        { feed_id: 1, pub_date: daysAgo(3).toISOString(), created_at: '2025-06-27 00:00:00', read_status: 1, read_at: '2025-06-27 06:00:00', summarized: 0 },
+        { feed_id: 1, pub_date: null, created_at: '2025-06-20 00:00:00', read_status: 0, read_at: null, summarized: 1 },
+        { feed_id: 9, pub_date: daysAgo(1).toISOString(), created_at: '2025-06-29 00:00:00', read_status: 0, read_at: null, summarized: 0 }
+      ];
+      const activity = [
+        { feed_id: 1, last_published: daysAgo(3).toISOString(), last_created: '2025-06-27 00:00:00', last_read: '2025-06-29 12:00:00' }
+      ];
+
+      const [blog, quiet] = buildFeedAnalytics(feeds, articles, activity, now);
+
+      expect(blog).toMatchObject({
+        id: 1,
+        feed_type: 'rss',
+        subscribed_at: '2024-01-01T00:00:00.000Z',
+        last_article_at: '2025-06-27T00:00:00.000Z',
+        last_read_at: '2025-06-29T12:00:00.000Z',
+        last_activity_at: '2025-06-29T12:00:00.000Z',
+        unsubscribe_reasons: []
+      });
+      expect(blog.windows[30]).toMatchObject({ articles: 2, read: 1, summarized: 1, avg_hours_to_read: 6 });
+      expect(quiet).toMatchObject({ last_activity_at: null, unsubscribe_reasons: ['silent'] });
+      expect(quiet.windows[90].articles).toBe(0);
+    });
+  });
+
+  describe('getFeedAnalytics', () => {
+    beforeEach(() => {
+      db.query.mockReset();
+    });
+
+    test('should only load articles registered in the longest period', async () => {
+      db.query
+        .mockResolvedValueOnce([{ id: 1, title: 'Blog', url: 'https://blog.example/feed', created_at: '2025-06-01 00:00:00' }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      const result = await getFeedAnalytics(now);
+
+      expect(db.query.mock.calls[1][1]).toEqual(['2025-04-01 00:00:00']);
+      expect(result).toMatchObject({
+        generated_at: '2025-06-30T00:00:00.000Z',
+        windows: [30, 90],
+        summary: { total_feeds: 1, unsubscribe_candidates: 0 }
+      });
+    });
+  });
+});
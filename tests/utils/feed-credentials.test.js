@@ -0,0 +1,111 @@
+/**
+ * Unit tests for feed-credentials utility module
+ */
+
+const {
+  normalizeCredentials,
+  encryptCredentials,
+  decryptCredentials,
+  buildAuthHeaders,
+  getFeedAuthHeaders,
+  maskCredentials,
+  isSameSite
+} = require('../../backend/utils/feed-credentials');
+
+describe('Feed Credentials Utility', () => {
+  const originalKey = process.env.FEED_CREDENTIALS_KEY;
+
+  beforeEach(() => {
+    process.env.FEED_CREDENTIALS_KEY = 'test-secret';
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.FEED_CREDENTIALS_KEY;
+    } else {
+      process.env.FEED_CREDENTIALS_KEY = originalKey;
+    }
+  });
+
+  describe('normalizeCredentials', () => {
+    test('should keep only the fields in use', () => {
+      expect(normalizeCredentials({ username: 'reader', password: 'pw', token: '', cookie: null, headers: { 'X-Api-Key': 'k', 'X-Empty': '' } }))
+        .toEqual({ username: 'reader', password: 'pw', headers: { 'X-Api-Key': 'k' } });
+      expect(normalizeCredentials({})).toBeNull();
+      expect(normalizeCredentials(null)).toBeNull();
+    });
+
+    test('should reject conflicting or unsafe input', () => {
+      expect(() => normalizeCredentials({ username: 'a', token: 't' })).toThrow('either basic authentication or a bearer token');
+      expect(() => normalizeCredentials({ password: 'pw' })).toThrow('username is required');
+      expect(() => normalizeCredentials({ cookie: 'a=1\r\nX-Injected: 1' })).toThrow('line breaks');
+      expect(() => normalizeCredentials({ headers: { 'If-None-Match': 'x' } })).toThrow('cannot be overridden');
+      expect(() => normalizeCredentials({ headers: { 'Bad Header': 'x' } })).toThrow('Invalid header name');
+    });
+  });
+
+  describe('encryption', () => {
+    test('should round-trip without storing plaintext', () => {
+      const credentials = { token: 'secret-token' };
+      const stored = encryptCredentials(credentials);
+
+      expect(stored).toMatch(/^v1:/);
+      expect(stored).not.toContain('secret-token');
+      expect(decryptCredentials(stored)).toEqual(credentials);
+      expect(encryptCredentials(credentials)).not.toBe(stored);
+    });
+
+    test('should fail with a different key or without a key', () => {
+      const stored = encryptCredentials({ token: 't' });
+
+      process.env.FEED_CREDENTIALS_KEY = 'other-secret';
+      expect(() => decryptCredentials(stored)).toThrow();
+
+      delete process.env.FEED_CREDENTIALS_KEY;
+      expect(() => encryptCredentials({ token: 't' })).toThrow('FEED_CREDENTIALS_KEY is not configured');
+    });
+  });
+
+  describe('buildAuthHeaders', () => {
+    test('should build basic, bearer, cookie and custom headers', () => {
+      expect(buildAuthHeaders({ username: 'reader', password: 'pw', cookie: 'sid=1', headers: { 'X-Api-Key': 'k' } })).toEqual({
+        'X-Api-Key': 'k',
+        'Authorization': `Basic ${Buffer.from('reader:pw').toString('base64')}`,
+        'Cookie': 'sid=1'
+      });
+      expect(buildAuthHeaders({ token: 'abc' })).toEqual({ 'Authorization': 'Bearer abc' });
+      expect(buildAuthHeaders(null)).toEqual({});
+    });
+
+    test('should ignore credentials that cannot be decrypted', () => {
+      const stored = encryptCredentials({ token: 'abc' });
+      expect(getFeedAuthHeaders({ id: 1, credentials: stored })).toEqual({ 'Authorization': 'Bearer abc' });
+
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.FEED_CREDENTIALS_KEY = 'rotated';
+      expect(getFeedAuthHeaders({ id: 1, credentials: stored })).toEqual({});
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('maskCredentials', () => {
+    test('should reveal only the username and header names', () => {
+      const stored = encryptCredentials({ username: 'reader', password: 'pw', headers: { 'X-Api-Key': 'k' } });
+      const masked = maskCredentials(stored);
+
+      expect(masked.username).toBe('reader');
+      expect(masked.password).not.toBe('pw');
+      expect(Object.keys(masked.headers)).toEqual(['X-Api-Key']);
+      expect(JSON.stringify(masked)).not.toMatch(/"pw"|"k"/);
+      expect(maskCredentials(null)).toBeNull();
+    });
+  });
+
+  describe('isSameSite', () => {
+    test('should only match the feed host', () => {
+      expect(isSameSite('https://news.example/feed', 'https://www.news.example/posts/1')).toBe(true);
+      expect(isSameSite('https://news.example/feed', 'https://other.example/posts/1')).toBe(false);
+      expect(isSameSite('https://news.example/feed', 'not a url')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for feed-discovery utility module
+ */
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+jest.mock('../../backend/utils/feed-fetcher', () => ({
+  fetchFeed: jest.fn()
+}));
+
+const axios = require('axios');
+const { fetchFeed } = require('../../backend/utils/feed-fetcher');
+const {
+  COMMON_FEED_PATHS,
+  extractFeedLinks,
+  buildCommonFeedUrls,
+  discoverFeeds
+} = require('../../backend/utils/feed-discovery');
+
+function htmlPage(html, responseUrl) {
+  return { status: 200, headers: { 'content-type': 'text/html' }, data: html, request: { res: { responseUrl } } };
+}
+
+describe('Feed Discovery Utility', () => {
+  describe('extractFeedLinks', () => {
+    test('should read RSS, Atom and JSON Feed alternate links', () => {
+      const html = `<html><head>
+        <link rel="alternate" type="application/rss+xml" title=" Posts " href="/feed.xml">
+        <link rel="alternate" type="application/atom+xml; charset=utf-8" href="https://blog.example/atom">
+        <link rel="alternate feed" type="application/feed+json" href="feed.json">
+        <link rel="alternate" hreflang="en" href="/en/">
+        <link rel="stylesheet" type="application/rss+xml" href="/not-a-feed">
+      </head></html>`;
+
+      expect(extractFeedLinks(html, 'https://blog.example/posts/')).toEqual([
+        { url: 'https://blog.example/feed.xml', title: 'Posts', type: 'rss' },
+        { url: 'https://blog.example/atom', title: '', type: 'atom' },
+        { url: 'https://blog.example/posts/feed.json', title: '', type: 'json' }
+      ]);
+    });
+
+    test('should drop duplicate URLs and pages without links', () => {
+      const html = '<link rel="alternate" type="application/rss+xml" href="/rss"><link rel="alternate" type="application/rss+xml" href="https://blog.example/rss">';
+
+      expect(extractFeedLinks(html, 'https://blog.example/')).toHaveLength(1);
+      expect(extractFeedLinks('', 'https://blog.example/')).toEqual([]);
+    });
+  });
+
+  describe('buildCommonFeedUrls', () => {
+    test('should try the site root', () => {
+      expect(buildCommonFeedUrls('https://blog.example/')).toEqual([
+        COMMON_FEED_PATHS.map(feedPath => `https://blog.example${feedPath}`)
+      ]);
+    });
+
+    test('should try a blog sub path before the site root', () => {
+      const [subPath, root] = buildCommonFeedUrls('https://example.com/blog/');
+
+      expect(subPath[0]).toBe('https://example.com/blog/feed');
+      expect(root[0]).toBe('https://example.com/feed');
+    });
+  });
+
+  describe('discoverFeeds', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+      fetchFeed.mockReset();
+    });
+
+    test('should prefer alternate links resolved against the final URL', async () => {
+      axios.get.mockResolvedValue(htmlPage('<link rel="alternate" type="application/rss+xml" href="feed">', 'https://www.blog.example/home/'));
+
+      await expect(discoverFeeds('http://blog.example')).resolves.toEqual([
+        { url: 'https://www.blog.example/home/feed', title: '', type: 'rss' }
+      ]);
+      expect(fetchFeed).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the common paths that parse as feeds', async () => {
+      axios.get.mockResolvedValue(htmlPage('<html></html>', 'https://blog.example/'));
+      fetchFeed.mockImplementation(async ({ url }) => {
+        if (url === 'https://blog.example/rss.xml') return { feed: { title: 'Blog' } };
+        if (url === 'https://blog.example/feed') return { notModified: true };
+        throw new Error('Request failed with status code 404');
+      });
+
+      await expect(discoverFeeds('https://blog.example/')).resolves.toEqual([
+        { url: 'https://blog.example/rss.xml', title: 'Blog', type: null }
+      ]);
+      expect(fetchFeed).toHaveBeenCalledTimes(COMMON_FEED_PATHS.length);
+    });
+
+    test('should not check the site root once the sub path has a feed', async () => {
+      axios.get.mockResolvedValue(htmlPage('<html></html>', 'https://example.com/blog'));
+      fetchFeed.mockImplementation(async ({ url }) => {
+        if (url === 'https://example.com/blog/feed') return { feed: { title: 'Blog' } };
+        throw new Error('Request failed with status code 404');
+      });
+
+      const feeds = await discoverFeeds('https://example.com/blog');
+
+      expect(feeds.map(feed => feed.url)).toEqual(['https://example.com/blog/feed']);
+      expect(fetchFeed.mock.calls.every(([{ url }]) => url.startsWith('https://example.com/blog/'))).toBe(true);
+    });
+
+    test('should return nothing when no candidate is a feed', async () => {
+      axios.get.mockResolvedValue(htmlPage('<html></html>', 'https://example.com/'));
+      fetchFeed.mockRejectedValue(new Error('Request failed with status code 404'));
+
+      await expect(discoverFeeds('https://example.com/')).resolves.toEqual([]);
+    });
+  });
+});
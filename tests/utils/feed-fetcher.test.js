@@ -0,0 +1,138 @@
+/**
+ * Unit tests for feed-fetcher utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('axios', () => ({
+  get: jest.fn()
+}));
+
+const axios = require('axios');
+const db = require('../../backend/models/database');
+const { encryptCredentials } = require('../../backend/utils/feed-credentials');
+const {
+  fetchFeed,
+  saveFetchState,
+  hashContent,
+  buildRequestHeaders
+} = require('../../backend/utils/feed-fetcher');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Blog</title><link>https://blog.example/</link>
+<item><title>Hello</title><link>https://blog.example/hello</link><guid>hello</guid></item>
+</channel></rss>`;
+
+describe('Feed Fetcher Utility', () => {
+  const originalKey = process.env.FEED_CREDENTIALS_KEY;
+
+  beforeEach(() => {
+    process.env.FEED_CREDENTIALS_KEY = 'test-secret';
+    axios.get.mockReset();
+    db.run.mockReset();
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.FEED_CREDENTIALS_KEY;
+    } else {
+      process.env.FEED_CREDENTIALS_KEY = originalKey;
+    }
+  });
+
+  describe('buildRequestHeaders', () => {
+    test('should only send validators that are known', () => {
+      const headers = buildRequestHeaders({ url: 'https://blog.example/feed' });
+
+      expect(headers['User-Agent']).toBe('RSS Feed News Tool/1.0');
+      expect(headers['Accept']).toContain('application/rss+xml');
+      expect(headers).not.toHaveProperty('If-None-Match');
+      expect(headers).not.toHaveProperty('If-Modified-Since');
+    });
+
+    test('should add conditional GET validators', () => {
+      const headers = buildRequestHeaders({ etag: '"v1"', last_modified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+
+      expect(headers['If-None-Match']).toBe('"v1"');
+      expect(headers['If-Modified-Since']).toBe('Wed, 01 Jan 2025 00:00:00 GMT');
+    });
+
+    test('should ask scraped feeds for HTML and add the feed credentials', () => {
+      const headers = buildRequestHeaders({
+        feed_type: 'scraped',
+        credentials: encryptCredentials({ token: 'secret-token' })
+      });
+
+      expect(headers['Accept']).toMatch(/^text\/html/);
+      expect(headers['Authorization']).toBe('Bearer secret-token');
+    });
+  });
+
+  describe('fetchFeed', () => {
+    test('should keep the previous state on 304 Not Modified', async () => {
+      axios.get.mockResolvedValue({ status: 304, headers: {}, data: '' });
+
+      const result = await fetchFeed({ url: 'https://blog.example/feed', etag: '"v1"', last_modified: 'Wed, 01 Jan 2025 00:00:00 GMT', content_hash: 'abc' });
+
+      expect(result).toEqual({
+        notModified: true,
+        status: 304,
+        etag: '"v1"',
+        lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT',
+        contentHash: 'abc'
+      });
+      expect(axios.get.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+      expect(axios.get.mock.calls[0][1].validateStatus(304)).toBe(true);
+    });
+
+    test('should skip parsing when the body hash is unchanged', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"v2"', 'content-type': 'application/rss+xml' }, data: RSS });
+
+      const result = await fetchFeed({ url: 'https://blog.example/feed', content_hash: hashContent(RSS) });
+
+      expect(result).toEqual({
+        notModified: true,
+        status: 200,
+        etag: '"v2"',
+        lastModified: null,
+        contentHash: hashContent(RSS)
+      });
+      expect(result).not.toHaveProperty('feed');
+    });
+
+    test('should parse a changed body and return the new validators', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        headers: { etag: '"v3"', 'last-modified': 'Thu, 02 Jan 2025 00:00:00 GMT', 'content-type': 'application/rss+xml' },
+        data: RSS
+      });
+
+      const result = await fetchFeed({ url: 'https://blog.example/feed', content_hash: 'stale' });
+
+      expect(result).toMatchObject({
+        notModified: false,
+        status: 200,
+        etag: '"v3"',
+        lastModified: 'Thu, 02 Jan 2025 00:00:00 GMT',
+        contentHash: hashContent(RSS),
+        websub: { hub: null, self: null }
+      });
+      expect(result.feed.title).toBe('Blog');
+      expect(result.feed.items.map(item => item.guid)).toEqual(['hello']);
+    });
+  });
+
+  describe('saveFetchState', () => {
+    test('should store the validators for the next poll', async () => {
+      db.run.mockResolvedValue({ changes: 1 });
+
+      await saveFetchState(4, { etag: '"v3"', lastModified: null, contentHash: 'hash' });
+
+      expect(db.run.mock.calls[0][1]).toEqual(['"v3"', null, 'hash', 4]);
+    });
+  });
+});
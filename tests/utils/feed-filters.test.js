@@ -0,0 +1,88 @@
+/**
+ * Unit tests for feed-filters utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+const { normalizeFilter, compileFilter, evaluateItem } = require('../../backend/utils/feed-filters');
+
+describe('Feed Filters Utility', () => {
+  const rule = (id, values) => compileFilter({
+    id,
+    feed_id: null,
+    mode: 'exclude',
+    match_type: 'keyword',
+    fields: 'title,description,categories',
+    action: 'drop',
+    ...values
+  });
+
+  describe('normalizeFilter', () => {
+    test('should fill in defaults', () => {
+      expect(normalizeFilter({ pattern: ' crypto ' })).toEqual({
+        feed_id: null,
+        mode: 'exclude',
+        match_type: 'keyword',
+        pattern: 'crypto',
+        fields: 'title,description,categories',
+        action: 'drop',
+        is_enabled: 1
+      });
+    });
+
+    test('should keep stored values for omitted fields', () => {
+      const current = { feed_id: 3, mode: 'include', match_type: 'regex', pattern: 'ai', fields: 'title', action: 'mark_read', is_enabled: 1 };
+
+      expect(normalizeFilter({ is_enabled: false }, current)).toEqual({ ...current, is_enabled: 0 });
+    });
+
+    test('should reject invalid values', () => {
+      expect(() => normalizeFilter({ pattern: '' })).toThrow('pattern is required');
+      expect(() => normalizeFilter({ pattern: 'a', mode: 'maybe' })).toThrow('mode must be one of');
+      expect(() => normalizeFilter({ pattern: 'a', action: 'delete' })).toThrow('action must be one of');
+      expect(() => normalizeFilter({ pattern: 'a', fields: ['title', 'author'] })).toThrow('fields must be a list of');
+      expect(() => normalizeFilter({ pattern: '(unclosed', match_type: 'regex' })).toThrow('Invalid regular expression');
+    });
+  });
+
+  describe('evaluateItem', () => {
+    const item = {
+      title: 'Weekly Crypto Roundup',
+      description: 'Prices and sponsored links',
+      categories: '["Finance"]'
+    };
+
+    test('should apply exclude rules to matching items only', () => {
+      expect(evaluateItem(item, [rule(1, { pattern: 'crypto' })])).toEqual({ action: 'drop', filterIds: [1] });
+      expect(evaluateItem(item, [rule(1, { pattern: 'javascript' })])).toBeNull();
+    });
+
+    test('should only look at the configured fields', () => {
+      expect(evaluateItem(item, [rule(1, { pattern: 'sponsored', fields: 'title' })])).toBeNull();
+      expect(evaluateItem(item, [rule(1, { pattern: '^finance$', match_type: 'regex', fields: 'categories' })])).not.toBeNull();
+    });
+
+    test('should filter items that match none of the include rules', () => {
+      const includes = [
+        rule(1, { mode: 'include', pattern: 'javascript', action: 'mark_read' }),
+        rule(2, { mode: 'include', pattern: 'rust', action: 'mark_read' })
+      ];
+
+      expect(evaluateItem(item, includes)).toEqual({ action: 'mark_read', filterIds: [1, 2] });
+      expect(evaluateItem({ title: 'Rust 2.0' }, includes)).toBeNull();
+    });
+
+    test('should prefer drop when several rules apply', () => {
+      const filters = [
+        rule(1, { pattern: 'roundup', action: 'mark_read' }),
+        rule(2, { pattern: 'crypto', action: 'drop' })
+      ];
+
+      expect(evaluateItem(item, filters)).toEqual({ action: 'drop', filterIds: [1, 2] });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for feed-health utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const { MAX_POLL_INTERVAL } = require('../../backend/utils/poll-interval');
+const {
+  MAX_CONSECUTIVE_FAILURES,
+  getFailureBackoffInterval,
+  recordFetchSuccess,
+  recordFetchFailure
+} = require('../../backend/utils/feed-health');
+
+const feed = { id: 1, title: 'Blog', url: 'https://blog.example/feed', consecutive_failures: 0, is_paused: 0 };
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+describe('Feed Health Utility', () => {
+  beforeEach(() => {
+    db.get.mockReset();
+    db.run.mockReset();
+    db.run.mockResolvedValue({ changes: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('recordFetchFailure', () => {
+    test('should increment the failure count in the database and read it back', async () => {
+      db.get.mockResolvedValue({ consecutive_failures: 3, is_paused: 0 });
+
+      // 呼び出し元のFeed行が古くても、DB上の値で判定する
+      const result = await recordFetchFailure(feed, httpError(503), 120);
+
+      expect(result).toEqual({ consecutiveFailures: 3, paused: false });
+      expect(db.run.mock.calls[0][0]).toContain('consecutive_failures = COALESCE(consecutive_failures, 0) + 1');
+      expect(db.run.mock.calls[0][1]).toEqual(['Request failed with status code 503', 503, 1]);
+      expect(db.run.mock.calls.some(([sql]) => sql.includes('is_paused = 1'))).toBe(false);
+      expect(db.run.mock.calls[1][1]).toEqual([1, 'error', 503, 'Request failed with status code 503', 0, 120]);
+    });
+
+    test('should pause the feed once the failures reach the limit', async () => {
+      db.get.mockResolvedValue({ consecutive_failures: String(MAX_CONSECUTIVE_FAILURES), is_paused: 0 });
+
+      const result = await recordFetchFailure(feed, new Error('getaddrinfo ENOTFOUND blog.example'));
+
+      expect(result).toEqual({ consecutiveFailures: MAX_CONSECUTIVE_FAILURES, paused: true });
+      expect(db.run.mock.calls[1]).toEqual(['UPDATE feeds SET is_paused = 1, paused_reason = ? WHERE id = ?', ['auto', 1]]);
+      expect(db.run.mock.calls[0][1][1]).toBeNull();
+    });
+
+    test('should not pause a feed that is already paused again', async () => {
+      db.get.mockResolvedValue({ consecutive_failures: MAX_CONSECUTIVE_FAILURES + 1, is_paused: true });
+
+      const result = await recordFetchFailure(feed, httpError(404));
+
+      expect(result.paused).toBe(true);
+      expect(db.run.mock.calls.some(([sql]) => sql.includes('is_paused = 1'))).toBe(false);
+    });
+  });
+
+  describe('recordFetchSuccess', () => {
+    test('should reset the failure count', async () => {
+      await recordFetchSuccess({ ...feed, consecutive_failures: 4 }, { httpStatus: 200, newArticles: 2, durationMs: 80 });
+
+      expect(db.run.mock.calls[0][0]).toContain('last_error = NULL');
+      expect(db.run.mock.calls[0][0]).toContain('consecutive_failures = 0');
+      expect(db.run.mock.calls[0][1]).toEqual([200, 1]);
+      expect(db.run.mock.calls[1][1]).toEqual([1, 'success', 200, null, 2, 80]);
+    });
+
+    test('should log unchanged feeds as not modified', async () => {
+      await recordFetchSuccess(feed, { httpStatus: 304, notModified: true });
+
+      expect(db.run.mock.calls[1][1]).toEqual([1, 'not_modified', 304, null, 0, null]);
+    });
+  });
+
+  describe('getFailureBackoffInterval', () => {
+    test('should keep the interval while the feed is healthy', () => {
+      expect(getFailureBackoffInterval(60, 0)).toBe(60);
+      expect(getFailureBackoffInterval(60, undefined)).toBe(60);
+      expect(getFailureBackoffInterval(60, 1)).toBe(60);
+    });
+
+    test('should double the interval per consecutive failure up to the maximum', () => {
+      expect(getFailureBackoffInterval(60, 2)).toBe(120);
+      expect(getFailureBackoffInterval(60, 4)).toBe(480);
+      expect(getFailureBackoffInterval(24 * 60, 5)).toBe(MAX_POLL_INTERVAL);
+      expect(getFailureBackoffInterval(30 * 24 * 60, 2)).toBe(30 * 24 * 60);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for feed-ingestion utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+process.env.DEDUP_RESOLVE_CANONICAL = 'false';
+delete process.env.FEED_BACKFILL_DEPTH;
+
+const db = require('../../backend/models/database');
+const {
+  DEFAULT_BACKFILL_DEPTHS,
+  parseBackfillDepth,
+  getBackfillDepth,
+  normalizeItem,
+  selectItems,
+  canResolveCanonical,
+  ingestItems
+} = require('../../backend/utils/feed-ingestion');
+
+describe('Feed Ingestion Utility', () => {
+  const now = new Date('2025-03-01T00:00:00Z');
+
+  describe('parseBackfillDepth', () => {
+    test('should accept integers and "all"', () => {
+      expect(parseBackfillDepth(20)).toBe(20);
+      expect(parseBackfillDepth('5')).toBe(5);
+      expect(parseBackfillDepth(0)).toBe(0);
+      expect(parseBackfillDepth('all')).toBe(0);
+    });
+
+    test('should return null when unset and undefined when invalid', () => {
+      expect(parseBackfillDepth(null)).toBeNull();
+      expect(parseBackfillDepth('')).toBeNull();
+      expect(parseBackfillDepth(-1)).toBeUndefined();
+      expect(parseBackfillDepth(2.5)).toBeUndefined();
+      expect(parseBackfillDepth(5000)).toBeUndefined();
+    });
+  });
+
+  describe('getBackfillDepth', () => {
+    test('should prefer archive import, then the feed setting, then the default', () => {
+      expect(getBackfillDepth({ backfill_depth: 3 }, { importArchive: true })).toBe(0);
+      expect(getBackfillDepth({ backfill_depth: 3 })).toBe(3);
+      expect(getBackfillDepth({ backfill_depth: 0 })).toBe(0);
+      expect(getBackfillDepth({ backfill_depth: null })).toBe(DEFAULT_BACKFILL_DEPTHS.poll);
+    });
+
+    test('should keep the default of each kind of fetch', () => {
+      expect(getBackfillDepth({}, { trigger: 'subscribe' })).toBe(5);
+      expect(getBackfillDepth({}, { trigger: 'refresh' })).toBe(5);
+      expect(getBackfillDepth({}, { trigger: 'poll' })).toBe(10);
+      expect(getBackfillDepth({})).toBe(10);
+      expect(getBackfillDepth({ backfill_depth: 20 }, { trigger: 'subscribe' })).toBe(20);
+    });
+  });
+
+  describe('normalizeItem', () => {
+    test('should use isoDate, then pubDate, then the fallback time', () => {
+      expect(normalizeItem({ link: 'https://a.example/1', isoDate: '2025-01-02T03:04:05.000Z' }, now).pubDate)
+        .toBe('2025-01-02T03:04:05.000Z');
+      expect(normalizeItem({ link: 'https://a.example/1', pubDate: 'Thu, 02 Jan 2025 03:04:05 GMT' }, now).pubDate)
+        .toBe('2025-01-02T03:04:05.000Z');
+      expect(normalizeItem({ link: 'https://a.example/1', pubDate: 'not a date' }, now).pubDate)
+        .toBe(now.toISOString());
+    });
+
+    test('should fall back to the link as guid and skip items without either', () => {
+      expect(normalizeItem({ link: ' https://a.example/1 ', title: ' Hello ' }, now)).toMatchObject({
+        guid: 'https://a.example/1',
+        link: 'https://a.example/1',
+        title: 'Hello'
+      });
+      expect(normalizeItem({ title: 'No link' }, now)).toBeNull();
+    });
+  });
+
+  describe('selectItems', () => {
+    const items = [
+      { guid: 'old', link: 'https://a.example/old', isoDate: '2025-01-01T00:00:00Z' },
+      { guid: 'new', link: 'https://a.example/new', isoDate: '2025-02-01T00:00:00Z' },
+      { guid: 'new', link: 'https://a.example/new-copy', isoDate: '2025-02-01T00:00:00Z' },
+      { guid: 'mid', link: 'https://a.example/mid', isoDate: '2025-01-15T00:00:00Z' }
+    ];
+
+    test('should sort newest first, drop duplicate guids and apply the depth', () => {
+      expect(selectItems(items, 2, now).map(item => item.guid)).toEqual(['new', 'mid']);
+    });
+
+    test('should keep every item when depth is 0', () => {
+      expect(selectItems(items, 0, now).map(item => item.guid)).toEqual(['new', 'mid', 'old']);
+    });
+  });
+
+  describe('canResolveCanonical', () => {
+    test('should only fetch article pages of regular polls', () => {
+      expect(canResolveCanonical({ id: 7 }, 'article')).toBe(true);
+      expect(canResolveCanonical({ id: 7, feed_type: 'rss' }, 'youtube')).toBe(false);
+      expect(canResolveCanonical({ id: 7 }, 'article', { importArchive: true })).toBe(false);
+      // メールのリンクを開くと開封が送信者に伝わる
+      expect(canResolveCanonical({ id: 7, feed_type: 'email' }, 'article')).toBe(false);
+    });
+  });
+
+  describe('ingestItems', () => {
+    beforeEach(() => {
+      db.get.mockReset();
+      db.run.mockReset();
+      db.query.mockReset();
+      db.query.mockResolvedValue([]);
+    });
+
+    test('should insert new items and count existing ones as duplicates', async () => {
+      db.get.mockImplementation(async (sql, params) => (params[0] === 'seen' ? { id: 1 } : undefined));
+      db.run.mockResolvedValue({ changes: 1 });
+
+      const stats = await ingestItems({ id: 7 }, [
+        { guid: 'seen', link: 'https://a.example/seen', isoDate: '2025-01-01T00:00:00Z' },
+        { guid: 'fresh', link: 'https://www.youtube.com/watch?v=abc', isoDate: '2025-01-02T00:00:00Z' }
+      ], { depth: 0 });
+
+      expect(stats).toEqual({ processed: 2, newArticles: 1, duplicates: 1, merged: 0, filtered: 0, markedRead: 0, errors: 0 });
+      expect(db.run).toHaveBeenCalledTimes(1);
+      expect(db.run.mock.calls[0][1]).toEqual([
+        7, 'fresh', '', 'https://www.youtube.com/watch?v=abc', '', '2025-01-02T00:00:00.000Z', 'youtube', null, 0,
+        'https://youtube.com/watch?v=abc', 'youtube'
+      ]);
+    });
+
+    test('should not re-ingest items removed by the retention rules', async () => {
+      db.get.mockImplementation(async sql => (sql.includes('pruned_articles') ? { guid: 'pruned' } : undefined));
+
+      const stats = await ingestItems({ id: 7 }, [
+        { guid: 'pruned', link: 'https://a.example/pruned', isoDate: '2025-01-01T00:00:00Z' }
+      ], { depth: 0 });
+
+      expect(stats.duplicates).toBe(1);
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should detect the type from the feed metadata and honour the feed override', async () => {
+      db.get.mockResolvedValue(undefined);
+      db.run.mockResolvedValue({ changes: 1 });
+      const channel = { title: 'Show', itunes: { author: 'Studio' } };
+      const items = [{ guid: 'ep', link: 'https://show.example/ep', enclosure: { url: 'https://cdn.example/ep.mp3', type: 'audio/mpeg' } }];
+
+      await ingestItems({ id: 7 }, items, { depth: 0, channel });
+      await ingestItems({ id: 7, content_type_override: 'article' }, items, { depth: 0, channel });
+
+      // content_type は指定を反映し、detected_content_type には判定結果を残す
+      expect(db.run.mock.calls.map(call => [call[1][6], call[1][10]])).toEqual([
+        ['podcast', 'podcast'],
+        ['article', 'podcast']
+      ]);
+    });
+
+    test('should treat unique constraint violations as duplicates', async () => {
+      db.get.mockResolvedValue(undefined);
+      db.run.mockRejectedValue(Object.assign(new Error('UNIQUE constraint failed'), { code: 'SQLITE_CONSTRAINT' }));
+
+      const stats = await ingestItems({ id: 7 }, [{ guid: 'race', link: 'https://a.example/race' }], { depth: 0 });
+
+      expect(stats).toEqual({ processed: 1, newArticles: 0, duplicates: 1, merged: 0, filtered: 0, markedRead: 0, errors: 0 });
+    });
+
+    test('should drop or mark read items matched by the feed filters', async () => {
+      db.get.mockResolvedValue(undefined);
+      db.run.mockResolvedValue({ changes: 1 });
+      db.query.mockResolvedValueOnce([
+        { id: 1, feed_id: null, mode: 'exclude', match_type: 'keyword', pattern: 'sponsored', fields: 'title', action: 'drop' },
+        { id: 2, feed_id: 7, mode: 'exclude', match_type: 'regex', pattern: '^crypto$', fields: 'categories', action: 'mark_read' }
+      ]);
+
+      const stats = await ingestItems({ id: 7 }, [
+        { guid: 'ad', title: 'Sponsored: buy now', isoDate: '2025-01-03T00:00:00Z' },
+        { guid: 'coin', title: 'Markets', categories: ['Crypto'], isoDate: '2025-01-02T00:00:00Z' },
+        { guid: 'keep', title: 'Release notes', categories: [{ _: 'Dev', $: { domain: 'x' } }], isoDate: '2025-01-01T00:00:00Z' }
+      ], { depth: 0 });
+
+      expect(stats).toEqual({ processed: 3, newArticles: 2, duplicates: 0, merged: 0, filtered: 1, markedRead: 1, errors: 0 });
+      expect(db.query.mock.calls[0][1]).toEqual([7]);
+      expect(db.run.mock.calls.map(call => [call[1][1], call[1][7], call[1][8]])).toEqual([
+        ['coin', '["Crypto"]', 1],
+        ['keep', '["Dev"]', 0]
+      ]);
+    });
+
+    test('should merge a story already stored from another feed', async () => {
+      db.get.mockImplementation(async sql => (sql.includes('canonical_url') ? { id: 40 } : undefined));
+      db.run.mockResolvedValue({ changes: 1 });
+
+      const stats = await ingestItems({ id: 7 }, [
+        { guid: 'b-1', title: 'Story', link: 'http://www.news.example/story/?utm_source=rss', isoDate: '2025-01-01T00:00:00Z' }
+      ], { depth: 0 });
+
+      expect(stats).toEqual({ processed: 1, newArticles: 0, duplicates: 0, merged: 1, filtered: 0, markedRead: 0, errors: 0 });
+      expect(db.get.mock.calls.find(call => call[0].includes('canonical_url'))[1][0]).toBe('https://news.example/story');
+      expect(db.run.mock.calls[0][0]).toContain('INSERT INTO article_sources');
+      expect(db.run.mock.calls[0][1]).toEqual([40, 7, 'b-1', 'http://www.news.example/story/?utm_source=rss', 'Story', 'canonical']);
+    });
+  });
+});
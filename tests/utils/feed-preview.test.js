@@ -0,0 +1,101 @@
+/**
+ * Unit tests for feed-preview utility module
+ */
+
+const {
+  PREVIEW_ITEM_LIMIT,
+  estimatePostingFrequency,
+  detectFeedContentType,
+  buildFeedPreview
+} = require('../../backend/utils/feed-preview');
+
+const now = new Date('2025-01-31T00:00:00Z');
+
+function dailyItems(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    guid: `item-${index}`,
+    title: `Post ${index}`,
+    link: `https://blog.example/${index}`,
+    isoDate: new Date(now.getTime() - (index + 1) * 24 * 60 * 60 * 1000).toISOString(),
+    contentSnippet: `Body of post ${index}`
+  }));
+}
+
+describe('Feed Preview Utility', () => {
+  describe('estimatePostingFrequency', () => {
+    test('should estimate posts per week from the spread of publish dates', () => {
+      const frequency = estimatePostingFrequency(dailyItems(8).map(item => item.isoDate), now);
+
+      expect(frequency).toEqual({
+        postsPerWeek: 7,
+        averageIntervalHours: 24,
+        latestPostAt: '2025-01-30T00:00:00.000Z',
+        sampleSize: 8
+      });
+    });
+
+    test('should return null without enough dated items', () => {
+      expect(estimatePostingFrequency([], now)).toBeNull();
+      expect(estimatePostingFrequency(['2025-01-01T00:00:00Z', 'not a date'], now)).toBeNull();
+    });
+
+    test('should ignore future dates and handle items published at once', () => {
+      const frequency = estimatePostingFrequency(['2025-01-30T00:00:00Z', '2025-01-30T00:00:00Z', '2026-01-01T00:00:00Z'], now);
+      expect(frequency.sampleSize).toBe(2);
+      expect(frequency.postsPerWeek).toBe(10080);
+    });
+  });
+
+  describe('detectFeedContentType', () => {
+    test('should use the type most items are detected as', () => {
+      const channel = {
+        items: [
+          { link: 'https://show.example/1', enclosure: { url: 'https://cdn.example/1.mp3', type: 'audio/mpeg' } },
+          { link: 'https://show.example/2', enclosure: { url: 'https://cdn.example/2.mp3', type: 'audio/mpeg' } },
+          { link: 'https://show.example/news' }
+        ]
+      };
+      expect(detectFeedContentType(channel)).toBe('podcast');
+    });
+
+    test('should fall back to the feed-level hint for empty feeds', () => {
+      expect(detectFeedContentType({ itunes: { author: 'Studio' }, items: [] })).toBe('podcast');
+      expect(detectFeedContentType({ items: [] })).toBe('article');
+    });
+  });
+
+  describe('buildFeedPreview', () => {
+    test('should return the feed details and the latest items first', () => {
+      const items = dailyItems(25).reverse();
+      items.push({ guid: 'undated', title: 'No date', link: 'https://blog.example/undated' });
+
+      const preview = buildFeedPreview({ title: 'Blog', description: 'About  things', link: 'https://blog.example/', items }, { now });
+
+      expect(preview).toMatchObject({
+        title: 'Blog',
+        description: 'About things',
+        link: 'https://blog.example/',
+        contentType: 'article',
+        itemCount: 26
+      });
+      expect(preview.frequency.postsPerWeek).toBe(7);
+      expect(preview.items).toHaveLength(PREVIEW_ITEM_LIMIT);
+      expect(preview.items[0]).toEqual({
+        title: 'Post 0',
+        link: 'https://blog.example/0',
+        pub_date: '2025-01-30T00:00:00.000Z',
+        description: 'Body of post 0',
+        content_type: 'article'
+      });
+      expect(preview.items.map(item => item.title)).not.toContain('No date');
+    });
+
+    test('should keep undated items after dated ones', () => {
+      const preview = buildFeedPreview({ items: [{ title: 'Undated' }, ...dailyItems(1)] }, { now });
+
+      expect(preview.items.map(item => item.title)).toEqual(['Post 0', 'Undated']);
+      expect(preview.items[1].pub_date).toBeNull();
+      expect(preview.frequency).toBeNull();
+    });
+  });
+});
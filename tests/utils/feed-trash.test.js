@@ -0,0 +1,165 @@
+/**
+ * Unit tests for feed-trash utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../backend/utils/database-helpers', () => ({
+  transaction: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const { transaction } = require('../../backend/utils/database-helpers');
+const { restoreFeed, purgeFeed } = require('../../backend/utils/feed-trash');
+
+describe('Feed Trash Utility', () => {
+  beforeEach(() => {
+    db.get.mockReset();
+    db.run.mockReset();
+    db.query.mockReset();
+    transaction.mockReset();
+    transaction.mockResolvedValue([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('restoreFeed', () => {
+    test('should only restore feeds that are in the trash', async () => {
+      db.run.mockResolvedValueOnce({ changes: 1 }).mockResolvedValueOnce({ changes: 0 });
+
+      await expect(restoreFeed(3)).resolves.toBe(true);
+      await expect(restoreFeed(4)).resolves.toBe(false);
+      expect(db.run.mock.calls[0][0]).toContain('WHERE id = ? AND is_active = 0');
+    });
+  });
+
+  describe('purgeFeed', () => {
+    test('should return null for feeds that are not in the trash', async () => {
+      db.get.mockResolvedValue(undefined);
+
+      await expect(purgeFeed(1)).resolves.toBeNull();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should delete everything for the feed in one transaction and report freed bytes', async () => {
+      db.get
+        .mockResolvedValueOnce({ id: 1, url: 'https://www.youtube.com/feeds/videos.xml?channel_id=UC1', title: 'Channel' })
+        .mockResolvedValueOnce({ count: 2, bytes: 3000 })
+        .mockResolvedValueOnce({ count: 1, bytes: 20 })
+        .mockResolvedValueOnce({ count: 1, bytes: 80 });
+      db.query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([
+          { id: 10, link: 'https://www.youtube.com/watch?v=abcdefghijk' },
+          { id: 11, link: 'https://www.youtube.com/watch?v=lmnopqrstuv' }
+        ])
+        .mockResolvedValueOnce([
+          { video_id: 'abcdefghijk', bytes: 500 },
+          { video_id: 'lmnopqrstuv', bytes: 700 }
+        ])
+        .mockResolvedValueOnce([{ link: 'https://youtu.be/lmnopqrstuv' }]);
+
+      const result = await purgeFeed(1);
+
+      expect(result).toEqual({
+        feed_id: 1,
+        title: 'Channel',
+        deleted: { articles: 2, summary_requests: 1, article_sources: 1, transcript_cache: 1 },
+        handed_over: 0,
+        freed_bytes: 3600
+      });
+
+      expect(transaction).toHaveBeenCalledTimes(1);
+      const statements = transaction.mock.calls[0][0];
+      expect(statements.map(statement => statement.sql.split(' WHERE')[0])).toEqual([
+        'DELETE FROM summary_requests',
+        'DELETE FROM article_sources',
+        'DELETE FROM articles',
+        'DELETE FROM transcript_cache',
+        'DELETE FROM feed_fetch_log',
+        'DELETE FROM feed_filters',
+        'DELETE FROM websub_subscriptions',
+        'DELETE FROM feeds'
+      ]);
+      // 他のFeedの記事でも使われている動画の字幕は残す
+      expect(statements[3].params).toEqual(['abcdefghijk']);
+    });
+
+    test('should remember purged newsletter senders', async () => {
+      db.get
+        .mockResolvedValueOnce({ id: 5, url: 'mailto:news@digest.example', title: 'Digest', feed_type: 'email' })
+        .mockResolvedValueOnce({ count: 1, bytes: 100 })
+        .mockResolvedValueOnce({ count: 0, bytes: null })
+        .mockResolvedValueOnce({ count: 0, bytes: null });
+      db.query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 30, link: 'https://digest.example/issues/1' }]);
+
+      await purgeFeed(5);
+
+      const statements = transaction.mock.calls[0][0];
+      expect(statements[statements.length - 1]).toEqual({
+        sql: 'INSERT INTO unsubscribed_senders (address) VALUES (?) ON CONFLICT (address) DO NOTHING',
+        params: ['news@digest.example']
+      });
+    });
+
+    test('should count bytes with octet_length on PostgreSQL', async () => {
+      db.dbType = 'postgresql';
+      db.get
+        .mockResolvedValueOnce({ id: 1, url: 'https://a.example/feed', title: 'A' })
+        .mockResolvedValueOnce({ count: '2', bytes: '300' })
+        .mockResolvedValueOnce({ count: '0', bytes: null })
+        .mockResolvedValueOnce({ count: '1', bytes: '40' });
+      db.query
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: 21, link: 'https://a.example/21' }, { id: 22, link: 'https://a.example/22' }]);
+
+      try {
+        const result = await purgeFeed(1);
+
+        expect(db.get.mock.calls[1][0]).toContain('octet_length(CAST(content_html AS TEXT))');
+        expect(db.get.mock.calls[1][0]).not.toContain('AS BLOB');
+        expect(result.deleted).toMatchObject({ articles: 2, article_sources: 1 });
+        expect(result.freed_bytes).toBe(340);
+      } finally {
+        delete db.dbType;
+      }
+    });
+
+    test('should hand articles also delivered by other feeds over to them', async () => {
+      db.get
+        .mockResolvedValueOnce({ id: 1, url: 'https://a.example/feed', title: 'A' })
+        .mockResolvedValueOnce({ count: 1, bytes: 100 })
+        .mockResolvedValueOnce({ count: 0, bytes: null })
+        .mockResolvedValueOnce({ count: 0, bytes: null });
+      db.query
+        .mockResolvedValueOnce([
+          { id: 7, article_id: 20, feed_id: 2, guid: 'b-20', link: 'https://b.example/20' },
+          { id: 8, article_id: 20, feed_id: 3, guid: 'c-20', link: 'https://c.example/20' }
+        ])
+        .mockResolvedValueOnce([{ id: 21, link: 'https://a.example/21' }]);
+
+      const result = await purgeFeed(1);
+
+      expect(result.handed_over).toBe(1);
+      expect(result.freed_bytes).toBe(100);
+      expect(db.query.mock.calls[1][0]).toContain('AND id NOT IN (?)');
+      expect(db.query.mock.calls[1][1]).toEqual([1, 20]);
+
+      const statements = transaction.mock.calls[0][0];
+      expect(statements[0]).toEqual({
+        sql: 'UPDATE articles SET feed_id = ?, guid = ?, link = ? WHERE id = ?',
+        params: [2, 'b-20', 'https://b.example/20', 20]
+      });
+      expect(statements[1]).toEqual({ sql: 'DELETE FROM article_sources WHERE id = ?', params: [7] });
+    });
+  });
+});
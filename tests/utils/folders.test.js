@@ -0,0 +1,104 @@
+/**
+ * Unit tests for folders utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const {
+  ensureFolderPath,
+  getFolderPaths,
+  getDescendantFolderIds
+} = require('../../backend/utils/folders');
+
+describe('Folders Utility', () => {
+  beforeEach(() => {
+    db.get.mockReset();
+    db.run.mockReset();
+    db.query.mockReset();
+  });
+
+  describe('ensureFolderPath', () => {
+    test('should reuse existing folders and create the missing ones', async () => {
+      db.get
+        .mockResolvedValueOnce({ id: 1 })
+        .mockResolvedValueOnce(undefined);
+      db.run.mockResolvedValue({ lastID: 5 });
+
+      await expect(ensureFolderPath(['Tech', 'AI'])).resolves.toBe(5);
+
+      expect(db.get.mock.calls[0]).toEqual(['SELECT id FROM folders WHERE name = ? AND parent_id IS NULL', ['Tech']]);
+      expect(db.get.mock.calls[1]).toEqual(['SELECT id FROM folders WHERE name = ? AND parent_id = ?', ['AI', 1]]);
+      expect(db.run.mock.calls[0][1]).toEqual(['AI', 1]);
+    });
+
+    test('should create a whole new path from the top level', async () => {
+      db.get.mockResolvedValue(undefined);
+      db.run.mockResolvedValueOnce({ lastID: 7 }).mockResolvedValueOnce({ lastID: 8 });
+
+      await expect(ensureFolderPath(['News', 'Japan'])).resolves.toBe(8);
+      expect(db.run.mock.calls.map(call => call[1])).toEqual([['News', null], ['Japan', 7]]);
+    });
+
+    test('should return null for an empty path', async () => {
+      await expect(ensureFolderPath([])).resolves.toBeNull();
+      await expect(ensureFolderPath(undefined)).resolves.toBeNull();
+      expect(db.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFolderPaths', () => {
+    test('should build the name path of every folder', async () => {
+      db.query.mockResolvedValue([
+        { id: 1, name: 'Tech', parent_id: null },
+        { id: 2, name: 'AI', parent_id: 1 },
+        { id: 3, name: 'LLM', parent_id: 2 },
+        { id: 4, name: 'News', parent_id: null }
+      ]);
+
+      const paths = await getFolderPaths();
+
+      expect(paths.get(3)).toEqual(['Tech', 'AI', 'LLM']);
+      expect(paths.get(4)).toEqual(['News']);
+    });
+
+    test('should stop at cyclic parents', async () => {
+      db.query.mockResolvedValue([
+        { id: 1, name: 'A', parent_id: 2 },
+        { id: 2, name: 'B', parent_id: 1 }
+      ]);
+
+      const paths = await getFolderPaths();
+
+      expect(paths.get(1)).toEqual(['B', 'A']);
+      expect(paths.get(2)).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('getDescendantFolderIds', () => {
+    test('should collect the folder and all of its subfolders', async () => {
+      db.query.mockResolvedValue([
+        { id: 1, parent_id: null },
+        { id: 2, parent_id: 1 },
+        { id: 3, parent_id: 2 },
+        { id: 4, parent_id: 1 },
+        { id: 5, parent_id: null }
+      ]);
+
+      await expect(getDescendantFolderIds('1')).resolves.toEqual([1, 2, 4, 3]);
+    });
+
+    test('should include each folder of a cycle once', async () => {
+      db.query.mockResolvedValue([
+        { id: 1, parent_id: 2 },
+        { id: 2, parent_id: 1 }
+      ]);
+
+      await expect(getDescendantFolderIds(1)).resolves.toEqual([1, 2]);
+    });
+  });
+});
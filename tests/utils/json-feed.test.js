@@ -0,0 +1,95 @@
+/**
+ * Unit tests for json-feed utility module
+ */
+
+const { looksLikeJson, isJsonFeed, parseJsonFeed } = require('../../backend/utils/json-feed');
+
+describe('JSON Feed Utility', () => {
+  const sampleFeed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'Micro Blog',
+    home_page_url: 'https://micro.example/',
+    feed_url: 'https://micro.example/feed.json',
+    description: 'Short posts',
+    items: [
+      {
+        id: 2,
+        url: 'https://micro.example/2',
+        title: 'Episode 2',
+        summary: 'Second episode',
+        content_html: '<p>Second <b>episode</b> notes</p>',
+        date_published: '2025-01-02T10:00:00+09:00',
+        authors: [{ name: 'Aki' }, { name: 'Ren' }],
+        tags: ['audio'],
+        attachments: [
+          { url: 'https://cdn.micro.example/2.mp3', mime_type: 'audio/mpeg', size_in_bytes: 1234, duration_in_seconds: 60 }
+        ]
+      },
+      {
+        id: 'note-1',
+        content_text: 'Just a short note without a title that is long enough to need truncation when used as a title here',
+        date_modified: '2025-01-01T00:00:00Z'
+      }
+    ]
+  };
+
+  describe('looksLikeJson', () => {
+    test('should detect JSON by content type or body', () => {
+      expect(looksLikeJson('', 'application/feed+json; charset=utf-8')).toBe(true);
+      expect(looksLikeJson('  {"version": "x"}', 'text/plain')).toBe(true);
+      expect(looksLikeJson('<?xml version="1.0"?><rss/>', 'application/xml')).toBe(false);
+    });
+  });
+
+  describe('isJsonFeed', () => {
+    test('should accept JSON Feed 1.0 and 1.1 only', () => {
+      expect(isJsonFeed(sampleFeed)).toBe(true);
+      expect(isJsonFeed({ version: 'https://jsonfeed.org/version/1', items: [] })).toBe(true);
+      expect(isJsonFeed({ items: [] })).toBe(false);
+      expect(isJsonFeed(null)).toBe(false);
+    });
+  });
+
+  describe('parseJsonFeed', () => {
+    test('should map feed metadata like rss-parser', () => {
+      const feed = parseJsonFeed(JSON.stringify(sampleFeed));
+
+      expect(feed.title).toBe('Micro Blog');
+      expect(feed.description).toBe('Short posts');
+      expect(feed.link).toBe('https://micro.example/');
+      expect(feed.items).toHaveLength(2);
+    });
+
+    test('should map item fields and attachments as enclosures', () => {
+      const [item] = parseJsonFeed(sampleFeed).items;
+
+      expect(item).toMatchObject({
+        guid: '2',
+        title: 'Episode 2',
+        link: 'https://micro.example/2',
+        content: '<p>Second <b>episode</b> notes</p>',
+        contentSnippet: 'Second episode',
+        isoDate: '2025-01-02T10:00:00+09:00',
+        creator: 'Aki, Ren',
+        categories: ['audio'],
+        enclosure: { url: 'https://cdn.micro.example/2.mp3', type: 'audio/mpeg', length: '1234', duration: 60 }
+      });
+    });
+
+    test('should generate a title and link for untitled posts', () => {
+      const item = parseJsonFeed(sampleFeed).items[1];
+
+      expect(item.guid).toBe('note-1');
+      expect(item.title).toHaveLength(80);
+      expect(item.title.endsWith('…')).toBe(true);
+      expect(item.contentSnippet).toBe(sampleFeed.items[1].content_text);
+      expect(item.isoDate).toBe('2025-01-01T00:00:00Z');
+      expect(item.link).toBe('');
+    });
+
+    test('should reject invalid JSON and non JSON Feed documents', () => {
+      expect(() => parseJsonFeed('{oops')).toThrow('Invalid JSON Feed');
+      expect(() => parseJsonFeed('{"data": []}')).toThrow('Feed not recognized as JSON Feed');
+    });
+  });
+});
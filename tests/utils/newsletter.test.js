@@ -0,0 +1,176 @@
+/**
+ * Unit tests for newsletter utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../backend/utils/feed-ingestion', () => ({
+  ingestItems: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const { ingestItems } = require('../../backend/utils/feed-ingestion');
+const {
+  EMAIL_FEED_TYPE,
+  isMbox,
+  splitMbox,
+  parseNewsletter,
+  getNewsletterFeed,
+  importNewsletters
+} = require('../../backend/utils/newsletter');
+
+function buildMessage({ from = 'Weekly Digest <News@Digest.example>', subject = 'Issue 12', messageId = '<issue12@digest.example>', html } = {}) {
+  return [
+    `From: ${from}`,
+    'To: me@example.com',
+    `Subject: ${subject}`,
+    'Date: Tue, 02 Jan 2024 08:00:00 +0000',
+    messageId ? `Message-ID: ${messageId}` : null,
+    'MIME-Version: 1.0',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    html || '<html><body><a href="https://digest.example/issues/12">View in browser</a><h1>Issue 12</h1>' +
+      '<p onclick="track()">Hello <b>readers</b> <a href="javascript:alert(1)">bad</a> <a href="https://example.com/a">good</a></p>' +
+      '<img src="https://t.example/open.gif" width="1" height="1"><img src="cid:logo"><script>alert(1)</script></body></html>',
+    ''
+  ].filter(line => line !== null).join('\r\n');
+}
+
+describe('Newsletter Utility', () => {
+  beforeEach(() => {
+    db.get.mockReset();
+    db.run.mockReset();
+    db.run.mockResolvedValue({ lastID: 7, changes: 1 });
+    ingestItems.mockReset();
+    ingestItems.mockResolvedValue({ newArticles: 1, duplicates: 0, merged: 0, filtered: 0, errors: 0 });
+  });
+
+  describe('mbox', () => {
+    test('should tell mbox archives from single messages', () => {
+      expect(isMbox('From someone@example.com Mon Jan  1 00:00:00 2024\nSubject: x')).toBe(true);
+      expect(isMbox('From: someone@example.com\nSubject: x')).toBe(false);
+    });
+
+    test('should split on envelope lines and unescape >From', () => {
+      const archive = [
+        'From a@example.com Mon Jan  1 00:00:00 2024',
+        'Subject: one',
+        '',
+        'From the desk of the editor',
+        '>From here',
+        '',
+        'From b@example.com Mon Jan  1 00:00:00 2024',
+        'Subject: two',
+        '',
+        'body'
+      ].join('\n');
+
+      expect(splitMbox(archive)).toEqual([
+        'Subject: one\n\nFrom the desk of the editor\nFrom here\n',
+        'Subject: two\n\nbody\n'
+      ]);
+    });
+  });
+
+  describe('parseNewsletter', () => {
+    test('should sanitize the body and find the web version', async () => {
+      const newsletter = await parseNewsletter(buildMessage());
+
+      expect(newsletter).toMatchObject({
+        address: 'news@digest.example',
+        name: 'Weekly Digest',
+        subject: 'Issue 12',
+        date: '2024-01-02T08:00:00.000Z',
+        guid: 'mid:issue12@digest.example',
+        link: 'https://digest.example/issues/12'
+      });
+      expect(newsletter.html).toContain('<b>readers</b>');
+      expect(newsletter.html).toContain('href="https://example.com/a"');
+      expect(newsletter.html).not.toMatch(/script|onclick|javascript:|open\.gif|cid:/);
+      expect(newsletter.text).toContain('Hello readers');
+    });
+
+    test('should build a stable guid when Message-ID is missing', async () => {
+      const first = await parseNewsletter(buildMessage({ messageId: null, html: '<p>No link</p>' }));
+      const second = await parseNewsletter(buildMessage({ messageId: null, html: '<p>No link</p>' }));
+
+      expect(first.guid).toMatch(/^mid:[0-9a-f]{64}$/);
+      expect(first.guid).toBe(second.guid);
+      expect(first.link).toBe(first.guid);
+    });
+
+    test('should reject messages without a sender', async () => {
+      await expect(parseNewsletter('Subject: orphan\r\n\r\nbody')).rejects.toThrow('no sender address');
+    });
+  });
+
+  describe('getNewsletterFeed', () => {
+    test('should create a virtual feed for a new sender', async () => {
+      db.get.mockResolvedValueOnce(undefined).mockResolvedValueOnce(undefined).mockResolvedValueOnce({ id: 7, is_active: 1 });
+
+      const { feed, created } = await getNewsletterFeed({ address: 'news@digest.example', name: 'Weekly Digest' });
+
+      expect(created).toBe(true);
+      expect(feed.id).toBe(7);
+      expect(db.run.mock.calls[0][1]).toEqual(['mailto:news@digest.example', 'Weekly Digest', 'Email newsletter from news@digest.example', EMAIL_FEED_TYPE]);
+    });
+
+    test('should skip senders whose feed was deactivated', async () => {
+      db.get.mockResolvedValueOnce({ id: 3, is_active: 0 });
+
+      await expect(getNewsletterFeed({ address: 'old@example.com' })).resolves.toEqual({ feed: null, created: false });
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should skip senders whose feed was purged', async () => {
+      db.get.mockResolvedValueOnce(undefined).mockResolvedValueOnce({ address: 'old@example.com' });
+
+      await expect(getNewsletterFeed({ address: 'old@example.com' })).resolves.toEqual({ feed: null, created: false });
+      expect(db.get.mock.calls[1]).toEqual(['SELECT address FROM unsubscribed_senders WHERE address = ?', ['old@example.com']]);
+      expect(db.run).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importNewsletters', () => {
+    test('should ingest each message and store its body', async () => {
+      db.get.mockResolvedValue({ id: 7, title: 'Weekly Digest', is_active: 1 });
+
+      const result = await importNewsletters(Buffer.from(buildMessage()));
+
+      expect(ingestItems).toHaveBeenCalledWith(expect.objectContaining({ id: 7 }), [expect.objectContaining({
+        guid: 'mid:issue12@digest.example',
+        title: 'Issue 12',
+        link: 'https://digest.example/issues/12',
+        isoDate: '2024-01-02T08:00:00.000Z'
+      })], { depth: 0 });
+      expect(db.run.mock.calls[0][0]).toContain("fulltext_status = 'extracted'");
+      expect(db.run.mock.calls[0][1][2]).toBe('mid:issue12@digest.example');
+      expect(result).toMatchObject({ messages: 1, newArticles: 1, unsubscribed: 0, errors: 0 });
+      expect(result.feeds).toEqual([{ id: 7, title: 'Weekly Digest', address: 'news@digest.example', created: false, articles: 1 }]);
+    });
+
+    test('should count unsubscribed senders and broken messages', async () => {
+      db.get.mockResolvedValue({ id: 3, is_active: 0 });
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const archive = [
+        'From a@example.com Mon Jan  1 00:00:00 2024',
+        buildMessage({ from: 'old@example.com' }),
+        '',
+        'From b@example.com Mon Jan  1 00:00:00 2024',
+        'Subject: no sender',
+        '',
+        'body'
+      ].join('\n');
+      const result = await importNewsletters(archive);
+      consoleError.mockRestore();
+
+      expect(result).toMatchObject({ messages: 2, newArticles: 0, unsubscribed: 1, errors: 1 });
+      expect(ingestItems).not.toHaveBeenCalled();
+    });
+  });
+});
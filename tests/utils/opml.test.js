@@ -0,0 +1,68 @@
+/**
+ * Unit tests for opml utility module
+ */
+
+const { parseOpml, buildOpml } = require('../../backend/utils/opml');
+
+describe('OPML Utility', () => {
+  const sampleOpml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="1.0">
+  <head><title>Feedly subscriptions</title></head>
+  <body>
+    <outline text="UX" title="UX">
+      <outline type="rss" text="UX Collective" title="UX Collective" xmlUrl="https://uxdesign.cc/feed" htmlUrl="https://uxdesign.cc"/>
+      <outline text="Research">
+        <outline type="rss" text="NN/g" xmlUrl="https://www.nngroup.com/feed/rss/"/>
+      </outline>
+    </outline>
+    <outline type="rss" text="Top level" xmlUrl="https://example.com/rss.xml" description="Loose feed"/>
+  </body>
+</opml>`;
+
+  describe('parseOpml', () => {
+    test('should flatten feeds with their folder path', () => {
+      const { title, feeds } = parseOpml(sampleOpml);
+
+      expect(title).toBe('Feedly subscriptions');
+      expect(feeds).toEqual([
+        { url: 'https://uxdesign.cc/feed', title: 'UX Collective', description: '', folder: ['UX'] },
+        { url: 'https://www.nngroup.com/feed/rss/', title: 'NN/g', description: '', folder: ['UX', 'Research'] },
+        { url: 'https://example.com/rss.xml', title: 'Top level', description: 'Loose feed', folder: [] }
+      ]);
+    });
+
+    test('should reject documents that are not OPML', () => {
+      expect(() => parseOpml('<rss><channel></channel></rss>')).toThrow('Invalid OPML document');
+      expect(() => parseOpml('')).toThrow('Invalid OPML document');
+    });
+  });
+
+  describe('buildOpml', () => {
+    test('should nest feeds under folder outlines', () => {
+      const opml = buildOpml([
+        { url: 'https://uxdesign.cc/feed', title: 'UX Collective', folder: ['UX'] },
+        { url: 'https://example.com/rss.xml', title: 'Top level', folder: [] }
+      ], { title: 'Export', dateCreated: new Date('2025-01-01T00:00:00Z') });
+
+      expect(opml).toContain('<title>Export</title>');
+      expect(opml).toContain('<dateCreated>Wed, 01 Jan 2025 00:00:00 GMT</dateCreated>');
+      expect(opml).toMatch(/<outline text="UX" title="UX">\s+<outline type="rss" text="UX Collective"/);
+    });
+
+    test('should escape XML special characters', () => {
+      const opml = buildOpml([{ url: 'https://example.com/?a=1&b=2', title: 'Tom & "Jerry"', folder: [] }]);
+
+      expect(opml).toContain('xmlUrl="https://example.com/?a=1&amp;b=2"');
+      expect(opml).toContain('text="Tom &amp; &quot;Jerry&quot;"');
+    });
+
+    test('should round-trip through parseOpml', () => {
+      const feeds = [
+        { url: 'https://a.example/feed', title: 'A', description: 'first', folder: ['AI', 'Papers'] },
+        { url: 'https://b.example/feed', title: 'B', description: '', folder: [] }
+      ];
+
+      expect(parseOpml(buildOpml(feeds)).feeds).toEqual(feeds);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for page-scraper utility module
+ */
+
+const { normalizeScrapeConfig, parseDateText, extractPageFeed } = require('../../backend/utils/page-scraper');
+
+describe('Page Scraper Utility', () => {
+  const page = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Company News</title>
+  <meta name="description" content="Latest announcements">
+</head>
+<body>
+  <article class="post">
+    <h2>Launch day</h2>
+    <a class="more" href="/news/launch">Read more</a>
+    <time datetime="2025-02-03T09:00:00+09:00">Feb 3</time>
+  </article>
+  <article class="post">
+    <h2><a href="https://other.example/story">External story</a></h2>
+    <span class="date">2025年1月15日</span>
+  </article>
+  <article class="post">
+    <h2>Notice without link</h2>
+  </article>
+  <article class="post"></article>
+</body>
+</html>`;
+
+  describe('normalizeScrapeConfig', () => {
+    test('should trim selectors and accept JSON strings', () => {
+      expect(normalizeScrapeConfig('{"item": " article ", "title": "h2"}')).toEqual({
+        item: 'article',
+        title: 'h2',
+        link: '',
+        date: ''
+      });
+    });
+
+    test('should require the item selector and valid CSS', () => {
+      expect(() => normalizeScrapeConfig({ title: 'h2' })).toThrow('item selector is required');
+      expect(() => normalizeScrapeConfig({ item: 'article', title: 'h2[' })).toThrow('title selector "h2[" is not valid CSS');
+      expect(() => normalizeScrapeConfig('not json')).toThrow('not valid JSON');
+    });
+  });
+
+  describe('parseDateText', () => {
+    test('should parse ISO, English and Japanese dates', () => {
+      expect(parseDateText('2025-02-03T09:00:00+09:00')).toBe('2025-02-03T00:00:00.000Z');
+      expect(parseDateText('March 5, 2025 10:00 UTC')).toBe('2025-03-05T10:00:00.000Z');
+      expect(parseDateText('2025年1月15日')).toBe('2025-01-14T15:00:00.000Z');
+      expect(parseDateText('2025.1.5')).toBe('2025-01-04T15:00:00.000Z');
+    });
+
+    test('should return undefined for text that is not a date', () => {
+      expect(parseDateText('yesterday')).toBeUndefined();
+      expect(parseDateText('')).toBeUndefined();
+    });
+  });
+
+  describe('extractPageFeed', () => {
+    test('should build items from the selectors', () => {
+      const feed = extractPageFeed(page, 'https://corp.example/news', {
+        item: 'article.post',
+        title: 'h2',
+        link: 'a',
+        date: 'time, .date'
+      });
+
+      expect(feed.title).toBe('Company News');
+      expect(feed.description).toBe('Latest announcements');
+      expect(feed.items.map(item => [item.title, item.link, item.isoDate])).toEqual([
+        ['Launch day', 'https://corp.example/news/launch', '2025-02-03T00:00:00.000Z'],
+        ['External story', 'https://other.example/story', '2025-01-14T15:00:00.000Z'],
+        ['Notice without link', expect.stringMatching(/^https:\/\/corp\.example\/news#item-[0-9a-f]{12}$/), undefined]
+      ]);
+    });
+
+    test('should use the guid as link and keep anchors stable between runs', () => {
+      const config = { item: 'article.post', title: 'h2' };
+      const first = extractPageFeed(page, 'https://corp.example/news', config).items[2];
+      const second = extractPageFeed(page, 'https://corp.example/news', config).items[2];
+
+      expect(first.guid).toBe(first.link);
+      expect(first.guid).toBe(second.guid);
+    });
+
+    test('should return no items when nothing matches', () => {
+      expect(extractPageFeed(page, 'https://corp.example/news', { item: '.missing' }).items).toEqual([]);
+    });
+  });
+});
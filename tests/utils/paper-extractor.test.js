@@ -0,0 +1,174 @@
+/**
+ * Unit tests for paper-extractor utility module
+ */
+
+jest.mock('axios');
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn()
+}));
+
+const axios = require('axios');
+const db = require('../../backend/models/database');
+const {
+  resolvePaperPdfUrl,
+  parsePaperText,
+  parsePaperPdf,
+  fetchPaper,
+  extractPaper,
+  buildPaperSummaryInput
+} = require('../../backend/utils/paper-extractor');
+
+// 1ページにテキスト行を並べただけの最小限のPDF
+function buildPdf(lines, info = {}) {
+  const content = ['BT', '/F1 11 Tf', '14 TL', '72 760 Td',
+    ...lines.map(line => `(${line.replace(/[()\\]/g, '\\$&')}) Tj T*`), 'ET'].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< ${Object.entries(info).map(([key, value]) => `/${key} (${value})`).join(' ')} >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+const PAPER_LINES = [
+  'Sparse Attention for Long Documents',
+  'Alice Smith1, Bob Jones2 and Carol de la Cruz1',
+  '1University of Examples 2Example Research Lab',
+  'Abstract',
+  'We propose a sparse attention method that scales to long documents.',
+  'It reduces memory by 80% on standard benchmarks.',
+  '1 Introduction',
+  'Long documents are hard to model.'
+];
+
+describe('Paper Extractor Utility', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+    db.get.mockReset();
+    db.run.mockReset();
+    db.run.mockResolvedValue({ changes: 1 });
+  });
+
+  describe('resolvePaperPdfUrl', () => {
+    test('should map arXiv and OpenReview pages to their PDF', () => {
+      expect(resolvePaperPdfUrl('https://arxiv.org/abs/2401.01234v2')).toBe('https://arxiv.org/pdf/2401.01234v2');
+      expect(resolvePaperPdfUrl('http://export.arxiv.org/abs/cs.AI/0101001')).toBe('https://arxiv.org/pdf/cs.AI/0101001');
+      expect(resolvePaperPdfUrl('https://arxiv.org/pdf/2401.01234.pdf')).toBe('https://arxiv.org/pdf/2401.01234');
+      expect(resolvePaperPdfUrl('https://openreview.net/forum?id=AbC_12-x')).toBe('https://openreview.net/pdf?id=AbC_12-x');
+    });
+
+    test('should keep direct PDF links and reject other pages', () => {
+      expect(resolvePaperPdfUrl('https://example.edu/papers/main.PDF?download=1')).toBe('https://example.edu/papers/main.PDF?download=1');
+      expect(resolvePaperPdfUrl('https://arxiv.org/list/cs.CL/recent')).toBeNull();
+      expect(resolvePaperPdfUrl('https://openreview.net/group?id=ICLR.cc')).toBeNull();
+      expect(resolvePaperPdfUrl('https://example.com/blog/post')).toBeNull();
+      expect(resolvePaperPdfUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('parsePaperText', () => {
+    test('should read title, authors and abstract from the first page', () => {
+      expect(parsePaperText(PAPER_LINES.join('\n'))).toEqual({
+        title: 'Sparse Attention for Long Documents',
+        authors: ['Alice Smith', 'Bob Jones', 'Carol de la Cruz'],
+        abstract: 'We propose a sparse attention method that scales to long documents. It reduces memory by 80% on standard benchmarks.'
+      });
+    });
+
+    test('should prefer the PDF metadata when it is meaningful', () => {
+      const paper = parsePaperText(PAPER_LINES.join('\n'), { Title: 'Sparse Attention (Extended)', Author: 'A. Smith; B. Jones' });
+      expect(paper.title).toBe('Sparse Attention (Extended)');
+      expect(paper.authors).toEqual(['A. Smith', 'B. Jones']);
+
+      expect(parsePaperText(PAPER_LINES.join('\n'), { Title: 'main.dvi' }).title).toBe('Sparse Attention for Long Documents');
+    });
+
+    test('should handle IEEE style abstracts and missing abstracts', () => {
+      const ieee = parsePaperText('A Title\nJane Doe\nAbstract—Short summary here.\nIndex Terms—graphs');
+      expect(ieee.abstract).toBe('Short summary here.');
+
+      expect(parsePaperText('A Title\nNo abstract in this text.').abstract).toBeNull();
+    });
+  });
+
+  describe('parsePaperPdf', () => {
+    test('should extract text from a PDF', async () => {
+      const paper = await parsePaperPdf(buildPdf(PAPER_LINES, { Title: 'Untitled' }));
+
+      expect(paper.title).toBe('Sparse Attention for Long Documents');
+      expect(paper.authors).toEqual(['Alice Smith', 'Bob Jones', 'Carol de la Cruz']);
+      expect(paper.abstract).toContain('sparse attention method');
+      expect(paper.text).toContain('Long documents are hard to model.');
+      expect(paper.pages).toBe(1);
+    });
+
+    test('should reject files that are not PDFs', async () => {
+      await expect(parsePaperPdf(Buffer.from('<html></html>'))).rejects.toThrow('not a PDF');
+    });
+  });
+
+  describe('fetchPaper', () => {
+    test('should download the PDF of an arXiv page', async () => {
+      axios.get.mockResolvedValue({ data: buildPdf(PAPER_LINES) });
+
+      const paper = await fetchPaper('https://arxiv.org/abs/2401.01234', { Authorization: 'Bearer t' });
+
+      expect(axios.get).toHaveBeenCalledWith('https://arxiv.org/pdf/2401.01234', expect.objectContaining({
+        responseType: 'arraybuffer',
+        headers: expect.objectContaining({ Authorization: 'Bearer t' })
+      }));
+      expect(paper.pdfUrl).toBe('https://arxiv.org/pdf/2401.01234');
+      expect(paper.html).toContain('<h2>Abstract</h2>');
+      expect(paper.html).toContain('<em>Alice Smith, Bob Jones, Carol de la Cruz</em>');
+    });
+
+    test('should refuse unsupported URLs without downloading', async () => {
+      await expect(fetchPaper('https://example.com/post')).rejects.toThrow('Not a supported paper URL');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('extractPaper', () => {
+    test('should store the text, authors and abstract', async () => {
+      db.get.mockResolvedValue(null);
+      axios.get.mockResolvedValue({ data: buildPdf(PAPER_LINES) });
+
+      await extractPaper({ id: 5, link: 'https://example.edu/paper.pdf' });
+
+      const [sql, params] = db.run.mock.calls[0];
+      expect(sql).toContain('paper_authors = ?');
+      expect(params[2]).toBe(JSON.stringify(['Alice Smith', 'Bob Jones', 'Carol de la Cruz']));
+      expect(params[3]).toContain('sparse attention method');
+      expect(params[4]).toBe(5);
+    });
+
+    test('should mark the article as failed when the PDF cannot be read', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('not a pdf') });
+
+      await expect(extractPaper({ id: 6, link: 'https://example.edu/broken.pdf' })).rejects.toThrow('not a PDF');
+      expect(db.run.mock.calls[0][0]).toContain("fulltext_status = 'failed'");
+    });
+  });
+
+  describe('buildPaperSummaryInput', () => {
+    test('should put the metadata and abstract before the body', () => {
+      const input = buildPaperSummaryInput({ title: 'T', authors: ['A B'], abstract: 'Abs', text: 'Body' });
+      expect(input).toBe('タイトル: T\n\n著者: A B\n\n要旨:\nAbs\n\n本文:\nBody');
+    });
+  });
+});
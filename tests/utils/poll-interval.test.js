@@ -0,0 +1,84 @@
+/**
+ * Unit tests for poll-interval utility module
+ */
+
+const {
+  MIN_POLL_INTERVAL,
+  MAX_POLL_INTERVAL,
+  DEFAULT_POLL_INTERVAL,
+  estimateAdaptiveInterval,
+  getEffectiveInterval,
+  computeNextPollAt,
+  normalizePollInterval
+} = require('../../backend/utils/poll-interval');
+
+describe('Poll Interval Utility', () => {
+  const now = new Date('2025-01-31T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 3600000).toISOString();
+  const daysAgo = days => hoursAgo(days * 24);
+
+  describe('estimateAdaptiveInterval', () => {
+    test('should return the default interval without enough history', () => {
+      expect(estimateAdaptiveInterval([], now)).toBe(DEFAULT_POLL_INTERVAL);
+      expect(estimateAdaptiveInterval([hoursAgo(1)], now)).toBe(DEFAULT_POLL_INTERVAL);
+      expect(estimateAdaptiveInterval(null, now)).toBe(DEFAULT_POLL_INTERVAL);
+    });
+
+    test('should poll frequently publishing feeds hourly', () => {
+      const pubDates = [0.2, 0.5, 0.8, 1.1, 1.4, 1.7].map(hoursAgo);
+      expect(estimateAdaptiveInterval(pubDates, now)).toBe(MIN_POLL_INTERVAL);
+    });
+
+    test('should poll monthly feeds weekly', () => {
+      const pubDates = [5, 35, 65, 95].map(daysAgo);
+      expect(estimateAdaptiveInterval(pubDates, now)).toBe(MAX_POLL_INTERVAL);
+    });
+
+    test('should poll at half the average posting gap', () => {
+      const pubDates = [0, 4, 8, 12].map(hoursAgo);
+      expect(estimateAdaptiveInterval(pubDates, now)).toBe(90);
+    });
+
+    test('should ignore invalid and future dates', () => {
+      const pubDates = ['not a date', hoursAgo(-5), hoursAgo(0), hoursAgo(4), hoursAgo(8)];
+      expect(estimateAdaptiveInterval(pubDates, now)).toBe(80);
+    });
+  });
+
+  describe('getEffectiveInterval', () => {
+    test('should prefer the fixed interval', () => {
+      expect(getEffectiveInterval({ poll_interval: 30, adaptive_interval: 120 })).toBe(30);
+    });
+
+    test('should fall back to adaptive and then default interval', () => {
+      expect(getEffectiveInterval({ poll_interval: null, adaptive_interval: 120 })).toBe(120);
+      expect(getEffectiveInterval({})).toBe(DEFAULT_POLL_INTERVAL);
+    });
+  });
+
+  describe('computeNextPollAt', () => {
+    test('should add the interval to the given time', () => {
+      expect(computeNextPollAt(90, now)).toBe('2025-01-31T13:30:00.000Z');
+    });
+  });
+
+  describe('normalizePollInterval', () => {
+    test('should treat empty values as adaptive', () => {
+      expect(normalizePollInterval(null)).toBeNull();
+      expect(normalizePollInterval(undefined)).toBeNull();
+      expect(normalizePollInterval('')).toBeNull();
+    });
+
+    test('should accept integer minutes within range', () => {
+      expect(normalizePollInterval(60)).toBe(60);
+      expect(normalizePollInterval('15')).toBe(15);
+    });
+
+    test('should reject invalid values', () => {
+      expect(normalizePollInterval(1)).toBeUndefined();
+      expect(normalizePollInterval(1.5)).toBeUndefined();
+      expect(normalizePollInterval('abc')).toBeUndefined();
+      expect(normalizePollInterval(999999)).toBeUndefined();
+    });
+  });
+});
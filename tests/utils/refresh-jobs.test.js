@@ -0,0 +1,106 @@
+/**
+ * Unit tests for refresh-jobs utility module
+ */
+
+const { runPool, startRefreshJob, getJob } = require('../../backend/utils/refresh-jobs');
+
+describe('Refresh Jobs Utility', () => {
+  const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  };
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  describe('runPool', () => {
+    test('should respect the overall and per-key limits', async () => {
+      const items = [
+        { id: 1, host: 'a' }, { id: 2, host: 'a' }, { id: 3, host: 'b' },
+        { id: 4, host: 'c' }, { id: 5, host: 'b' }
+      ];
+      const running = new Map();
+      const started = [];
+      let maxActive = 0;
+
+      const done = runPool(items, {
+        concurrency: 2,
+        perKey: 1,
+        keyOf: item => item.host,
+        worker: item => {
+          started.push(item.id);
+          const task = deferred();
+          running.set(item.id, task);
+          maxActive = Math.max(maxActive, running.size);
+          return task.promise.then(() => running.delete(item.id));
+        }
+      });
+
+      await flush();
+      expect(started).toEqual([1, 3]);
+
+      running.get(1).resolve();
+      await flush();
+      expect(started).toEqual([1, 3, 2]);
+
+      running.get(3).resolve();
+      await flush();
+      running.get(2).resolve();
+      await flush();
+      [...running.values()].forEach(task => task.resolve());
+      await flush();
+      [...running.values()].forEach(task => task.resolve());
+      await done;
+
+      expect(started.sort()).toEqual([1, 2, 3, 4, 5]);
+      expect(maxActive).toBe(2);
+    });
+
+    test('should resolve immediately without items', async () => {
+      await expect(runPool([], { concurrency: 2, perKey: 1, keyOf: () => 'x', worker: jest.fn() })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('startRefreshJob', () => {
+    const feeds = [
+      { id: 1, title: 'One', url: 'https://one.example/feed' },
+      { id: 2, title: 'Two', url: 'https://two.example/feed' },
+      { id: 3, title: 'Three', url: 'https://three.example/feed' }
+    ];
+
+    test('should record progress events and totals', async () => {
+      const updateFeed = jest.fn(async feed => {
+        if (feed.id === 2) {
+          return { success: false, error: 'HTTP 500' };
+        }
+        return { success: true, newArticles: feed.id === 1 ? 4 : 0, notModified: feed.id === 3 };
+      });
+
+      const { job, alreadyRunning } = startRefreshJob(feeds, updateFeed, { concurrency: 2 });
+      expect(alreadyRunning).toBe(false);
+
+      const completed = new Promise(resolve => job.emitter.on('event', event => {
+        if (event.type === 'job_completed') resolve(event);
+      }));
+      const summary = await completed;
+
+      expect(summary).toMatchObject({ status: 'completed', total: 3, completed: 3, new_articles: 4, not_modified: 1, errors: 1 });
+      expect(job.events.map(event => event.type).filter(type => type !== 'feed_started')).toEqual(
+        expect.arrayContaining(['job_started', 'feed_completed', 'feed_failed', 'job_completed'])
+      );
+      expect(job.events.find(event => event.type === 'feed_failed')).toMatchObject({ feed_id: 2, title: 'Two', error: 'HTTP 500' });
+      expect(getJob(job.id)).toBe(job);
+    });
+
+    test('should return the running job instead of starting another', async () => {
+      const gate = deferred();
+      const first = startRefreshJob(feeds.slice(0, 1), () => gate.promise.then(() => ({ success: true, newArticles: 0 })));
+      const second = startRefreshJob(feeds, jest.fn());
+
+      expect(second.alreadyRunning).toBe(true);
+      expect(second.job).toBe(first.job);
+
+      gate.resolve();
+      await new Promise(resolve => first.job.emitter.on('event', event => event.type === 'job_completed' && resolve()));
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for retention utility module against a real SQLite database
+ */
+
+delete process.env.DATABASE_URL;
+process.env.DATABASE_TYPE = 'sqlite';
+process.env.DATABASE_PATH = ':memory:';
+// 初期化ログを抑止
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const db = require('../../backend/models/database');
+const { pruneDatabase } = require('../../backend/utils/retention');
+
+const now = new Date('2025-06-30T12:00:00Z');
+const policy = { readArticleDays: 30, maxArticlesPerFeed: 0, transcriptCacheDays: 0, apiUsageDays: 0 };
+
+// テーブル作成とカラム追加（非同期）の完了を待つ
+async function waitForMigrations() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const columns = await db.query('PRAGMA table_info(articles)');
+    if (columns.some(column => column.name === 'is_starred')) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Database migrations did not finish');
+}
+
+describe('Retention Utility (SQLite)', () => {
+  beforeAll(async () => {
+    await waitForMigrations();
+    await db.run("INSERT INTO feeds (id, url, title) VALUES (1, 'https://a.example/feed', 'A'), (2, 'https://b.example/feed', 'B')");
+  });
+
+  beforeEach(async () => {
+    await db.run('DROP TRIGGER IF EXISTS fail_article_delete');
+    await db.run('DELETE FROM pruned_articles');
+    await db.run('DELETE FROM article_sources');
+    await db.run('DELETE FROM summary_requests');
+    await db.run('DELETE FROM articles');
+    await db.run(`INSERT INTO articles (id, feed_id, guid, title, link, read_status, created_at)
+                  VALUES (10, 1, 'a-10', 'Old', 'https://a.example/10', 1, '2025-01-01 00:00:00')`);
+    await db.run("INSERT INTO summary_requests (article_id, status) VALUES (10, 'failed')");
+    await db.run("INSERT INTO article_sources (article_id, feed_id, guid, match_type) VALUES (10, 2, 'b-10', 'canonical')");
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should delete the article with its records and leave tombstones', async () => {
+    const result = await pruneDatabase(policy, now);
+
+    expect(result.deleted).toMatchObject({ articles: 1, summary_requests: 1, article_sources: 1 });
+    expect(await db.query('SELECT id FROM articles')).toEqual([]);
+    expect((await db.query('SELECT guid FROM pruned_articles ORDER BY guid')).map(row => row.guid)).toEqual(['a-10', 'b-10']);
+  });
+
+  test('should roll the batch back when a statement fails partway through', async () => {
+    // 記録の削除後、記事の削除で失敗させる
+    await db.run("CREATE TRIGGER fail_article_delete BEFORE DELETE ON articles BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END");
+
+    await expect(pruneDatabase(policy, now)).rejects.toThrow('disk I/O error');
+
+    expect(await db.query('SELECT id FROM articles')).toEqual([{ id: 10 }]);
+    expect(await db.query('SELECT status FROM summary_requests')).toEqual([{ status: 'failed' }]);
+    expect(await db.query('SELECT guid FROM article_sources')).toEqual([{ guid: 'b-10' }]);
+    expect(await db.query('SELECT guid FROM pruned_articles')).toEqual([]);
+  });
+});
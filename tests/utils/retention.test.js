@@ -0,0 +1,176 @@
+/**
+ * Unit tests for retention utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../backend/utils/database-helpers', () => ({
+  transaction: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const { transaction } = require('../../backend/utils/database-helpers');
+const {
+  DEFAULT_POLICY,
+  parseRetentionValue,
+  getRetentionPolicy,
+  findPrunableArticles,
+  previewPrune,
+  pruneDatabase,
+  getLastPruneResult
+} = require('../../backend/utils/retention');
+
+const now = new Date('2025-06-30T12:00:00Z');
+const policy = { readArticleDays: 30, maxArticlesPerFeed: 3, transcriptCacheDays: 7, apiUsageDays: 0 };
+
+// SQL に応じて db.query の結果を返す
+function mockQueries({ aged = [], feeds = [], feedArticles = {}, sources = [] }) {
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('read_status = 1')) return aged;
+    if (sql.includes('GROUP BY')) return feeds;
+    if (sql.includes('FROM article_sources')) return sources;
+    return feedArticles[params[0]] || [];
+  });
+}
+
+describe('Retention Utility', () => {
+  beforeEach(() => {
+    db.get.mockReset();
+    db.run.mockReset();
+    db.query.mockReset();
+    transaction.mockReset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('getRetentionPolicy', () => {
+    test('should use the defaults when nothing is configured', () => {
+      expect(getRetentionPolicy({})).toEqual(DEFAULT_POLICY);
+    });
+
+    test('should read the environment and ignore invalid values', () => {
+      expect(getRetentionPolicy({
+        RETENTION_READ_ARTICLE_DAYS: '0',
+        RETENTION_MAX_ARTICLES_PER_FEED: '-5',
+        RETENTION_TRANSCRIPT_CACHE_DAYS: '14',
+        RETENTION_API_USAGE_DAYS: 'soon'
+      })).toEqual({ ...DEFAULT_POLICY, readArticleDays: 0, transcriptCacheDays: 14 });
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test('should tell unset values from invalid ones', () => {
+      expect(parseRetentionValue(null)).toBeNull();
+      expect(parseRetentionValue('')).toBeNull();
+      expect(parseRetentionValue(200)).toBe(200);
+      expect(parseRetentionValue(1.5)).toBeUndefined();
+    });
+  });
+
+  describe('findPrunableArticles', () => {
+    test('should select old read articles and the oldest articles over each feed limit', async () => {
+      mockQueries({
+        aged: [{ id: 1, feed_id: 10, guid: 'a1' }],
+        feeds: [
+          { id: 10, max_articles: null, article_count: 5 },
+          { id: 20, max_articles: 0, article_count: 9 },
+          { id: 30, max_articles: 1, article_count: 2 }
+        ],
+        feedArticles: {
+          10: [
+            { id: 5, feed_id: 10, guid: 'a5', protected: 0 },
+            { id: 4, feed_id: 10, guid: 'a4', protected: 0 },
+            { id: 3, feed_id: 10, guid: 'a3', protected: 0 },
+            { id: 2, feed_id: 10, guid: 'a2', protected: 1 },
+            { id: 1, feed_id: 10, guid: 'a1', protected: 0 }
+          ],
+          30: [
+            { id: 8, feed_id: 30, guid: 'c8', protected: 0 },
+            { id: 7, feed_id: 30, guid: 'c7', protected: 0 }
+          ]
+        }
+      });
+
+      const articles = await findPrunableArticles(policy, now);
+
+      expect(articles).toEqual([
+        { id: 1, feed_id: 10, guid: 'a1', reason: 'age' },
+        { id: 7, feed_id: 30, guid: 'c7', reason: 'feed_limit' }
+      ]);
+      expect(db.query.mock.calls[0][0]).toContain('is_starred');
+      expect(db.query.mock.calls[0][1]).toEqual(['2025-05-31 12:00:00']);
+      // 上限が 0（無制限）の Feed は記事を読み込まない
+      expect(db.query.mock.calls.some(call => call[1]?.[0] === 20)).toBe(false);
+    });
+
+    test('should skip disabled rules', async () => {
+      mockQueries({ feeds: [{ id: 10, max_articles: null, article_count: 5000 }] });
+
+      await expect(findPrunableArticles({ ...policy, readArticleDays: 0, maxArticlesPerFeed: 0 }, now)).resolves.toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('previewPrune', () => {
+    test('should count what the next prune would remove without deleting anything', async () => {
+      mockQueries({ aged: [{ id: 1, feed_id: 10, guid: 'a1' }, { id: 2, feed_id: 11, guid: 'b2' }] });
+      db.get.mockResolvedValueOnce({ count: 4 }).mockResolvedValueOnce({ count: '1' });
+
+      const preview = await previewPrune(policy, now);
+
+      expect(preview).toEqual({
+        policy,
+        articles: { total: 2, by_age: 2, by_feed_limit: 0, feeds: 2 },
+        transcript_cache: 4,
+        api_usage: 0,
+        tombstones: 1
+      });
+      expect(db.get.mock.calls[0][1]).toEqual(['2025-06-23 12:00:00']);
+      expect(db.run).not.toHaveBeenCalled();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pruneDatabase', () => {
+    test('should remember the deleted guids and delete the articles in one transaction', async () => {
+      mockQueries({
+        aged: [{ id: 1, feed_id: 10, guid: 'a1' }],
+        sources: [{ article_id: 1, feed_id: 11, guid: 'b1' }]
+      });
+      transaction.mockResolvedValue([{ changes: 1 }, { changes: 1 }, { changes: 2 }, { changes: 1 }, { changes: 1 }]);
+      db.run.mockResolvedValueOnce({ changes: 3 }).mockResolvedValueOnce({ changes: 0 });
+
+      const result = await pruneDatabase(policy, now);
+
+      const statements = transaction.mock.calls[0][0];
+      expect(statements.map(statement => statement.params)).toEqual([['a1', 10], ['b1', 11], [1], [1], [1]]);
+      expect(statements[0].sql).toContain('INSERT INTO pruned_articles');
+      expect(statements[4].sql).toContain('DELETE FROM articles');
+      // API 使用履歴は無効（0）のため削除しない
+      expect(db.run.mock.calls.map(call => call[0])).toEqual([
+        expect.stringContaining('transcript_cache'),
+        expect.stringContaining('pruned_articles')
+      ]);
+
+      expect(result.deleted).toEqual({
+        articles: 1,
+        by_age: 1,
+        by_feed_limit: 0,
+        summary_requests: 2,
+        article_sources: 1,
+        transcript_cache: 3,
+        api_usage: 0,
+        tombstones: 0
+      });
+      expect(getLastPruneResult()).toBe(result);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for scheduler-config utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  run: jest.fn(),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const db = require('../../backend/models/database');
+const {
+  JOB_DEFINITIONS,
+  getDefaultJobs,
+  isValidTimezone,
+  normalizeJobChanges,
+  getLegacyScheduleChanges,
+  loadJobConfigs,
+  saveJobConfigs
+} = require('../../backend/utils/scheduler-config');
+
+function byName(jobs) {
+  return Object.fromEntries(jobs.map(job => [job.name, job]));
+}
+
+describe('Scheduler Config Utility', () => {
+  beforeEach(() => {
+    db.run.mockReset();
+    db.query.mockReset();
+    db.transaction.mockReset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('getDefaultJobs', () => {
+    test('should poll feeds adaptively in Tokyo time by default', () => {
+      const jobs = byName(getDefaultJobs({}));
+
+      expect(Object.keys(jobs)).toEqual(JOB_DEFINITIONS.map(job => job.name));
+      expect(jobs.feed_polling).toMatchObject({ cron_expression: '*/5 * * * *', timezone: 'Asia/Tokyo', enabled: true });
+      expect(jobs.feed_refresh.enabled).toBe(false);
+    });
+
+    test('should honour RSS_SCHEDULE and SCHEDULER_TIMEZONE', () => {
+      const jobs = byName(getDefaultJobs({ RSS_SCHEDULE: 'weekly', SCHEDULER_TIMEZONE: 'Europe/Berlin' }));
+
+      expect(jobs.feed_polling.enabled).toBe(false);
+      expect(jobs.feed_refresh).toMatchObject({ cron_expression: '0 8 * * 1', timezone: 'Europe/Berlin', enabled: true });
+      expect(getDefaultJobs({ SCHEDULER_TIMEZONE: 'Mars/Olympus' })[0].timezone).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    test('should accept IANA timezone names only', () => {
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('America/New_York')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('normalizeJobChanges', () => {
+    test('should keep only the given fields', () => {
+      expect(normalizeJobChanges({ name: 'maintenance', cron_expression: '  0   4 * * * ' }))
+        .toEqual({ name: 'maintenance', cron_expression: '0 4 * * *' });
+      expect(normalizeJobChanges({ name: 'producthunt', timezone: 'UTC', enabled: false }))
+        .toEqual({ name: 'producthunt', timezone: 'UTC', enabled: false });
+    });
+
+    test('should reject unknown jobs and invalid values', () => {
+      expect(() => normalizeJobChanges({ name: 'daily' })).toThrow('Unknown job: daily');
+      expect(() => normalizeJobChanges({ name: 'maintenance', cron_expression: '61 * * * *' })).toThrow('Invalid cron expression');
+      expect(() => normalizeJobChanges({ name: 'maintenance', timezone: 'Nowhere' })).toThrow('Invalid timezone');
+      expect(() => normalizeJobChanges({ name: 'maintenance', enabled: 'yes' })).toThrow('enabled must be a boolean');
+    });
+  });
+
+  describe('loadJobConfigs', () => {
+    test('should apply the saved schedules over the defaults', async () => {
+      db.query.mockResolvedValue([
+        { name: 'maintenance', cron_expression: '0 2 * * 6', timezone: 'UTC', enabled: 0, updated_at: '2025-06-01 00:00:00' },
+        { name: 'producthunt', cron_expression: 'not cron', timezone: 'Nowhere', enabled: 1, updated_at: '2025-06-01 00:00:00' }
+      ]);
+
+      const jobs = byName(await loadJobConfigs());
+
+      expect(jobs.maintenance).toMatchObject({ cron_expression: '0 2 * * 6', timezone: 'UTC', enabled: false });
+      // 不正になった値は既定値に戻す
+      expect(jobs.producthunt).toMatchObject({ cron_expression: '0 8 * * 0', timezone: 'Asia/Tokyo', enabled: true });
+      expect(jobs.feed_polling.updated_at).toBeNull();
+    });
+
+    test('should fall back to the defaults when the table cannot be read', async () => {
+      db.query.mockRejectedValue(new Error('no such table: scheduler_jobs'));
+
+      const jobs = await loadJobConfigs();
+
+      expect(jobs.map(job => job.name)).toEqual(JOB_DEFINITIONS.map(job => job.name));
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('getLegacyScheduleChanges', () => {
+    test('should switch between adaptive polling and a fixed full refresh', () => {
+      expect(getLegacyScheduleChanges('adaptive')).toEqual([
+        { name: 'feed_polling', enabled: true },
+        { name: 'feed_refresh', enabled: false }
+      ]);
+      expect(getLegacyScheduleChanges('weekly')).toEqual([
+        { name: 'feed_polling', enabled: false },
+        { name: 'feed_refresh', cron_expression: '0 8 * * 1', enabled: true }
+      ]);
+    });
+
+    test('should reject unknown schedules', () => {
+      expect(() => getLegacyScheduleChanges('hourly')).toThrow('Unknown schedule: hourly');
+      expect(() => getLegacyScheduleChanges('constructor')).toThrow('Unknown schedule');
+    });
+  });
+
+  describe('saveJobConfigs', () => {
+    test('should upsert every job row in one transaction', async () => {
+      db.transaction.mockResolvedValue([]);
+
+      await saveJobConfigs([
+        { name: 'maintenance', cron_expression: '0 4 * * *', timezone: 'UTC', enabled: false },
+        { name: 'feed_refresh', cron_expression: '0 7 * * *', timezone: 'Asia/Tokyo', enabled: true }
+      ]);
+
+      const statements = db.transaction.mock.calls[0][0];
+      expect(db.transaction).toHaveBeenCalledTimes(1);
+      expect(statements[0].sql).toContain('ON CONFLICT (name) DO UPDATE');
+      expect(statements.map(statement => statement.params)).toEqual([
+        ['maintenance', '0 4 * * *', 'UTC', 0],
+        ['feed_refresh', '0 7 * * *', 'Asia/Tokyo', 1]
+      ]);
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should not open a transaction without changes', async () => {
+      await saveJobConfigs([]);
+
+      expect(db.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for websub utility module
+ */
+
+jest.mock('../../backend/models/database', () => ({
+  get: jest.fn(),
+  run: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+
+process.env.WEBSUB_CALLBACK_BASE_URL = 'https://news.example/';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('../../backend/models/database');
+const {
+  buildCallbackUrl,
+  parseLinkHeader,
+  extractHubLinks,
+  verifySignature,
+  isSubscriptionSettled,
+  ensureSubscription,
+  handleVerification
+} = require('../../backend/utils/websub');
+
+describe('WebSub Utility', () => {
+  describe('buildCallbackUrl', () => {
+    test('should build the callback route under the public base URL', () => {
+      expect(buildCallbackUrl(12)).toBe('https://news.example/api/websub/callback/12');
+    });
+  });
+
+  describe('parseLinkHeader', () => {
+    test('should split multiple links and rel values', () => {
+      expect(parseLinkHeader('<https://hub.example/>; rel="hub", <https://blog.example/feed>; rel="self"')).toEqual([
+        { url: 'https://hub.example/', rel: 'hub' },
+        { url: 'https://blog.example/feed', rel: 'self' }
+      ]);
+      expect(parseLinkHeader(undefined)).toEqual([]);
+    });
+  });
+
+  describe('extractHubLinks', () => {
+    test('should read atom:link elements in RSS', () => {
+      const rss = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>
+  <title>Blog</title><link>https://blog.example/</link>
+  <atom:link rel="hub" href="https://pubsubhubbub.appspot.com/"/>
+  <atom:link rel="self" type="application/rss+xml" href="https://blog.example/feed"/>
+</channel></rss>`;
+
+      expect(extractHubLinks(rss)).toEqual({
+        hub: 'https://pubsubhubbub.appspot.com/',
+        self: 'https://blog.example/feed'
+      });
+    });
+
+    test('should read link elements in Atom feeds such as YouTube', () => {
+      const atom = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <link rel="hub" href="https://pubsubhubbub.appspot.com"/>
+  <link rel="self" href="http://www.youtube.com/xml/feeds/videos.xml?channel_id=UC123"/>
+  <link rel="alternate" href="https://www.youtube.com/channel/UC123"/>
+</feed>`;
+
+      expect(extractHubLinks(atom)).toEqual({
+        hub: 'https://pubsubhubbub.appspot.com',
+        self: 'http://www.youtube.com/xml/feeds/videos.xml?channel_id=UC123'
+      });
+    });
+
+    test('should read hubs in JSON Feed and prefer the Link header', () => {
+      const json = JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        feed_url: 'https://micro.example/feed.json',
+        hubs: [{ type: 'WebSub', url: 'https://hub.micro.example/' }],
+        items: []
+      });
+
+      expect(extractHubLinks(json)).toEqual({ hub: 'https://hub.micro.example/', self: 'https://micro.example/feed.json' });
+      expect(extractHubLinks(json, { link: '<https://other-hub.example/>; rel="hub"' }).hub).toBe('https://other-hub.example/');
+    });
+
+    test('should return nulls when no hub is advertised', () => {
+      expect(extractHubLinks('<rss><channel><link>https://x.example/</link></channel></rss>')).toEqual({ hub: null, self: null });
+    });
+  });
+
+  describe('verifySignature', () => {
+    const body = Buffer.from('<feed/>');
+    const sign = (algorithm, secret) => `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`;
+
+    test('should accept sha1 and sha256 signatures made with the secret', () => {
+      expect(verifySignature(body, 's3cret', sign('sha1', 's3cret'))).toBe(true);
+      expect(verifySignature(body, 's3cret', sign('sha256', 's3cret'))).toBe(true);
+    });
+
+    test('should reject missing, malformed or wrong signatures', () => {
+      expect(verifySignature(body, 's3cret', undefined)).toBe(false);
+      expect(verifySignature(body, 's3cret', 'md5=abcd')).toBe(false);
+      expect(verifySignature(body, 's3cret', sign('sha256', 'other'))).toBe(false);
+      expect(verifySignature(body, 's3cret', 'sha256=abcd')).toBe(false);
+    });
+  });
+
+  describe('isSubscriptionSettled', () => {
+    const now = new Date('2025-06-30T12:00:00Z');
+
+    test('should keep verified subscriptions', () => {
+      expect(isSubscriptionSettled({ state: 'verified', updated_at: '2025-01-01 00:00:00' }, now)).toBe(true);
+    });
+
+    test('should retry pending subscriptions the hub never verified after an hour', () => {
+      expect(isSubscriptionSettled({ state: 'pending', updated_at: '2025-06-30 11:30:00' }, now)).toBe(true);
+      expect(isSubscriptionSettled({ state: 'pending', updated_at: '2025-06-30 10:59:00' }, now)).toBe(false);
+    });
+
+    test('should retry denied subscriptions after a week', () => {
+      expect(isSubscriptionSettled({ state: 'denied', updated_at: '2025-06-25 12:00:00' }, now)).toBe(true);
+      expect(isSubscriptionSettled({ state: 'denied', updated_at: new Date('2025-06-20T12:00:00Z') }, now)).toBe(false);
+    });
+
+    test('should retry failed subscriptions and rows without a timestamp right away', () => {
+      expect(isSubscriptionSettled({ state: 'failed', updated_at: '2025-06-30 11:59:00' }, now)).toBe(false);
+      expect(isSubscriptionSettled({ state: 'pending', updated_at: null }, now)).toBe(false);
+    });
+  });
+
+  describe('ensureSubscription', () => {
+    const feed = { id: 3, url: 'https://blog.example/feed' };
+    const links = { hub: 'https://hub.example/', self: 'https://blog.example/feed' };
+    const subscription = { feed_id: 3, hub_url: 'https://hub.example/', topic_url: 'https://blog.example/feed', secret: 's' };
+
+    beforeEach(() => {
+      db.get.mockReset();
+      db.run.mockReset();
+      db.run.mockResolvedValue({ changes: 1 });
+      axios.post.mockReset();
+      axios.post.mockResolvedValue({ status: 202 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    test('should leave a recent pending subscription alone', async () => {
+      db.get.mockResolvedValue({ ...subscription, state: 'pending', updated_at: new Date().toISOString() });
+
+      await expect(ensureSubscription(feed, links)).resolves.toBeNull();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('should ask the hub again when a denial is old enough', async () => {
+      db.get.mockResolvedValue({ ...subscription, state: 'denied', updated_at: '2000-01-01 00:00:00' });
+
+      await ensureSubscription(feed, links);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(axios.post.mock.calls[0][0]).toBe('https://hub.example/');
+      expect(axios.post.mock.calls[0][1]).toContain('hub.mode=subscribe');
+      // 同じハブ・トピックへの再要求では同じシークレットを使う
+      expect(db.run.mock.calls[0][1]).toEqual([3, 'https://hub.example/', 'https://blog.example/feed', 's']);
+    });
+  });
+
+  describe('handleVerification', () => {
+    const subscription = { feed_id: 3, topic_url: 'https://blog.example/feed', state: 'pending' };
+
+    beforeEach(() => {
+      db.get.mockReset();
+      db.run.mockReset();
+      db.run.mockResolvedValue({ changes: 1 });
+    });
+
+    test('should echo the challenge and store the lease for a pending subscription', async () => {
+      db.get.mockResolvedValue(subscription);
+
+      const result = await handleVerification(3, {
+        'hub.mode': 'subscribe',
+        'hub.topic': 'https://blog.example/feed',
+        'hub.challenge': 'abc123',
+        'hub.lease_seconds': '3600'
+      });
+
+      expect(result).toEqual({ status: 200, body: 'abc123' });
+      expect(db.run.mock.calls[0][0]).toContain("state = 'verified'");
+      expect(db.run.mock.calls[0][1][0]).toBe(3600);
+    });
+
+    test('should refuse unknown topics', async () => {
+      db.get.mockResolvedValue(subscription);
+
+      const result = await handleVerification(3, {
+        'hub.mode': 'subscribe',
+        'hub.topic': 'https://evil.example/feed',
+        'hub.challenge': 'abc123'
+      });
+
+      expect(result.status).toBe(404);
+      expect(db.run).not.toHaveBeenCalled();
+    });
+
+    test('should only confirm unsubscribe requests this server made', async () => {
+      db.get.mockResolvedValue(subscription);
+      const query = { 'hub.mode': 'unsubscribe', 'hub.topic': subscription.topic_url, 'hub.challenge': 'x' };
+
+      expect((await handleVerification(3, query)).status).toBe(404);
+
+      db.get.mockResolvedValue({ ...subscription, state: 'unsubscribing' });
+      expect(await handleVerification(3, query)).toEqual({ status: 200, body: 'x' });
+    });
+  });
+});
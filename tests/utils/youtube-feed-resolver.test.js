@@ -0,0 +1,120 @@
+/**
+ * Unit tests for youtube-feed-resolver utility module
+ */
+
+jest.mock('axios');
+jest.mock('../../backend/utils/youtube-data-api', () => ({
+  getChannelDetails: jest.fn(),
+  getPlaylistDetails: jest.fn()
+}));
+
+const axios = require('axios');
+const youtubeDataService = require('../../backend/utils/youtube-data-api');
+const { parseYouTubeSourceUrl } = require('../../backend/utils/youtube-helper');
+const { extractYouTubePageMetadata, resolveYouTubeFeed } = require('../../backend/utils/youtube-feed-resolver');
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+
+const channelPage = `
+  <html><head>
+    <title>Example Channel - YouTube</title>
+    <meta property="og:title" content="Example Channel">
+    <meta property="og:image" content="https://yt3.example/avatar.jpg">
+    <link rel="alternate" type="application/rss+xml" title="RSS" href="https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}">
+  </head><body></body></html>
+`;
+
+describe('YouTube Feed Resolver Utility', () => {
+  const originalKey = process.env.YOUTUBE_API_KEY;
+
+  beforeEach(() => {
+    delete process.env.YOUTUBE_API_KEY;
+    axios.get.mockReset();
+    youtubeDataService.getChannelDetails.mockReset();
+    youtubeDataService.getPlaylistDetails.mockReset();
+  });
+
+  afterAll(() => {
+    if (originalKey !== undefined) {
+      process.env.YOUTUBE_API_KEY = originalKey;
+    }
+  });
+
+  describe('parseYouTubeSourceUrl', () => {
+    test('should recognize handles, channels, custom names and playlists', () => {
+      expect(parseYouTubeSourceUrl('https://www.youtube.com/@GoogleDevelopers/videos')).toEqual({ type: 'handle', value: 'GoogleDevelopers' });
+      expect(parseYouTubeSourceUrl(`https://youtube.com/channel/${CHANNEL_ID}`)).toEqual({ type: 'channel', value: CHANNEL_ID });
+      expect(parseYouTubeSourceUrl('https://m.youtube.com/c/SomeName')).toEqual({ type: 'custom', value: 'SomeName' });
+      expect(parseYouTubeSourceUrl('https://www.youtube.com/user/legacy')).toEqual({ type: 'user', value: 'legacy' });
+      expect(parseYouTubeSourceUrl('https://www.youtube.com/playlist?list=PL1234_abc')).toEqual({ type: 'playlist', value: 'PL1234_abc' });
+    });
+
+    test('should ignore videos, feeds and other sites', () => {
+      expect(parseYouTubeSourceUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+      expect(parseYouTubeSourceUrl(`https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`)).toBeNull();
+      expect(parseYouTubeSourceUrl('https://example.com/@handle')).toBeNull();
+      expect(parseYouTubeSourceUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('extractYouTubePageMetadata', () => {
+    test('should read the channel ID, title and avatar', () => {
+      expect(extractYouTubePageMetadata(channelPage)).toEqual({
+        channelId: CHANNEL_ID,
+        feedUrl: `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`,
+        title: 'Example Channel',
+        imageUrl: 'https://yt3.example/avatar.jpg'
+      });
+    });
+
+    test('should fall back to the embedded initial data', () => {
+      const metadata = extractYouTubePageMetadata(`<html><head><title>Other - YouTube</title></head><script>{"externalId":"${CHANNEL_ID}"}</script></html>`);
+      expect(metadata.channelId).toBe(CHANNEL_ID);
+      expect(metadata.title).toBe('Other');
+    });
+  });
+
+  describe('resolveYouTubeFeed', () => {
+    test('should return null for URLs that are not channels or playlists', async () => {
+      await expect(resolveYouTubeFeed('https://example.com/feed.xml')).resolves.toBeNull();
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should resolve a handle from the page metadata', async () => {
+      axios.get.mockResolvedValue({ data: channelPage });
+
+      await expect(resolveYouTubeFeed('https://www.youtube.com/@example')).resolves.toEqual({
+        feedUrl: `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL_ID}`,
+        title: 'Example Channel',
+        imageUrl: 'https://yt3.example/avatar.jpg',
+        channelId: CHANNEL_ID,
+        playlistId: null
+      });
+    });
+
+    test('should use the Data API when a key is configured', async () => {
+      process.env.YOUTUBE_API_KEY = 'key';
+      youtubeDataService.getChannelDetails.mockResolvedValue({ id: CHANNEL_ID, title: 'API Channel', thumbnailUrl: 'https://yt3.example/a.jpg' });
+
+      const resolved = await resolveYouTubeFeed('https://www.youtube.com/@example');
+
+      expect(youtubeDataService.getChannelDetails).toHaveBeenCalledWith({ handle: 'example' });
+      expect(resolved.title).toBe('API Channel');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should build playlist feeds even when the page cannot be read', async () => {
+      axios.get.mockRejectedValue(new Error('blocked'));
+
+      const resolved = await resolveYouTubeFeed('https://www.youtube.com/playlist?list=PL123');
+      expect(resolved.feedUrl).toBe('https://www.youtube.com/feeds/videos.xml?playlist_id=PL123');
+      expect(resolved.title).toBeNull();
+    });
+
+    test('should fail when no channel ID can be found', async () => {
+      axios.get.mockResolvedValue({ data: '<html><title>Not found</title></html>' });
+
+      await expect(resolveYouTubeFeed('https://www.youtube.com/c/missing')).rejects.toThrow('Could not find the YouTube channel');
+    });
+  });
+});